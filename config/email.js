@@ -0,0 +1,64 @@
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// EMAIL_TRANSPORT picks how mail leaves the server:
+//   gmail (default) - Gmail with EMAIL_USER / EMAIL_PASS (an app password)
+//   smtp            - any SMTP server at SMTP_HOST:SMTP_PORT, authenticating with EMAIL_USER / EMAIL_PASS if set
+//   file, json      - write each message to EMAIL_FILE_DIR as an .eml or .json file instead of sending it,
+//                     so the order flow can run offline
+const auth = () => (process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined);
+const debug = process.env.NODE_ENV === 'development';
+
+const transports = {
+  gmail: {
+    required: ['EMAIL_USER', 'EMAIL_PASS'],
+    create: () => nodemailer.createTransport({ service: 'gmail', auth: auth(), debug, logger: debug }),
+  },
+  smtp: {
+    required: ['SMTP_HOST'],
+    create: () => {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: auth(),
+        debug,
+        logger: debug,
+      });
+    },
+  },
+  file: {
+    required: [],
+    extension: 'eml',
+    create: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }),
+  },
+  json: {
+    required: [],
+    extension: 'json',
+    create: () => nodemailer.createTransport({ jsonTransport: true }),
+  },
+};
+
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'gmail').toLowerCase();
+const transport = transports[EMAIL_TRANSPORT];
+if (!transport) {
+  throw new Error(`Unknown EMAIL_TRANSPORT: ${EMAIL_TRANSPORT}. Must be one of: ${Object.keys(transports).join(', ')}`);
+}
+
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'emails');
+const EMAIL_FROM = process.env.EMAIL_FROM || `"Nisarg Maitri" <${process.env.EMAIL_USER || 'no-reply@localhost'}>`;
+
+// Environment variables the selected transport still needs
+const missingEmailConfig = () => transport.required.filter((name) => !process.env[name]);
+
+module.exports = {
+  EMAIL_TRANSPORT,
+  EMAIL_FILE_DIR,
+  EMAIL_FROM,
+  // Set for transports that write to EMAIL_FILE_DIR rather than send
+  fileExtension: transport.extension,
+  transporter: transport.create(),
+  missingEmailConfig,
+};
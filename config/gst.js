@@ -0,0 +1,78 @@
+// GST settings. Catalog prices are tax-inclusive; see utils/gst.js for the calculation.
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Rate by HSN prefix; the longest matching prefix wins. Products can override this with
+// their own gstRate, and anything unmatched falls back to DEFAULT_GST_RATE.
+const HSN_GST_RATES = {
+  '3305': 18, // Hair care preparations
+  '3401': 18, // Soap
+  '4202': 18, // Bags and cases
+  '4419': 12, // Wooden tableware and kitchenware
+  '4602': 12, // Bamboo and cane basketwork
+  '6305': 5, // Jute sacks and bags
+  '9603': 18, // Brushes, including toothbrushes
+};
+
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE || 18);
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+// Our registration; the state comes from the GSTIN's code. The server starts without it, but
+// invoices are refused and every sale is treated as inter-state (IGST) until it is set.
+const SELLER = {
+  name: process.env.SELLER_NAME || 'Nisarg Maitri',
+  gstin: (process.env.SELLER_GSTIN || '').trim().toUpperCase(),
+  address: process.env.SELLER_ADDRESS || '',
+};
+SELLER.stateCode = SELLER.gstin.slice(0, 2);
+SELLER.state = STATE_CODES[SELLER.stateCode] || '';
+
+// Why tax invoices cannot be issued with the current SELLER_GSTIN, or null when it is valid
+const sellerGstinError = () => {
+  if (!SELLER.gstin) return 'SELLER_GSTIN is not set';
+  if (!GSTIN_PATTERN.test(SELLER.gstin) || !SELLER.state) return 'SELLER_GSTIN is not a valid GSTIN';
+  return null;
+};
+
+module.exports = { GST_RATES, HSN_GST_RATES, DEFAULT_GST_RATE, STATE_CODES, GSTIN_PATTERN, SELLER, sellerGstinError };
@@ -0,0 +1,21 @@
+const { StandardCheckoutClient, Env } = require('pg-sdk-node');
+
+let client = null;
+
+// The SDK client is a process-wide singleton; it is only created once PhonePe is configured
+const getPhonePeClient = () => {
+  if (client) return client;
+  if (!process.env.PHONEPE_CLIENT_ID || !process.env.PHONEPE_CLIENT_SECRET) {
+    throw new Error('PhonePe is not configured (PHONEPE_CLIENT_ID / PHONEPE_CLIENT_SECRET)');
+  }
+
+  client = StandardCheckoutClient.getInstance(
+    process.env.PHONEPE_CLIENT_ID,
+    process.env.PHONEPE_CLIENT_SECRET,
+    parseInt(process.env.PHONEPE_CLIENT_VERSION, 10) || 1,
+    process.env.PHONEPE_ENV === 'PRODUCTION' ? Env.PRODUCTION : Env.SANDBOX
+  );
+  return client;
+};
+
+module.exports = { getPhonePeClient };
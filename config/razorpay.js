@@ -0,0 +1,19 @@
+const Razorpay = require('razorpay');
+
+// RAZORPAY_MODE=mock swaps in an offline stand-in with the same client methods, so checkout
+// runs without network access or real keys. Any key values work; these fill in missing ones.
+const isMockMode = process.env.RAZORPAY_MODE === 'mock';
+if (isMockMode) {
+  process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_mock';
+  process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'mock_key_secret';
+  process.env.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'mock_webhook_secret';
+}
+
+const razorpay = isMockMode
+  ? require('../utils/payments/razorpayMock').client
+  : new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET,
+  });
+
+module.exports = razorpay;
@@ -0,0 +1,19 @@
+// Order retention. Nothing is hard-deleted straight from the orders collection: unpaid
+// Razorpay orders expire once their payment window closes, unpaid orders are moved to the
+// archive after ARCHIVE_UNPAID_AFTER_DAYS, and archived copies are purged after
+// ARCHIVE_RETENTION_DAYS (0 keeps them forever).
+
+const readDays = (value, fallback) => {
+  const days = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(days) && days >= 0 ? days : fallback;
+};
+
+const ARCHIVE_UNPAID_AFTER_DAYS = readDays(process.env.ARCHIVE_UNPAID_AFTER_DAYS, 1);
+
+// Long enough to cover card chargeback windows
+const ARCHIVE_RETENTION_DAYS = readDays(process.env.ARCHIVE_RETENTION_DAYS, 540);
+
+// Payment statuses the nightly cleanup moves to the archive; paid orders are never archived by it
+const ARCHIVABLE_PAYMENT_STATUSES = ['Pending', 'Failed', 'Expired'];
+
+module.exports = { ARCHIVE_UNPAID_AFTER_DAYS, ARCHIVE_RETENTION_DAYS, ARCHIVABLE_PAYMENT_STATUSES };
@@ -0,0 +1,50 @@
+// Admin roles and the permissions each one grants. Permissions are embedded in the access
+// token, so a role change takes effect on the next login or token refresh.
+const PERMISSIONS = {
+  ORDERS_READ: 'orders:read',
+  ORDERS_UPDATE_STATUS: 'orders:update-status',
+  ORDERS_FORCE_PAYMENT: 'orders:force-payment',
+  ORDERS_REFUND: 'orders:refund',
+  ORDERS_EXPORT: 'orders:export',
+  ORDERS_RESTORE: 'orders:restore',
+  INVOICES_MANAGE: 'invoices:manage',
+  ANALYTICS_READ: 'analytics:read',
+  PRODUCTS_MANAGE: 'products:manage',
+  INVENTORY_MANAGE: 'inventory:manage',
+  COUPONS_MANAGE: 'coupons:manage',
+  SHIPPING_MANAGE: 'shipping:manage',
+  CONTACTS_READ: 'contacts:read',
+  EMAILS_MANAGE: 'emails:manage',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  finance: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_FORCE_PAYMENT,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.ORDERS_EXPORT,
+    PERMISSIONS.ORDERS_RESTORE,
+    PERMISSIONS.INVOICES_MANAGE,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.COUPONS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+  ],
+  fulfillment: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE_STATUS,
+    PERMISSIONS.INVENTORY_MANAGE,
+    PERMISSIONS.SHIPPING_MANAGE,
+  ],
+  support: [PERMISSIONS.ORDERS_READ, PERMISSIONS.CONTACTS_READ, PERMISSIONS.EMAILS_MANAGE],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, ROLES, ROLE_PERMISSIONS, getRolePermissions };
@@ -1,39 +1,83 @@
 require('dotenv').config();
+const readline = require('readline');
 const mongoose = require('mongoose');
-const User = require('../models/User');
+const User = require('./models/User');
+const { ROLES } = require('./config/roles');
 
-const ADMIN_EMAIL = 'admin@example.com';
-const ADMIN_PASSWORD = 'newadmin456';
+// Usage: node createAdmin.js [--email admin@example.com] [--password secret] [--role owner]
+// Anything not passed as an argument is prompted for; the password is never echoed or logged.
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(email|password|role)(?:=(.*))?$/);
+    if (!match) continue;
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+};
 
-mongoose.connect(process.env.MONGO_URI)
-  .then(async () => {
-    console.log('Connected to MongoDB at', process.env.MONGO_URI);
+const prompt = (question, { hidden = false } = {}) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+      // Print the question once, then swallow the echoed keystrokes
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) rl.output.write(question);
+      };
+    }
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(hidden ? answer : answer.trim());
+    });
+  });
 
-    let user = await User.findOne({ email: ADMIN_EMAIL.toLowerCase() });
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const email = (args.email || (await prompt('Admin email: '))).toLowerCase().trim();
+  // Hashed exactly as typed, as the login route compares it
+  const password = args.password || (await prompt('Admin password: ', { hidden: true }));
 
-    if (user) {
-      console.log('Admin user already exists:', user.email);
-      user.password = ADMIN_PASSWORD; // Store plain text
-      await user.save();
-      console.log('Admin password updated to:', ADMIN_PASSWORD);
-    } else {
-      console.log('Creating new admin user...');
-      user = new User({
-        email: ADMIN_EMAIL,
-        password: ADMIN_PASSWORD, // Store plain text
-        isAdmin: true,
-      });
-      await user.save();
-      console.log('Admin user created:', {
-        email: user.email,
-        isAdmin: user.isAdmin,
-        id: user._id,
-      });
-    }
+  const role = args.role || 'owner';
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role. Allowed: ${ROLES.join(', ')}`);
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error('Invalid email format');
+  }
+  const passwordError = User.validatePassword(password);
+  if (passwordError) {
+    throw new Error(passwordError);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  let user = await User.findOne({ email });
+  if (user) {
+    console.log('Admin user already exists, updating password:', user.email);
+    user.password = password;
+    user.isAdmin = true;
+    user.role = role;
+    await user.save();
+    console.log('Admin password updated for:', user.email);
+  } else {
+    console.log('Creating new admin user...');
+    user = new User({ email, password, isAdmin: true, role });
+    await user.save();
+    console.log('Admin user created:', {
+      email: user.email,
+      isAdmin: user.isAdmin,
+      role: user.role,
+      id: user._id,
+    });
+  }
+};
 
-    mongoose.connection.close();
-  })
-  .catch(err => {
+run()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
     console.error('Error:', err.message);
-    mongoose.connection.close();
-  });
\ No newline at end of file
+    process.exitCode = 1;
+    return mongoose.connection.close();
+  });
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
+const { isSessionActive } = require('../utils/sessions');
 
 const authenticateAdmin = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -12,10 +13,14 @@ const authenticateAdmin = async (req, res, next) => {
   try {
     const verifyAsync = promisify(jwt.verify);
     const decoded = await verifyAsync(token, process.env.JWT_SECRET);
-    if (!decoded.isAdmin) {
+    if (!decoded.isAdmin || decoded.type === 'customer') {
       console.log(`User ${decoded.email || decoded.id} is not an admin`);
       return res.status(403).json({ error: 'Admin access required' });
     }
+    if (!(await isSessionActive(decoded.sid))) {
+      console.warn(`Rejected token for ${decoded.email || decoded.id}: session revoked or expired`);
+      return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+    }
 
     req.user = decoded;
     console.log(`Admin authenticated: ${decoded.email || decoded.id}`);
@@ -44,11 +49,49 @@ const checkAdminStatus = async (req, res) => {
   try {
     const verifyAsync = promisify(jwt.verify);
     const decoded = await verifyAsync(token, process.env.JWT_SECRET);
-    return res.status(200).json({ isAdmin: !!decoded.isAdmin, email: decoded.email });
+    const isAdmin = !!decoded.isAdmin && decoded.type !== 'customer' && (await isSessionActive(decoded.sid));
+    if (!isAdmin) {
+      return res.status(200).json({ isAdmin: false, email: decoded.email });
+    }
+    return res.status(200).json({
+      isAdmin,
+      email: decoded.email,
+      role: decoded.role,
+      permissions: decoded.permissions || [],
+    });
   } catch (error) {
     console.error('Error checking admin status:', error.message);
     return res.status(200).json({ isAdmin: false });
   }
 };
 
-module.exports = { authenticateAdmin, checkAdminStatus };
\ No newline at end of file
+// Attach req.user for a valid admin token; anything else passes through untouched so
+// routes can also serve customers
+const optionalAdmin = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    const verifyAsync = promisify(jwt.verify);
+    const decoded = await verifyAsync(token, process.env.JWT_SECRET);
+    if (decoded.isAdmin && decoded.type !== 'customer' && (await isSessionActive(decoded.sid))) {
+      req.user = decoded;
+    }
+  } catch (error) {
+    // Left to the customer check that follows
+  }
+  next();
+};
+
+// Use after authenticateAdmin; checks the permissions carried in the access token
+const requirePermission = (permission) => (req, res, next) => {
+  const permissions = req.user?.permissions || [];
+  if (!permissions.includes(permission)) {
+    console.warn(`Admin ${req.user?.email || req.user?.id} (${req.user?.role || 'no role'}) lacks permission ${permission}`);
+    return res.status(403).json({ error: 'You do not have permission to perform this action', permission });
+  }
+  next();
+};
+
+module.exports = { authenticateAdmin, optionalAdmin, checkAdminStatus, requirePermission };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const { isSessionActive } = require('../utils/sessions');
+
+const verifyAsync = promisify(jwt.verify);
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+const sendTokenError = (res, error) => {
+  if (error.name === 'TokenExpiredError') {
+    return res.status(401).json({ error: 'Token has expired', expiredAt: error.expiredAt });
+  } else if (error.name === 'JsonWebTokenError') {
+    return res.status(400).json({ error: 'Invalid token format or signature' });
+  } else if (error.name === 'NotBeforeError') {
+    return res.status(403).json({ error: 'Token not yet valid', notBefore: error.date });
+  }
+  return res.status(401).json({ error: 'Invalid token' });
+};
+
+const authenticateCustomer = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied, no token provided' });
+  }
+
+  try {
+    const decoded = await verifyAsync(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'customer') {
+      console.log(`Token for ${decoded.email || decoded.id} is not a customer token`);
+      return res.status(403).json({ error: 'Customer access required' });
+    }
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+    }
+
+    req.customer = decoded;
+    next();
+  } catch (error) {
+    console.error('Customer token verification failed:', error.message);
+    return sendTokenError(res, error);
+  }
+};
+
+// Attach req.customer when a valid customer token is sent; guests, other tokens and expired
+// or revoked sessions all carry on as guests
+const optionalCustomer = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  let decoded;
+  try {
+    decoded = await verifyAsync(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'customer' || !(await isSessionActive(decoded.sid))) {
+      return next();
+    }
+  } catch (error) {
+    console.warn('Optional customer token ignored:', error.message);
+    return next();
+  }
+  req.customer = decoded;
+  next();
+};
+
+module.exports = { authenticateCustomer, optionalCustomer };
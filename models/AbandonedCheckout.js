@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Snapshot of an unpaid Razorpay checkout, kept after the order itself is removed so the
+// customer can be reminded and the cart rebuilt
+const abandonedCheckoutSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required'],
+    unique: true,
+    trim: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  customer: {
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+  },
+  shippingAddress: {
+    address1: { type: String, required: true, trim: true },
+    address2: { type: String, trim: true, default: '' },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    pincode: { type: String, required: true, trim: true },
+    country: { type: String, trim: true, default: 'India' },
+  },
+  gstDetails: {
+    gstNumber: { type: String, trim: true, default: '' },
+    state: { type: String, trim: true },
+    city: { type: String, trim: true },
+  },
+  shippingMethod: {
+    type: String,
+    enum: ['Standard', 'Express'],
+    default: 'Standard',
+  },
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+  },
+  items: [
+    {
+      productId: { type: String, required: true, trim: true },
+      name: { type: String, required: true, trim: true },
+      variant: { type: String, trim: true, default: '' },
+      quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+      price: { type: Number, required: true, min: [0, 'Price cannot be negative'] },
+    },
+  ],
+  total: {
+    type: Number,
+    required: true,
+  },
+  // Open while the payment window is still running
+  status: {
+    type: String,
+    required: true,
+    enum: ['Open', 'Abandoned', 'Recovered'],
+    default: 'Open',
+  },
+  abandonedAt: Date,
+  remindersSent: {
+    type: Number,
+    default: 0,
+  },
+  lastReminderAt: Date,
+  nextReminderAt: Date,
+  // Orders created from the resume link, and the one that was eventually paid
+  resumedOrderIds: [{ type: String, trim: true }],
+  resumedAfterReminder: Number,
+  // Set while a resume is placing its order
+  resumeLockedUntil: Date,
+  recoveredOrderId: {
+    type: String,
+    trim: true,
+  },
+  recoveredRevenue: {
+    type: Number,
+    default: 0,
+  },
+  recoveredAt: Date,
+}, { timestamps: true });
+
+abandonedCheckoutSchema.index({ status: 1, createdAt: 1 });
+abandonedCheckoutSchema.index({ status: 1, nextReminderAt: 1 });
+abandonedCheckoutSchema.index({ resumedOrderIds: 1 });
+abandonedCheckoutSchema.index({ 'customer.email': 1 });
+
+module.exports = mongoose.model('AbandonedCheckout', abandonedCheckoutSchema);
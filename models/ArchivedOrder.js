@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// An order removed from the orders collection, kept whole so it can be looked at (e.g. in a
+// payment dispute) or restored. Search fields are copied out of the snapshot.
+const archivedOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required'],
+    trim: true,
+  },
+  reason: {
+    type: String,
+    required: [true, 'Archive reason is required'],
+    trim: true,
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['cleanup', 'customer-cancel', 'admin'],
+  },
+  archivedBy: {
+    type: String,
+    trim: true,
+    default: 'system',
+  },
+  archivedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Archived', 'Restored'],
+    default: 'Archived',
+  },
+  restoredAt: Date,
+  restoredBy: {
+    type: String,
+    trim: true,
+  },
+  restoreReason: {
+    type: String,
+    trim: true,
+  },
+  paymentStatus: String,
+  paymentMethod: String,
+  customerEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  customerPhone: String,
+  razorpayOrderId: String,
+  razorpayPaymentId: String,
+  phonepeMerchantOrderId: String,
+  phonepeTransactionId: String,
+  total: Number,
+  orderCreatedAt: Date,
+  // The full order document as it was when archived
+  order: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+});
+
+archivedOrderSchema.index({ orderId: 1, archivedAt: -1 });
+archivedOrderSchema.index({ status: 1, archivedAt: -1 });
+archivedOrderSchema.index({ customerEmail: 1 });
+archivedOrderSchema.index({ customerPhone: 1 });
+archivedOrderSchema.index({ razorpayOrderId: 1 });
+archivedOrderSchema.index({ razorpayPaymentId: 1 }, { sparse: true });
+archivedOrderSchema.index({ phonepeMerchantOrderId: 1 }, { sparse: true });
+archivedOrderSchema.index({ phonepeTransactionId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('ArchivedOrder', archivedOrderSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Append-only record of admin actions. Updates and deletes are refused at the model level.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: { type: String, required: [true, 'Actor is required'], trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    role: { type: String, trim: true },
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+  },
+  targetType: {
+    type: String,
+    trim: true,
+  },
+  targetId: {
+    type: String,
+    trim: true,
+  },
+  changes: [
+    {
+      field: { type: String, required: true },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+      _id: false,
+    },
+  ],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be modified');
+  }
+});
+
+const refuseChange = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+for (const op of [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+]) {
+  auditLogSchema.pre(op, refuseChange);
+}
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, digits, - and _ (3-30 characters)'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['Percentage', 'Flat', 'FreeShipping'],
+  },
+  value: {
+    // Percent for Percentage coupons, rupees for Flat coupons, unused for FreeShipping
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum subtotal cannot be negative'],
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+  },
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative'],
+  },
+  productIds: {
+    type: [String],
+    default: [],
+  },
+  categories: {
+    type: [String],
+    default: [],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+// Invalidate (rather than throw) so these surface as ValidationErrors
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'Percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'Flat' && this.value <= 0) {
+    this.invalidate('value', 'Flat discount must be greater than 0');
+  }
+  if (this.startsAt && this.endsAt && this.startsAt > this.endsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    trim: true,
+    uppercase: true,
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required'],
+    unique: true,
+    trim: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+  },
+  // Paid for after the coupon had reached its usage limit
+  overLimit: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ code: 1, email: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
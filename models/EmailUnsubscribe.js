@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Addresses that opted out of marketing email such as abandoned checkout reminders.
+// Transactional email (order confirmations, invoices) is still sent.
+const emailUnsubscribeSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'abandoned-checkout',
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('EmailUnsubscribe', emailUnsubscribeSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const exportJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'xlsx'],
+  },
+  mode: {
+    type: String,
+    required: true,
+    enum: ['orders', 'items'],
+  },
+  // The GET /api/orders search parameters the export was requested with
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Queued', 'Running', 'Completed', 'Failed'],
+    default: 'Queued',
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  rowCount: {
+    type: Number,
+    default: 0,
+  },
+  fileName: {
+    type: String,
+    trim: true,
+  },
+  filePath: {
+    type: String,
+    trim: true,
+  },
+  error: {
+    type: String,
+    trim: true,
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Finished exports (and their files) are cleaned up after this
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: true });
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
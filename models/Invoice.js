@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const taxFields = {
+  gstRate: { type: Number, required: true },
+  taxableValue: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+};
+
+// A tax invoice is a snapshot of the order when it was issued, so the PDF can be rendered
+// again later with exactly the same figures
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true,
+    trim: true,
+  },
+  financialYear: {
+    type: String,
+    required: true,
+    match: [/^[0-9]{4}-[0-9]{2}$/, 'Invalid financial year'],
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required'],
+    unique: true,
+    trim: true,
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+  },
+  seller: {
+    name: String,
+    gstin: String,
+    state: String,
+    stateCode: String,
+    address: String,
+  },
+  buyer: {
+    name: String,
+    email: String,
+    phone: String,
+    address: [String],
+    gstin: String,
+    state: String,
+  },
+  supplyType: {
+    type: String,
+    enum: ['Intra-State', 'Inter-State'],
+    required: true,
+  },
+  placeOfSupply: String,
+  placeOfSupplyCode: String,
+  paymentMethod: String,
+  items: [
+    {
+      name: { type: String, required: true },
+      variant: String,
+      hsnCode: String,
+      quantity: { type: Number, required: true },
+      unitPrice: { type: Number, required: true },
+      discount: { type: Number, default: 0 },
+      ...taxFields,
+      _id: false,
+    },
+  ],
+  shipping: {
+    ...taxFields,
+    gstRate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    grandTotal: Number,
+  },
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  regeneratedAt: Date,
+  regeneratedBy: String,
+}, { timestamps: true });
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
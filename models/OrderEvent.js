@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Recent order events kept for SSE replay. Capped, so the oldest events fall off on their own.
+const orderEventSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['order.created', 'payment.succeeded', 'payment.failed', 'order.cancelled', 'order.updated'],
+  },
+  orderId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { capped: { size: 5 * 1024 * 1024, max: 5000 } });
+
+orderEventSchema.index({ seq: 1 });
+
+module.exports = mongoose.model('OrderEvent', orderEventSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_NAMES } = require('../utils/emailTemplates');
+
+// An outgoing email, stored fully rendered so it can be retried or resent later
+const outboxEmailSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: TEMPLATE_NAMES,
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  html: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  attachments: [{
+    _id: false,
+    filename: { type: String, required: true },
+    content: { type: Buffer, required: true },
+    contentType: String,
+  }],
+  orderId: {
+    type: String,
+    trim: true,
+  },
+  // Set for mail that must only ever be queued once, e.g. order-confirmation:<orderId>
+  dedupeKey: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Pending', 'Sending', 'Sent', 'Dead'],
+    default: 'Pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  attemptLog: [{
+    _id: false,
+    at: { type: Date, required: true },
+    error: String,
+  }],
+  lastError: {
+    type: String,
+    trim: true,
+  },
+  messageId: {
+    type: String,
+    trim: true,
+  },
+  sentAt: Date,
+  deadAt: Date,
+  queuedBy: {
+    type: String,
+    trim: true,
+    default: 'system',
+  },
+}, { timestamps: true });
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ orderId: 1, createdAt: -1 });
+outboxEmailSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { GST_RATES } = require('../config/gst');
+
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters'],
+  },
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  mrp: {
+    type: Number,
+    min: [0, 'MRP cannot be negative'],
+  },
+  weight: {
+    // Grams
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-_]{2,40}$/, 'SKU may only contain letters, digits, - and _'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [200, 'Name cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters'],
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  mrp: {
+    type: Number,
+    min: [0, 'MRP cannot be negative'],
+  },
+  weight: {
+    // Grams
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+  },
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{4,8}$/, 'Invalid HSN code (must be 4 to 8 digits)'],
+  },
+  // Overrides the rate looked up from the HSN code
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate: {VALUE}',
+    },
+  },
+  images: {
+    type: [String],
+    default: [],
+  },
+  variants: {
+    type: [variantSchema],
+    default: [],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+// Invalidate (rather than throw) so these surface as ValidationErrors
+productSchema.pre('validate', function (next) {
+  if (this.mrp && this.price > this.mrp) {
+    this.invalidate('price', 'Price cannot exceed MRP');
+  }
+
+  const variantNames = new Set();
+  this.variants.forEach((variant, index) => {
+    if (variantNames.has(variant.name)) {
+      this.invalidate(`variants.${index}.name`, `Duplicate variant name: ${variant.name}`);
+    }
+    variantNames.add(variant.name);
+    if (variant.mrp && variant.price > variant.mrp) {
+      this.invalidate(`variants.${index}.price`, `Price cannot exceed MRP for variant ${variant.name}`);
+    }
+  });
+
+  next();
+});
+
+productSchema.index({ isActive: 1, category: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One pass of matching unpaid orders against their payment gateway, scheduled or started by an admin
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['scheduled', 'manual'],
+  },
+  startedBy: {
+    type: String,
+    trim: true,
+    default: 'system',
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Running', 'Completed', 'Failed'],
+    default: 'Running',
+  },
+  checked: { type: Number, default: 0 },
+  paid: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  // Orders the gateway could not settle either way; these need a person to look at them
+  ambiguous: [
+    {
+      orderId: { type: String, required: true },
+      paymentMethod: String,
+      // razorpayOrderId or phonepeMerchantOrderId, depending on the payment method
+      gatewayOrderId: String,
+      paymentStatus: String,
+      total: Number,
+      reason: { type: String, required: true },
+      // Status of each payment attempt as the gateway reported it, e.g. ['failed', 'authorized']
+      gatewayPayments: [
+        {
+          _id: false,
+          id: String,
+          status: String,
+          amount: Number,
+        },
+      ],
+    },
+  ],
+  error: {
+    type: String,
+    trim: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: Date,
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
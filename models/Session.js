@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One document per refresh token family. Each refresh rotates tokenHash and keeps the
+// previous hashes so a replayed (stolen) token can be detected and the family revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['admin', 'customer'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    unique: true,
+  },
+  usedTokenHashes: {
+    type: [String],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const stockSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: [true, 'Product ID is required'],
+    trim: true,
+  },
+  variant: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  onHand: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  reserved: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative'],
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: [0, 'Low stock threshold cannot be negative'],
+  },
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+stockSchema.virtual('available').get(function () {
+  return this.onHand - this.reserved;
+});
+
+stockSchema.virtual('isLow').get(function () {
+  return this.onHand - this.reserved <= this.lowStockThreshold;
+});
+
+stockSchema.index({ productId: 1, variant: 1 }, { unique: true });
+
+module.exports = mongoose.model('Stock', stockSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required'],
+    unique: true,
+    trim: true,
+  },
+  items: [
+    {
+      productId: { type: String, required: true, trim: true },
+      variant: { type: String, trim: true, default: '' },
+      quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+    },
+  ],
+  status: {
+    type: String,
+    required: true,
+    enum: ['Reserved', 'Committed', 'Released'],
+    default: 'Reserved',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  releaseReason: {
+    type: String,
+    trim: true,
+  },
+}, { timestamps: true });
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ROLES, getRolePermissions } = require('../config/roles');
+
+const BCRYPT_ROUNDS = 12;
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true, default: 'Home', maxlength: [50, 'Label cannot exceed 50 characters'] },
+  firstName: { type: String, trim: true },
+  lastName: { type: String, trim: true },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Invalid phone number (must be 10 digits)'],
+  },
+  address1: { type: String, required: [true, 'Address is required'], trim: true },
+  address2: { type: String, trim: true, default: '' },
+  city: { type: String, required: [true, 'City is required'], trim: true },
+  state: { type: String, required: [true, 'State is required'], trim: true },
+  pincode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    trim: true,
+    match: [/^[0-9]{6}$/, 'Invalid pincode (must be 6 digits)'],
+  },
+  country: { type: String, trim: true, default: 'India' },
+  isDefault: { type: Boolean, default: false },
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -18,10 +47,100 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Only meaningful for admins; admins created before roles existed are treated as owners
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Invalid role: {VALUE}',
+    },
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'First name cannot exceed 100 characters'],
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Last name cannot exceed 100 characters'],
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Invalid phone number (must be 10 digits)'],
+  },
+  addresses: {
+    type: [addressSchema],
+    default: [],
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 }, { timestamps: true });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Hash the password whenever it is set; validation (minlength) has already run on the plain value
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || BCRYPT_HASH_REGEX.test(this.password)) return;
+  this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+});
+
+userSchema.methods.isPasswordHashed = function () {
+  return BCRYPT_HASH_REGEX.test(this.password || '');
+};
+
+// Accounts created before hashing still hold plaintext; those are compared in constant time
+// and the caller is expected to re-hash them after a successful login
+userSchema.methods.comparePassword = async function (candidate) {
+  if (this.isPasswordHashed()) {
+    return bcrypt.compare(candidate, this.password);
+  }
+
+  const stored = Buffer.from(String(this.password || ''));
+  const received = Buffer.from(String(candidate));
+  return stored.length === received.length && crypto.timingSafeEqual(stored, received);
+};
+
+// Passwords are hashed exactly as typed, so only the type and length are checked; bcrypt
+// ignores everything after the first 72 bytes. Returns an error message or null.
+userSchema.statics.validatePassword = function (password) {
+  if (typeof password !== 'string' || password.length < 6) return 'Password must be at least 6 characters';
+  if (Buffer.byteLength(password) > 72) return 'Password must be at most 72 bytes';
+  return null;
+};
+
+userSchema.methods.getAdminRole = function () {
+  if (!this.isAdmin) return null;
+  return this.role || 'owner';
+};
+
+userSchema.methods.getPermissions = function () {
+  return getRolePermissions(this.getAdminRole());
+};
+
+userSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    phone: this.phone,
+    emailVerified: this.emailVerified,
+    addresses: this.addresses,
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true,
+    trim: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+    enum: ['Razorpay', 'PhonePe'],
+    default: 'Razorpay',
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true,
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true,
+  },
+  phonepeMerchantOrderId: {
+    type: String,
+    trim: true,
+  },
+  // Review: acknowledged to the gateway but needs a person, e.g. a payment amount mismatch
+  status: {
+    type: String,
+    required: true,
+    enum: ['Processing', 'Processed', 'Ignored', 'Failed', 'Review'],
+    default: 'Processing',
+  },
+  error: {
+    type: String,
+    trim: true,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
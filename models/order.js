@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { validateOrderTotals } = require('../utils/orderTotals');
+const { findTaxMismatch } = require('../utils/gst');
 
 const orderSchema = new mongoose.Schema(
   {
@@ -8,6 +10,10 @@ const orderSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     customer: {
       firstName: { type: String, required: true, trim: true },
       lastName: { type: String, required: true, trim: true },
@@ -52,7 +58,8 @@ const orderSchema = new mongoose.Schema(
       },
     },
     coupon: {
-      code: { type: String, default: '', trim: true },
+      code: { type: String, default: '', trim: true, uppercase: true },
+      type: { type: String, enum: ['', 'Percentage', 'Flat', 'FreeShipping'], default: '' },
       discount: { type: Number, default: 0, min: [0, 'Discount cannot be negative'] },
     },
     gstDetails: {
@@ -89,15 +96,26 @@ const orderSchema = new mongoose.Schema(
     paymentMethod: {
       type: String,
       required: true,
-      enum: ['COD', 'Razorpay'],
+      enum: ['COD', 'Razorpay', 'PhonePe'],
       default: 'COD',
     },
     paymentStatus: {
       type: String,
       required: true,
-      enum: ['Pending', 'Success', 'Failed'], // Changed 'Paid' to 'Success'
+      enum: ['Pending', 'Success', 'Failed', 'Expired'], // Changed 'Paid' to 'Success'
       default: 'Pending',
     },
+    // Set when an unpaid Razorpay order outlives its payment window
+    expiredAt: { type: Date },
+    // Set when an admin brings the order back from the archive
+    restoredAt: { type: Date },
+    // Set when an admin marks the order paid although the gateway shows no capture
+    paymentOverride: {
+      reason: { type: String, trim: true },
+      by: { type: String, trim: true },
+      at: { type: Date },
+      gatewayState: { type: String, trim: true },
+    },
     razorpayPaymentId: {
       // Renamed from paymentId
       type: String,
@@ -113,6 +131,26 @@ const orderSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // PhonePe ids: ours for the latest payment attempt, PhonePe's for that attempt, and the
+    // transaction that completed it
+    phonepeMerchantOrderId: {
+      type: String,
+      trim: true,
+    },
+    phonepeOrderId: {
+      type: String,
+      trim: true,
+    },
+    phonepeTransactionId: {
+      type: String,
+      trim: true,
+      required: [
+        function () {
+          return this.paymentMethod === 'PhonePe' && this.paymentStatus === 'Success';
+        },
+        'PhonePe transaction ID is required for successful PhonePe orders',
+      ],
+    },
     items: {
       type: [
         {
@@ -121,6 +159,14 @@ const orderSchema = new mongoose.Schema(
           quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
           price: { type: Number, required: true, min: [0, 'Price cannot be negative'] },
           variant: { type: String, trim: true, default: '' },
+          // GST for the line after its share of the coupon discount; price is tax-inclusive
+          hsnCode: { type: String, trim: true, default: '' },
+          gstRate: { type: Number, min: [0, 'GST rate cannot be negative'] },
+          discount: { type: Number, default: 0 },
+          taxableValue: { type: Number },
+          cgst: { type: Number, default: 0 },
+          sgst: { type: Number, default: 0 },
+          igst: { type: Number, default: 0 },
         },
       ],
       validate: {
@@ -129,81 +175,191 @@ const orderSchema = new mongoose.Schema(
       },
     },
     total: { type: Number, required: true, min: [1, 'Total must be at least ₹1'] },
+    tax: {
+      supplyType: { type: String, enum: ['Intra-State', 'Inter-State'] },
+      placeOfSupply: { type: String, trim: true },
+      placeOfSupplyCode: { type: String, trim: true },
+      taxableValue: { type: Number },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      shipping: {
+        gstRate: { type: Number },
+        taxableValue: { type: Number },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+      },
+    },
     emailSent: { type: Boolean, default: false },
+    fulfillmentStatus: {
+      type: String,
+      required: true,
+      enum: ['Processing', 'Packed', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled'],
+      default: 'Processing',
+    },
+    shipment: {
+      provider: { type: String, trim: true },
+      providerOrderId: { type: String, trim: true },
+      providerShipmentId: { type: String, trim: true },
+      trackingNumber: { type: String, trim: true },
+      carrier: { type: String, trim: true },
+      labelUrl: { type: String, trim: true },
+      pickupScheduledAt: { type: Date },
+      trackingStatus: { type: String, trim: true },
+      trackingUpdatedAt: { type: Date },
+      shippedAt: { type: Date },
+      deliveredAt: { type: Date },
+      // Set when creating the shipment fails, cleared once it succeeds
+      lastError: { type: String, trim: true },
+      lastAttemptAt: { type: Date },
+    },
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: String, trim: true },
+        note: { type: String, trim: true },
+      },
+    ],
+    refunds: [
+      {
+        method: { type: String, enum: ['Razorpay', 'PhonePe', 'Manual'], default: 'Razorpay' },
+        razorpayRefundId: { type: String, trim: true },
+        phonepeRefundId: { type: String, trim: true },
+        amount: { type: Number, required: true, min: [0, 'Refund amount cannot be negative'] },
+        reason: { type: String, trim: true },
+        status: {
+          type: String,
+          required: true,
+          enum: ['Pending', 'Processed', 'Failed'],
+          default: 'Pending',
+        },
+        items: [
+          {
+            productId: { type: String, required: true, trim: true },
+            variant: { type: String, trim: true, default: '' },
+            quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+            amount: { type: Number, required: true, min: [0, 'Amount cannot be negative'] },
+          },
+        ],
+        // Manual (COD) refunds record how the money was returned
+        manualMode: { type: String, enum: ['UPI', 'Bank Transfer'] },
+        reference: { type: String, trim: true },
+        refundedBy: { type: String, trim: true },
+        error: { type: String, trim: true },
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
-// Calculate expected shipping cost (aligned with frontend and backend)
-const calculateShippingCost = (subtotal) => {
-  if (subtotal >= 800) return 0;
-  if (subtotal >= 500) return 50;
-  return 80;
-};
+orderSchema.pre('validate', async function () {
+  // Totals are only re-derived when pricing inputs change, so later status updates keep the
+  // prices and coupon the order was placed with even if the catalog or coupon has changed since
+  const pricingChanged =
+    this.isNew ||
+    this.isModified('items') ||
+    this.isModified('coupon') ||
+    this.isModified('shippingMethod') ||
+    this.isModified('total') ||
+    this.isModified('tax') ||
+    this.isModified('gstDetails') ||
+    this.isModified('shippingAddress.state');
 
-orderSchema.pre('validate', function (next) {
-  // Calculate totals
-  const itemsTotal = this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const expectedShippingCost = calculateShippingCost(itemsTotal);
-  let shippingCost = expectedShippingCost;
-  let couponDiscount = this.coupon.discount || 0;
+  if (pricingChanged) {
+    // Eligibility (dates, usage limits) is only checked when the order is placed; the order's
+    // own redemption would otherwise count against it once the coupon is at its limit
+    const totals = await validateOrderTotals(this, { checkCouponEligibility: this.isNew });
+    if (totals.error) {
+      console.error(`Totals check failed for order ${this.orderId}: ${totals.error}`);
+      throw new Error(totals.error);
+    }
 
-  // Validate coupon and shipping cost
-  if (this.coupon.code && this.coupon.code.toUpperCase() === 'FREESHIPPING') {
-    if (this.shippingMethod.cost !== 0) {
-      console.error(`Invalid shipping cost for FREESHIPPING coupon in order ${this.orderId}: Expected 0, Received ${this.shippingMethod.cost}`);
-      return next(new Error('Shipping cost must be 0 when FREESHIPPING coupon is applied'));
+    // Items must match the catalog
+    const mismatch = totals.items.find(
+      (item, index) => item.price !== this.items[index].price || item.name !== this.items[index].name
+    );
+    if (mismatch) {
+      console.error(`Item does not match catalog in order ${this.orderId}`, { productId: mismatch.productId });
+      throw new Error(`Price or name for ${mismatch.productId} does not match the catalog`);
     }
-    couponDiscount = expectedShippingCost;
-  } else if (this.shippingMethod.cost !== expectedShippingCost) {
-    console.error(`Invalid shipping cost in order ${this.orderId}: Expected ${expectedShippingCost}, Received ${this.shippingMethod.cost}`);
-    return next(new Error(`Shipping cost must be ${expectedShippingCost} for subtotal ${itemsTotal}`));
-  }
 
-  // Validate total
-  const expectedTotal = Math.max(1, itemsTotal + this.shippingMethod.cost - couponDiscount);
-  if (Math.abs(this.total - expectedTotal) > 0.01) {
-    console.error(`Total mismatch in order ${this.orderId}: Expected ${expectedTotal}, Received ${this.total}`, {
-      itemsTotal,
-      shippingCost: this.shippingMethod.cost,
-      couponDiscount,
-      items: this.items,
-    });
-    return next(new Error(`Total mismatch. Expected: ${expectedTotal}, Received: ${this.total}`));
-  }
+    // Validate coupon and shipping cost
+    if (this.shippingMethod.cost !== totals.shippingCost) {
+      console.error(`Invalid shipping cost in order ${this.orderId}: Expected ${totals.shippingCost}, Received ${this.shippingMethod.cost}`);
+      throw new Error(`Shipping cost must be ${totals.shippingCost} for subtotal ${totals.subtotal}`);
+    }
+    if (Math.abs((this.coupon.discount || 0) - totals.couponDiscount) > 0.01) {
+      console.error(`Coupon discount mismatch in order ${this.orderId}: Expected ${totals.couponDiscount}, Received ${this.coupon.discount}`);
+      throw new Error(`Coupon discount must be ${totals.couponDiscount}`);
+    }
 
-  // Validate coupon discount
-  if (couponDiscount > itemsTotal + this.shippingMethod.cost) {
-    console.error(`Coupon discount exceeds subtotal plus shipping in order ${this.orderId}`, {
-      couponDiscount,
-      itemsTotal,
-      shippingCost: this.shippingMethod.cost,
-      items: this.items,
-    });
-    return next(new Error('Coupon discount cannot exceed subtotal plus shipping'));
+    // Validate total
+    if (Math.abs(this.total - totals.calculatedTotal) > 0.01) {
+      console.error(`Total mismatch in order ${this.orderId}: Expected ${totals.calculatedTotal}, Received ${this.total}`, {
+        itemsTotal: totals.subtotal,
+        shippingCost: this.shippingMethod.cost,
+        couponDiscount: totals.couponDiscount,
+        items: this.items,
+      });
+      throw new Error(`Total mismatch. Expected: ${totals.calculatedTotal}, Received: ${this.total}`);
+    }
+
+    // Stored GST must match the recalculated breakdown and add back up to the total
+    const taxMismatch = findTaxMismatch(this, totals);
+    if (taxMismatch) {
+      console.error(`GST mismatch in order ${this.orderId}: ${taxMismatch}`);
+      throw new Error(`GST breakdown mismatch: ${taxMismatch}`);
+    }
+    const taxedTotal = this.tax.taxableValue + this.tax.totalTax;
+    if (this.total > 1 && Math.abs(taxedTotal - this.total) > 0.01) {
+      console.error(`GST does not reconcile in order ${this.orderId}: ${taxedTotal} vs total ${this.total}`);
+      throw new Error(`GST breakdown (${taxedTotal}) does not add up to the total (${this.total})`);
+    }
   }
 
   // Validate Razorpay order ID
   if (this.paymentMethod === 'Razorpay' && this.paymentStatus === 'Success' && !this.razorpayOrderId) {
     console.error(`Missing Razorpay Order ID for successful Razorpay order ${this.orderId}`);
-    return next(new Error('Razorpay Order ID is required for successful Razorpay orders'));
+    throw new Error('Razorpay Order ID is required for successful Razorpay orders');
+  }
+  if (this.paymentMethod === 'PhonePe' && this.paymentStatus === 'Success' && !this.phonepeMerchantOrderId) {
+    console.error(`Missing PhonePe merchant order ID for successful PhonePe order ${this.orderId}`);
+    throw new Error('PhonePe merchant order ID is required for successful PhonePe orders');
   }
+});
+
+// Refunded so far, counting pending refunds but not failed ones. The static is for lean
+// orders, which have no virtuals.
+orderSchema.statics.sumRefunds = (refunds) =>
+  (refunds || []).filter((refund) => refund.status !== 'Failed').reduce((sum, refund) => sum + refund.amount, 0);
 
-  next();
+orderSchema.virtual('refundedAmount').get(function () {
+  return this.constructor.sumRefunds(this.refunds);
 });
 
-// TTL index for pending orders (expire after 30 minutes)
-orderSchema.index(
-  { createdAt: 1 },
-  {
-    expireAfterSeconds: 30 * 60, // 30 minutes
-    partialFilterExpression: { paymentStatus: 'Pending', paymentMethod: 'Razorpay' },
-  }
-);
+// Unpaid orders are expired and archived by the jobs in utils/orderArchive.js rather than a
+// TTL index, so nothing is deleted without a copy being kept
+orderSchema.index({ paymentStatus: 1, paymentMethod: 1, createdAt: 1 });
 
 // Additional index for efficient querying
 orderSchema.index({ orderId: 1 });
 orderSchema.index({ 'customer.email': 1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ razorpayOrderId: 1 });
 orderSchema.index({ paymentStatus: 1, paymentMethod: 1 });
+orderSchema.index({ fulfillmentStatus: 1 });
+orderSchema.index({ 'shipment.trackingNumber': 1 }, { sparse: true });
+// Admin search sorts and filters
+orderSchema.index({ paymentStatus: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ paymentStatus: 1, total: -1, _id: -1 });
+orderSchema.index({ 'customer.phone': 1 });
+orderSchema.index({ phonepeMerchantOrderId: 1 }, { sparse: true });
+orderSchema.index({ 'shippingAddress.pincode': 1 });
+orderSchema.index({ 'coupon.code': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
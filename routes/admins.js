@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const User = require('../models/User');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+// Admins without a role predate roles and count as owners
+const OWNER_QUERY = { isAdmin: true, $or: [{ role: 'owner' }, { role: { $exists: false } }, { role: null }] };
+
+const formatAdmin = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.getAdminRole(),
+  permissions: user.getPermissions(),
+  createdAt: user.createdAt,
+});
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+router.get('/roles', (req, res) => {
+  res.status(200).json(ROLE_PERMISSIONS);
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const admins = await User.find({ isAdmin: true }).sort({ createdAt: 1 });
+    res.status(200).json(admins.map(formatAdmin));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch admins');
+  }
+});
+
+// Grant an admin role to a user, change it, or pass role: null to remove admin access.
+// The user's sessions are revoked so the new permissions apply immediately.
+router.put('/:userId/role', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!/^[0-9a-fA-F]{24}$/.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const role = req.body.role === null ? null : sanitize(String(req.body.role || '')).trim();
+    if (role !== null && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never leave the shop without an owner
+    if (user.getAdminRole() === 'owner' && role !== 'owner') {
+      const owners = await User.countDocuments(OWNER_QUERY);
+      if (owners <= 1) {
+        return res.status(400).json({ error: 'Cannot remove the last owner' });
+      }
+    }
+
+    const before = { isAdmin: user.isAdmin, role: user.getAdminRole() };
+    user.isAdmin = role !== null;
+    user.role = role || undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    const revoked = await revokeUserSessions(user._id, `Role changed by ${req.user.email}`);
+    console.log(`Admin role for ${user.email} set to ${role || 'none'} by ${req.user.email}`, { revoked });
+    await recordAudit(req, {
+      action: 'admin.role.update',
+      targetType: 'User',
+      targetId: user.email,
+      before,
+      after: { isAdmin: user.isAdmin, role: user.getAdminRole() },
+    });
+    res.status(200).json(role ? formatAdmin(user) : { id: user._id, email: user.email, role: null, permissions: [] });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update admin role');
+  }
+});
+
+module.exports = router;
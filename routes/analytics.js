@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { resolveRange, getSummary, getSalesSeries, getTopProducts, getSalesByRegion } = require('../utils/analytics');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.ANALYTICS_READ));
+
+// Every endpoint takes from/to (IST dates, default the last 30 days) and compares against
+// the period of the same length just before it
+router.use((req, res, next) => {
+  const periods = resolveRange(req.query);
+  if (periods.error) {
+    return res.status(400).json({ error: periods.error });
+  }
+  req.periods = periods;
+  next();
+});
+
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await getSummary(req.periods);
+    res.status(200).json({ ...req.periods, summary });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sales summary');
+  }
+});
+
+router.get('/sales', async (req, res) => {
+  try {
+    const result = await getSalesSeries(req.periods, req.query.interval || 'day');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json({ ...req.periods, ...result });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sales over time');
+  }
+});
+
+router.get('/products', async (req, res) => {
+  try {
+    const result = await getTopProducts(req.periods, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json({ ...req.periods, ...result });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch top products');
+  }
+});
+
+router.get('/regions', async (req, res) => {
+  try {
+    const result = await getSalesByRegion(req.periods, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json({ ...req.periods, ...result });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sales by region');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const sanitize = require('sanitize-html');
+const ArchivedOrder = require('../models/ArchivedOrder');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { parseIstDate, escapeRegex } = require('../utils/orderSearch');
+const { restoreArchivedOrder } = require('../utils/orderArchive');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const clean = (value) => sanitize(String(value || '')).trim();
+
+router.use(authenticateAdmin);
+
+// Search archived orders, e.g. ?email=a@b.com or ?razorpayPaymentId=pay_123 during a dispute.
+// from/to filter on when the order was archived.
+router.get('/', requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = {};
+    const orderId = clean(req.query.orderId || req.query.q);
+    if (orderId) query.orderId = { $regex: escapeRegex(orderId), $options: 'i' };
+    const email = clean(req.query.email).toLowerCase();
+    if (email) query.customerEmail = email;
+    const phone = clean(req.query.phone);
+    if (phone) query.customerPhone = phone;
+    const razorpayOrderId = clean(req.query.razorpayOrderId);
+    if (razorpayOrderId) query.razorpayOrderId = razorpayOrderId;
+    const razorpayPaymentId = clean(req.query.razorpayPaymentId);
+    if (razorpayPaymentId) query.razorpayPaymentId = razorpayPaymentId;
+    const phonepeMerchantOrderId = clean(req.query.phonepeMerchantOrderId);
+    if (phonepeMerchantOrderId) query.phonepeMerchantOrderId = phonepeMerchantOrderId;
+    const phonepeTransactionId = clean(req.query.phonepeTransactionId);
+    if (phonepeTransactionId) query.phonepeTransactionId = phonepeTransactionId;
+
+    const source = clean(req.query.source);
+    if (source) {
+      if (!['cleanup', 'customer-cancel', 'admin'].includes(source)) {
+        return res.status(400).json({ error: 'source must be one of: cleanup, customer-cancel, admin' });
+      }
+      query.source = source;
+    }
+    const status = clean(req.query.status);
+    if (status) {
+      if (!['Archived', 'Restored'].includes(status)) {
+        return res.status(400).json({ error: 'status must be one of: Archived, Restored' });
+      }
+      query.status = status;
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? parseIstDate(req.query.from) : null;
+      const to = req.query.to ? parseIstDate(req.query.to, { endOfDay: true }) : null;
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return res.status(400).json({ error: 'Invalid date format' });
+      }
+      query.archivedAt = {};
+      if (from) query.archivedAt.$gte = from;
+      if (to) query.archivedAt.$lte = to;
+    }
+
+    const [archivedOrders, total] = await Promise.all([
+      ArchivedOrder.find(query).select('-order').sort({ archivedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ArchivedOrder.countDocuments(query),
+    ]);
+    await recordAudit(req, {
+      action: 'order.archive.search',
+      targetType: 'ArchivedOrder',
+      metadata: { query: req.query, count: archivedOrders.length },
+    });
+    res.status(200).json({ archivedOrders, total, page, limit });
+  } catch (error) {
+    handleError(res, error, 'Failed to search archived orders');
+  }
+});
+
+router.get('/:archiveId', requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.archiveId)) {
+      return res.status(404).json({ error: 'Archived order not found' });
+    }
+    const archived = await ArchivedOrder.findById(req.params.archiveId);
+    if (!archived) {
+      return res.status(404).json({ error: 'Archived order not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'order.archive.view',
+      targetType: 'ArchivedOrder',
+      targetId: archived.orderId,
+    });
+    res.status(200).json(archived);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch archived order');
+  }
+});
+
+router.post('/:archiveId/restore', requirePermission(PERMISSIONS.ORDERS_RESTORE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.archiveId)) {
+      return res.status(404).json({ error: 'Archived order not found' });
+    }
+    const reason = clean(req.body.reason);
+    if (reason.length < 3) {
+      return res.status(400).json({ error: 'A reason is required to restore an order' });
+    }
+
+    const result = await restoreArchivedOrder(req.params.archiveId, { actor: req.user.email || req.user.id, reason });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'order.archive.restore',
+      targetType: 'Order',
+      targetId: result.order.orderId,
+      metadata: { reason, archivedReason: result.archived.reason, archivedAt: result.archived.archivedAt },
+    });
+    res.status(200).json({ success: true, order: result.order });
+  } catch (error) {
+    handleError(res, error, 'Failed to restore archived order');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const AuditLog = require('../models/AuditLog');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.AUDIT_READ));
+
+// Query the audit log, e.g. ?action=order.payment.force-update&targetId=ORDER-123
+// actor matches an email or user id; an action ending in ".*" matches by prefix
+router.get('/', async (req, res) => {
+  try {
+    const actor = sanitize(String(req.query.actor || '')).trim();
+    const action = sanitize(String(req.query.action || '')).trim();
+    const targetId = sanitize(String(req.query.targetId || '')).trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = {};
+    if (actor) {
+      query.$or = [{ 'actor.email': actor.toLowerCase() }, { 'actor.id': actor }];
+    }
+    if (action) {
+      query.action = action.endsWith('.*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+    if (targetId) {
+      query.targetId = targetId;
+    }
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'Invalid date format' });
+      }
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+    res.status(200).json({ entries, total, page, limit });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch audit log');
+  }
+});
+
+module.exports = router;
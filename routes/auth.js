@@ -3,19 +3,125 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const sanitize = require('sanitize-html');
-const { checkAdminStatus } = require('../middleware/authenticateAdmin');
+const { authenticateAdmin, checkAdminStatus } = require('../middleware/authenticateAdmin');
+const { authenticateCustomer } = require('../middleware/authenticateCustomer');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/customerAccounts');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeRefreshToken,
+} = require('../utils/sessions');
+
+// Customer registration
+router.post('/register', async (req, res) => {
+  try {
+    const email = sanitize(req.body.email || '').toLowerCase().trim();
+    const { password } = req.body;
+    const firstName = sanitize(req.body.firstName || '').trim();
+    const lastName = sanitize(req.body.lastName || '').trim();
+    const phone = sanitize(req.body.phone || '').trim();
+
+    if (!email || !password || !firstName) {
+      return res.status(400).json({ error: 'Email, password and first name are required' });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+    const passwordError = User.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    if (phone && !/^[0-9]{10}$/.test(phone)) {
+      return res.status(400).json({ error: 'Invalid phone number (must be 10 digits)' });
+    }
+
+    if (await User.exists({ email })) {
+      console.warn(`Registration failed: email already registered ${email}`);
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = new User({ email, password, firstName, lastName, phone: phone || undefined, isAdmin: false });
+    await user.save();
+    console.log(`Customer registered: ${email}`);
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error(`Failed to send verification email to ${email}:`, emailError.message);
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      isAdmin: false,
+      user: user.toProfile(),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation error', details: error.message });
+    }
+    console.error('Registration error:', error.message);
+    res.status(500).json({ error: 'Registration failed', details: error.message });
+  }
+});
+
+// Confirm the customer's email and link their past guest orders
+router.post('/verify-email', async (req, res) => {
+  try {
+    const token = sanitize(req.body.token || '').trim();
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const user = await verifyEmailToken(token);
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    console.log(`Email verified for ${user.email}`);
+    res.status(200).json({ success: true, user: user.toProfile() });
+  } catch (error) {
+    console.error('Email verification error:', error.message);
+    res.status(500).json({ error: 'Email verification failed', details: error.message });
+  }
+});
+
+router.post('/resend-verification', authenticateCustomer, async (req, res) => {
+  try {
+    const user = await User.findById(req.customer.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(500).json({ error: 'Failed to send verification email', details: error.message });
+  }
+});
 
 // Login endpoint
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Sanitize inputs
+    // Sanitize the email only; the password is compared exactly as typed
     const sanitizedEmail = sanitize(email || '').toLowerCase().trim();
-    const sanitizedPassword = sanitize(password || '').trim();
 
     // Validate inputs
-    if (!sanitizedEmail || !sanitizedPassword) {
+    if (!sanitizedEmail || typeof password !== 'string' || !password) {
       console.warn('Missing login credentials', { email: sanitizedEmail });
       return res.status(400).json({ error: 'Email and password are required' });
     }
@@ -23,10 +129,6 @@ router.post('/login', async (req, res) => {
       console.warn('Invalid email format', { email: sanitizedEmail });
       return res.status(400).json({ error: 'Invalid email format' });
     }
-    if (sanitizedPassword.length < 6) {
-      console.warn('Password too short', { email: sanitizedEmail });
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
 
     // Find user
     const user = await User.findOne({ email: sanitizedEmail });
@@ -35,22 +137,46 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Compare plain text password (as requested, not hashed)
-    if (user.password !== sanitizedPassword) {
-      console.warn(`Login failed: Incorrect password for email ${sanitizedEmail}`);
-      return res.status(401).json({ error: 'Invalid email or password' });
+    // Passwords used to be run through sanitize-html and trimmed before they were stored or
+    // hashed. Such a password is accepted once in that form and then re-hashed as typed.
+    let legacyForm = false;
+    if (!(await user.comparePassword(password))) {
+      const sanitizedPassword = sanitize(password).trim();
+      legacyForm = sanitizedPassword !== password && (await user.comparePassword(sanitizedPassword));
+      if (!legacyForm) {
+        console.warn(`Login failed: Incorrect password for email ${sanitizedEmail}`);
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, email: user.email, isAdmin: user.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Migrate legacy plaintext and sanitized passwords; the pre-save hook hashes the value
+    if (legacyForm || !user.isPasswordHashed()) {
+      try {
+        user.password = password;
+        await user.save({ validateModifiedOnly: true });
+        console.log(`Re-hashed legacy password for ${sanitizedEmail}`);
+      } catch (rehashError) {
+        console.error(`Failed to re-hash password for ${sanitizedEmail}:`, rehashError.message);
+      }
+    }
+
+    // Shoppers get a customer session whose tokens admin routes reject
+    const { accessToken, refreshToken } = await createSession(user, req);
+    if (!user.isAdmin) {
+      console.log(`Customer login successful for ${sanitizedEmail}`);
+      return res.status(200).json({
+        token: accessToken,
+        refreshToken,
+        isAdmin: false,
+        email: user.email,
+        user: user.toProfile(),
+      });
+    }
 
     console.log(`Login successful for ${sanitizedEmail}`);
     res.status(200).json({
-      token,
+      token: accessToken,
+      refreshToken,
       isAdmin: user.isAdmin,
       email: user.email,
     });
@@ -60,6 +186,79 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = String(req.body.refreshToken || '').trim();
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      isAdmin: result.user.isAdmin,
+      email: result.user.email,
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ error: 'Token refresh failed', details: error.message });
+  }
+});
+
+// End the current session. Works with an expired access token or with just the refresh token.
+router.post('/logout', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    const refreshToken = String(req.body.refreshToken || '').trim();
+
+    let revoked = false;
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (decoded.sid) revoked = await revokeSession(decoded.sid, 'Logged out');
+      } catch (tokenError) {
+        console.warn('Logout with invalid access token:', tokenError.message);
+      }
+    }
+    if (!revoked && refreshToken) {
+      revoked = await revokeRefreshToken(refreshToken, 'Logged out');
+    }
+
+    res.status(200).json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Logout failed', details: error.message });
+  }
+});
+
+// Revoke every session of the calling admin, or of another user when userId is given
+router.post('/logout-all', authenticateAdmin, async (req, res) => {
+  try {
+    const userId = req.body.userId ? String(req.body.userId) : String(req.user.id);
+    if (!/^[0-9a-fA-F]{24}$/.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (userId !== String(req.user.id) && !(req.user.permissions || []).includes(PERMISSIONS.USERS_MANAGE)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action', permission: PERMISSIONS.USERS_MANAGE });
+    }
+
+    const revoked = await revokeUserSessions(userId, `Logged out everywhere by ${req.user.email}`);
+    console.log(`Revoked ${revoked} sessions for user ${userId} by ${req.user.email}`);
+    await recordAudit(req, { action: 'user.sessions.revoke', targetType: 'User', targetId: userId, metadata: { revoked } });
+    res.status(200).json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout-all error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke sessions', details: error.message });
+  }
+});
+
 // Check admin status endpoint
 router.get('/check-admin', checkAdminStatus);
 
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { validateOrderTotals } = require('../utils/orderTotals');
+const { placeOrder } = require('../utils/orderPlacement');
+const { resolveRange } = require('../utils/analytics');
+const { PAYMENT_METHODS } = require('../utils/payments');
+const {
+  getResumableCheckout,
+  claimResume,
+  releaseResume,
+  recordResumedOrder,
+  completeCheckout,
+  unsubscribe,
+  getRecoveryReport,
+} = require('../utils/abandonedCheckouts');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+// Place an order from the checkout, once the resume is claimed. Returns { order, couponDropped }
+// or { error, status }.
+const placeResumedOrder = async (checkout, orderData, reminder) => {
+  let quote = await validateOrderTotals(orderData);
+  let couponDropped = false;
+  if (quote.error && orderData.coupon.code) {
+    const withoutCoupon = await validateOrderTotals({ ...orderData, coupon: { code: '' } });
+    if (!withoutCoupon.error) {
+      console.log(`Coupon ${orderData.coupon.code} dropped when resuming checkout ${checkout.orderId}: ${quote.error}`);
+      orderData.coupon = { code: '' };
+      quote = withoutCoupon;
+      couponDropped = true;
+    }
+  }
+  if (quote.error) {
+    return { error: quote.error, status: 409 };
+  }
+  orderData.shippingMethod.cost = quote.shippingCost;
+  orderData.total = quote.calculatedTotal;
+
+  const result = await placeOrder(orderData, { account: checkout.userId ? { _id: checkout.userId } : null });
+  if (result.error) return result;
+  const { order } = result;
+
+  await recordResumedOrder(checkout, order, reminder);
+  // COD orders are paid at creation, before the resume was recorded
+  if (order.paymentStatus === 'Success') {
+    await completeCheckout(order);
+  }
+  return { order, couponDropped };
+};
+
+// Recreate an abandoned checkout as a new order at today's prices. A coupon that is no
+// longer valid is dropped rather than blocking the order. The link places one order: using it
+// again returns that order while it is paid or still payable.
+router.post('/resume', async (req, res) => {
+  try {
+    const resumable = await getResumableCheckout(req.body?.token);
+    if (resumable.error) {
+      return res.status(resumable.status).json({ error: resumable.error });
+    }
+    if (resumable.order) {
+      return res.status(200).json({ order: resumable.order, couponDropped: false, previousTotal: resumable.checkout.total });
+    }
+    const { checkout, orderData, reminder } = resumable;
+
+    orderData.paymentMethod = sanitize(String(req.body.paymentMethod || 'Razorpay'));
+    if (!PAYMENT_METHODS.includes(orderData.paymentMethod)) {
+      return res.status(400).json({ error: `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (!(await claimResume(checkout))) {
+      return res.status(409).json({ error: 'This checkout is already being resumed, please try again shortly' });
+    }
+    let result;
+    try {
+      result = await placeResumedOrder(checkout, orderData, reminder);
+    } finally {
+      if (!result?.order) await releaseResume(checkout);
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { order, couponDropped } = result;
+
+    res.status(201).json({ order, couponDropped, previousTotal: checkout.total });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to resume checkout');
+  }
+});
+
+// Link from the reminder email
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const email = await unsubscribe(req.query.token);
+    if (!email) {
+      return res.status(400).send('<p>This unsubscribe link is invalid.</p>');
+    }
+    res.status(200).send('<p>You have been unsubscribed from cart reminder emails.</p>');
+  } catch (error) {
+    console.error('Failed to unsubscribe:', error.message);
+    res.status(500).send('<p>Something went wrong, please try again later.</p>');
+  }
+});
+
+// One-click unsubscribe (List-Unsubscribe-Post) from mail clients
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const email = await unsubscribe(req.query.token || req.body?.token);
+    if (!email) {
+      return res.status(400).json({ error: 'Invalid unsubscribe token' });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Failed to unsubscribe');
+  }
+});
+
+router.get('/report', authenticateAdmin, requirePermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
+  try {
+    const periods = resolveRange(req.query);
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+    const report = await getRecoveryReport(periods.range);
+    res.status(200).json({ range: periods.range, report });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch recovery report');
+  }
+});
+
+router.get('/', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
+  try {
+    const status = sanitize(String(req.query.status || '')).trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = { status: { $in: ['Abandoned', 'Recovered'] } };
+    if (status) {
+      if (!['Open', 'Abandoned', 'Recovered'].includes(status)) {
+        return res.status(400).json({ error: 'status must be one of: Open, Abandoned, Recovered' });
+      }
+      query.status = status;
+    }
+
+    const [checkouts, total] = await Promise.all([
+      AbandonedCheckout.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AbandonedCheckout.countDocuments(query),
+    ]);
+    await recordAudit(req, {
+      action: 'abandoned-checkout.list',
+      targetType: 'AbandonedCheckout',
+      metadata: { query: req.query, count: checkouts.length },
+    });
+    res.status(200).json({ checkouts, total, page, limit });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch abandoned checkouts');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Contact = require('../models/Contact.js');
-const { sendEmail } = require('../utils/email.js');
+const { queueEmail } = require('../utils/emailOutbox');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
 
 const validateEmail = (email) => {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -48,22 +52,11 @@ router.post('/', async (req, res) => {
       throw new Error('Support email is not configured or invalid');
     }
 
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px;">
-        <h2>New Contact Form Submission</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Phone:</strong> ${phone || 'Not provided'}</p>
-        <p><strong>Subject:</strong> ${subject || 'Not provided'}</p>
-        <p><strong>Message:</strong> ${message}</p>
-        <p><strong>Submitted At:</strong> ${new Date().toLocaleString()}</p>
-      </div>
-    `;
-
-    await sendEmail({
-      email: supportEmail,
-      subject: `New Contact Form Submission: ${subject || 'No Subject'}`,
-      html,
+    // Rendered from the saved, trimmed values; the template escapes them
+    await queueEmail({
+      kind: 'contact',
+      to: supportEmail,
+      ...renderTemplate('contact', { contact }),
     });
 
     res.status(201).json({ message: 'Your message has been sent successfully!' });
@@ -73,4 +66,22 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Contact form submissions for the support inbox, newest first
+router.get('/', authenticateAdmin, requirePermission(PERMISSIONS.CONTACTS_READ), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [contacts, total] = await Promise.all([
+      Contact.find().sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Contact.countDocuments(),
+    ]);
+    await recordAudit(req, { action: 'contact.list', targetType: 'Contact', metadata: { page, limit, count: contacts.length } });
+    res.status(200).json({ contacts, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching contacts:', error.message);
+    res.status(500).json({ error: 'Failed to fetch contacts', details: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
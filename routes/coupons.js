@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const Coupon = require('../models/Coupon');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { findProducts } = require('../utils/catalog');
+const { validateOrderTotals } = require('../utils/orderTotals');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+const toOptionalDate = (value) => (value === undefined || value === null || value === '' ? undefined : new Date(value));
+
+// Sanitize a coupon payload; only fields present in the body are returned so it also serves updates
+const sanitizeCouponInput = async (body) => {
+  const data = {};
+  if (body.code !== undefined) data.code = sanitize(String(body.code));
+  if (body.description !== undefined) data.description = sanitize(String(body.description));
+  if (body.type !== undefined) data.type = sanitize(String(body.type));
+  if (body.value !== undefined) data.value = Number(body.value);
+  if (body.minSubtotal !== undefined) data.minSubtotal = toOptionalNumber(body.minSubtotal) || 0;
+  if (body.maxDiscount !== undefined) data.maxDiscount = toOptionalNumber(body.maxDiscount);
+  if (body.startsAt !== undefined) data.startsAt = toOptionalDate(body.startsAt);
+  if (body.endsAt !== undefined) data.endsAt = toOptionalDate(body.endsAt);
+  if (body.usageLimit !== undefined) data.usageLimit = toOptionalNumber(body.usageLimit);
+  if (body.perCustomerLimit !== undefined) data.perCustomerLimit = toOptionalNumber(body.perCustomerLimit);
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (Array.isArray(body.categories)) {
+    data.categories = body.categories.map((c) => sanitize(String(c)).trim()).filter(Boolean);
+  }
+  if (Array.isArray(body.productIds)) {
+    // Accept product ids or SKUs; store canonical ids to match Order.items.productId
+    const requested = body.productIds.map((id) => sanitize(String(id)).trim()).filter(Boolean);
+    const products = await findProducts(requested);
+    const unknown = requested.filter((id) => !products.has(id));
+    if (unknown.length > 0) {
+      return { error: `Unknown products: ${unknown.join(', ')}` };
+    }
+    data.productIds = [...new Set(requested.map((id) => products.get(id)._id.toString()))];
+  }
+  return { data };
+};
+
+// Public: preview a coupon against a cart without placing an order
+router.post('/validate', async (req, res) => {
+  try {
+    const code = sanitize(String(req.body.code || '')).trim();
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    const items = req.body.items.map((item) => ({
+      productId: sanitize(String(item.productId || '')),
+      quantity: Number(item.quantity) || 1,
+      variant: sanitize(String(item.variant || '')),
+    }));
+    if (items.some((item) => !item.productId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return res.status(400).json({ error: 'Invalid item product or quantity' });
+    }
+
+    const totals = await validateOrderTotals({
+      items,
+      coupon: { code },
+      customer: { email: sanitize(String(req.body.email || '')).trim() },
+    });
+    if (totals.error) {
+      return res.status(400).json({ valid: false, error: totals.error });
+    }
+
+    res.status(200).json({
+      valid: true,
+      coupon: {
+        code: totals.coupon.code,
+        type: totals.coupon.type,
+        description: totals.coupon.description,
+      },
+      subtotal: totals.subtotal,
+      shippingCost: totals.shippingCost,
+      discount: totals.couponDiscount,
+      total: totals.calculatedTotal,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to validate coupon');
+  }
+});
+
+router.get('/', authenticateAdmin, requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    console.log(`Fetched ${coupons.length} coupons`);
+    res.status(200).json(coupons);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch coupons');
+  }
+});
+
+router.get('/:code', authenticateAdmin, requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ code: req.params.code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.status(200).json(coupon);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch coupon');
+  }
+});
+
+router.post('/', authenticateAdmin, requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await sanitizeCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!data.code || !data.type) {
+      return res.status(400).json({ error: 'Code and type are required' });
+    }
+
+    const coupon = new Coupon(data);
+    await coupon.save();
+    console.log(`Coupon created: ${coupon.code} by ${req.user.email}`);
+    await recordAudit(req, { action: 'coupon.create', targetType: 'Coupon', targetId: coupon.code, after: coupon });
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return handleError(res, error, 'Duplicate coupon code', 400);
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to create coupon');
+  }
+});
+
+router.put('/:code', authenticateAdmin, requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ code: req.params.code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const { data, error } = await sanitizeCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Codes are immutable because orders and redemptions reference them
+    delete data.code;
+
+    const before = coupon.toObject();
+    coupon.set(data);
+    await coupon.save();
+    console.log(`Coupon updated: ${coupon.code} by ${req.user.email}`);
+    await recordAudit(req, { action: 'coupon.update', targetType: 'Coupon', targetId: coupon.code, before, after: coupon });
+    res.status(200).json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update coupon');
+  }
+});
+
+router.delete('/:code', authenticateAdmin, requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const coupon = await Coupon.findOneAndDelete({ code: req.params.code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    console.log(`Coupon deleted: ${coupon.code} by ${req.user.email}`);
+    await recordAudit(req, { action: 'coupon.delete', targetType: 'Coupon', targetId: coupon.code, before: coupon });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete coupon');
+  }
+});
+
+module.exports = router;
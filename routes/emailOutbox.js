@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const sanitize = require('sanitize-html');
+const OutboxEmail = require('../models/OutboxEmail');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { retryEmail } = require('../utils/emailOutbox');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const clean = (value) => sanitize(String(value || '')).trim();
+
+// Listings leave out the rendered body and attachment data
+const SUMMARY_FIELDS = '-html -text -attachments.content -headers';
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.EMAILS_MANAGE));
+
+// Failed mail, newest first: dead-lettered by default, ?status=Pending for mail still being
+// retried, or ?status=All for both. Filter with ?orderId= or ?kind=.
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const status = clean(req.query.status) || 'Dead';
+    if (!['Dead', 'Pending', 'All'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: Dead, Pending, All' });
+    }
+    const query = status === 'All'
+      ? { $or: [{ status: 'Dead' }, { status: 'Pending', attempts: { $gt: 0 } }] }
+      : { status, attempts: { $gt: 0 } };
+    const orderId = clean(req.query.orderId);
+    if (orderId) query.orderId = orderId;
+    const kind = clean(req.query.kind);
+    if (kind) query.kind = kind;
+
+    const [emails, total] = await Promise.all([
+      OutboxEmail.find(query).select(SUMMARY_FIELDS).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      OutboxEmail.countDocuments(query),
+    ]);
+    res.status(200).json({ emails, total, page, limit });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch failed emails');
+  }
+});
+
+router.get('/:emailId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.emailId)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const email = await OutboxEmail.findById(req.params.emailId).select('-attachments.content');
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    res.status(200).json(email);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch email');
+  }
+});
+
+// Send a dead-lettered mail again, e.g. once the SMTP credentials have been fixed
+router.post('/:emailId/retry', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.emailId)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const email = await retryEmail(req.params.emailId);
+    if (!email) {
+      return res.status(409).json({ error: 'Only dead-lettered emails can be retried' });
+    }
+
+    await recordAudit(req, {
+      action: 'email.retry',
+      targetType: 'OutboxEmail',
+      targetId: String(email._id),
+      metadata: { kind: email.kind, orderId: email.orderId, attempts: email.attempts, lastError: email.lastError },
+    });
+    res.status(202).json({
+      success: true,
+      email: { _id: email._id, kind: email.kind, status: email.status, attempts: email.attempts, maxAttempts: email.maxAttempts },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retry email');
+  }
+});
+
+module.exports = router;
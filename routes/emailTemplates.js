@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const Order = require('../models/order');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { TEMPLATE_NAMES, getTemplate, previewTemplate } = require('../utils/emailTemplates');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.EMAILS_MANAGE));
+
+router.get('/', (req, res) => {
+  res.status(200).json({
+    templates: TEMPLATE_NAMES.map((name) => ({ name, description: getTemplate(name).description })),
+  });
+});
+
+// Render a template against a built-in sample order, or a real one with ?orderId=. Returns the
+// HTML as a page by default; ?format=text gives the plain-text part and ?format=json all parts.
+router.get('/:name/preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!TEMPLATE_NAMES.includes(name)) {
+      return res.status(404).json({ error: `Unknown template. Must be one of: ${TEMPLATE_NAMES.join(', ')}` });
+    }
+    const format = sanitize(String(req.query.format || 'html')).trim();
+    if (!['html', 'text', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: html, text, json' });
+    }
+
+    let order;
+    const orderId = sanitize(String(req.query.orderId || '')).trim();
+    if (orderId) {
+      const found = await Order.findOne({ orderId });
+      if (!found) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      order = found.toObject();
+    }
+
+    let rendered;
+    try {
+      rendered = previewTemplate(name, order);
+    } catch (renderError) {
+      return handleError(res, renderError, `Template ${name} cannot be rendered for this order`, 422);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    if (format === 'json') {
+      return res.status(200).json(rendered);
+    }
+    if (format === 'text') {
+      return res.status(200).type('text/plain').send(rendered.text);
+    }
+    res.status(200).type('html').send(rendered.html);
+  } catch (error) {
+    handleError(res, error, 'Failed to preview email template');
+  }
+});
+
+module.exports = router;
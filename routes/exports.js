@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const ExportJob = require('../models/ExportJob');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const {
+  SYNC_EXPORT_LIMIT,
+  CONTENT_TYPES,
+  buildExportPlan,
+  streamOrderExport,
+  createExportJob,
+  processExportJobs,
+} = require('../utils/orderExport');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const toJobResponse = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  format: job.format,
+  mode: job.mode,
+  filters: job.filters,
+  requestedBy: job.requestedBy,
+  rowCount: job.rowCount,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadUrl: job.status === 'Completed' ? `/api/exports/jobs/${job._id}/download` : null,
+});
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_EXPORT));
+
+// Same filters as GET /api/orders, plus format (csv|xlsx) and mode (orders|items).
+// Small exports stream straight back; large ones (or background=true) are queued as a job.
+router.get('/orders', async (req, res) => {
+  try {
+    const plan = buildExportPlan(req.query);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error });
+    }
+    const { cursor, limit, background, ...filters } = req.query;
+
+    const matched = await Order.countDocuments(plan.query);
+    if (background === 'true' || matched > SYNC_EXPORT_LIMIT) {
+      const job = await createExportJob(plan, filters, req.user);
+      await recordAudit(req, {
+        action: 'order.export.queue',
+        targetType: 'ExportJob',
+        targetId: job._id,
+        metadata: { query: filters, matched },
+      });
+      console.log(`Queued order export ${job._id} for ${matched} orders`);
+      // Not awaited: the job runs after the response, and the cron retries anything left queued
+      processExportJobs();
+      return res.status(202).json({ ...toJobResponse(job), matched });
+    }
+
+    await recordAudit(req, {
+      action: 'order.export',
+      targetType: 'Order',
+      metadata: { query: filters, matched },
+    });
+    const rowCount = await streamOrderExport(res, plan);
+    console.log(`Streamed order export: ${rowCount} rows (${plan.format}, ${plan.mode})`);
+  } catch (error) {
+    // Once rows have been sent the status can no longer change; cut the download short instead
+    if (res.headersSent) {
+      console.error('Order export failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    handleError(res, error, 'Failed to export orders');
+  }
+});
+
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    const job = await ExportJob.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    res.status(200).json(toJobResponse(job));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch export job');
+  }
+});
+
+router.get('/jobs/:jobId/download', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    const job = await ExportJob.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    if (job.status !== 'Completed') {
+      return res.status(409).json({ error: `Export is ${job.status.toLowerCase()}`, status: job.status });
+    }
+
+    await recordAudit(req, {
+      action: 'order.export.download',
+      targetType: 'ExportJob',
+      targetId: job._id,
+      metadata: { rowCount: job.rowCount },
+    });
+    res.set('Content-Type', CONTENT_TYPES[job.format]);
+    res.download(job.filePath, job.fileName, (error) => {
+      if (!error) return;
+      if (res.headersSent) return res.destroy(error);
+      if (error.code === 'ENOENT') {
+        return res.status(410).json({ error: 'Export file is no longer available' });
+      }
+      handleError(res, error, 'Failed to download export');
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to download export');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const Stock = require('../models/Stock');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { findProducts } = require('../utils/catalog');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.INVENTORY_MANAGE));
+
+// Stock levels with reserved vs available counts
+router.get('/', async (req, res) => {
+  try {
+    const stocks = await Stock.find().sort({ productId: 1, variant: 1 });
+    console.log(`Fetched ${stocks.length} stock rows`);
+    res.status(200).json(stocks);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch stock levels');
+  }
+});
+
+// Rows at or below their low-stock threshold
+router.get('/low-stock', async (req, res) => {
+  try {
+    const stocks = await Stock.find({
+      $expr: { $lte: [{ $subtract: ['$onHand', '$reserved'] }, '$lowStockThreshold'] },
+    }).sort({ onHand: 1 });
+    console.log(`Fetched ${stocks.length} low-stock rows`);
+    res.status(200).json(stocks);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch low-stock alerts');
+  }
+});
+
+router.get('/:productId', async (req, res) => {
+  try {
+    const product = (await findProducts([req.params.productId])).get(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const stocks = await Stock.find({ productId: product._id.toString() }).sort({ variant: 1 });
+    res.status(200).json(stocks);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch stock');
+  }
+});
+
+// Set (onHand) or adjust (adjustment) stock for a product variant; creates the row on first use
+router.put('/:productId', async (req, res) => {
+  try {
+    const variant = sanitize(String(req.body.variant || ''));
+    const hasOnHand = req.body.onHand !== undefined;
+    const hasAdjustment = req.body.adjustment !== undefined;
+    const onHand = Number(req.body.onHand);
+    const adjustment = Number(req.body.adjustment);
+    const lowStockThreshold = req.body.lowStockThreshold !== undefined ? Number(req.body.lowStockThreshold) : undefined;
+    const reason = sanitize(String(req.body.reason || ''));
+
+    if (hasOnHand === hasAdjustment && lowStockThreshold === undefined) {
+      return res.status(400).json({ error: 'Provide either onHand or adjustment' });
+    }
+    if (hasOnHand && hasAdjustment) {
+      return res.status(400).json({ error: 'Provide either onHand or adjustment, not both' });
+    }
+    if (hasOnHand && (!Number.isInteger(onHand) || onHand < 0)) {
+      return res.status(400).json({ error: 'onHand must be a non-negative integer' });
+    }
+    if (hasAdjustment && (!Number.isInteger(adjustment) || adjustment === 0)) {
+      return res.status(400).json({ error: 'adjustment must be a non-zero integer' });
+    }
+    if (lowStockThreshold !== undefined && (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)) {
+      return res.status(400).json({ error: 'lowStockThreshold must be a non-negative integer' });
+    }
+
+    const product = (await findProducts([req.params.productId])).get(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const catalogVariant = variant ? product.variants.find((v) => v.name === variant) : null;
+    if (variant && !catalogVariant) {
+      return res.status(400).json({ error: `Unknown variant "${variant}" for ${product.name}` });
+    }
+
+    const key = { productId: product._id.toString(), variant };
+    const update = {
+      $set: { sku: catalogVariant ? catalogVariant.sku : product.sku },
+    };
+    if (hasOnHand) update.$set.onHand = onHand;
+    if (hasAdjustment) update.$inc = { onHand: adjustment };
+    if (lowStockThreshold !== undefined) update.$set.lowStockThreshold = lowStockThreshold;
+
+    // Negative adjustments only apply when enough unreserved stock remains
+    const filter = hasAdjustment && adjustment < 0
+      ? { ...key, $expr: { $gte: [{ $subtract: ['$onHand', '$reserved'] }, -adjustment] } }
+      : key;
+
+    const before = await Stock.findOne(key).lean();
+    const stock = await Stock.findOneAndUpdate(filter, update, {
+      new: true,
+      upsert: !(hasAdjustment && adjustment < 0),
+      runValidators: true,
+      setDefaultsOnInsert: true,
+    });
+    if (!stock) {
+      return res.status(400).json({ error: 'Adjustment exceeds available (unreserved) stock' });
+    }
+
+    console.log(`Stock updated for ${stock.sku}${variant ? ` (${variant})` : ''} by ${req.user.email}`, {
+      onHand: stock.onHand,
+      reserved: stock.reserved,
+      adjustment: hasAdjustment ? adjustment : undefined,
+      reason,
+    });
+    await recordAudit(req, {
+      action: 'stock.update',
+      targetType: 'Stock',
+      targetId: stock.sku,
+      before: before || {},
+      after: stock,
+      fields: ['onHand', 'lowStockThreshold'],
+      metadata: { variant: variant || undefined, adjustment: hasAdjustment ? adjustment : undefined, reason },
+    });
+    res.status(200).json(stock);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update stock');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/order');
+const User = require('../models/User');
+const { authenticateAdmin, optionalAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { optionalCustomer } = require('../middleware/authenticateCustomer');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { linkOrdersToUser } = require('../utils/customerAccounts');
+const { issueInvoice, regenerateInvoice, renderInvoicePdf, invoiceFilename } = require('../utils/invoices');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+// Admins with order access, or the customer whose account the order belongs to
+const canAccessOrder = async (req, order) => {
+  if (req.user) return (req.user.permissions || []).includes(PERMISSIONS.ORDERS_READ);
+  if (!req.customer) return false;
+
+  if (order.userId) return order.userId.toString() === String(req.customer.id);
+  // Guest order placed before the account was verified: link it now if the email matches
+  const user = await User.findById(req.customer.id);
+  if (!user || !user.emailVerified || user.email !== order.customer.email) return false;
+  await linkOrdersToUser(user);
+  return true;
+};
+
+const sendPdf = async (res, invoice, disposition = 'attachment') => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${disposition}; filename="${invoiceFilename(invoice)}"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+};
+
+router.get('/:orderId', optionalAdmin, optionalCustomer, async (req, res) => {
+  try {
+    if (!req.user && !req.customer) {
+      return res.status(401).json({ error: 'Access denied, no token provided' });
+    }
+
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    // Same response for missing and foreign orders so order ids cannot be probed
+    if (!order || !(await canAccessOrder(req, order))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.paymentStatus !== 'Success') {
+      return res.status(400).json({ error: 'Invoices are only available for paid orders' });
+    }
+
+    const result = await issueInvoice(order);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (req.user) {
+      await recordAudit(req, { action: 'invoice.download', targetType: 'Order', targetId: order.orderId });
+    }
+    await sendPdf(res, result.invoice);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch invoice');
+  }
+});
+
+// Rebuild the invoice from the current order data, keeping its number
+router.post(
+  '/:orderId/regenerate',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.INVOICES_MANAGE),
+  async (req, res) => {
+    try {
+      const order = await Order.findOne({ orderId: req.params.orderId });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const result = await regenerateInvoice(order, { actor: req.user.email || req.user.id });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await recordAudit(req, {
+        action: 'invoice.regenerate',
+        targetType: 'Order',
+        targetId: order.orderId,
+        metadata: { invoiceNumber: result.invoice.invoiceNumber, revision: result.invoice.revision },
+      });
+      res.status(200).json({ success: true, invoice: result.invoice });
+    } catch (error) {
+      handleError(res, error, 'Failed to regenerate invoice');
+    }
+  }
+);
+
+module.exports = router;
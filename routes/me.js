@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const User = require('../models/User');
+const Order = require('../models/order');
+const { authenticateCustomer } = require('../middleware/authenticateCustomer');
+const { linkOrdersToUser } = require('../utils/customerAccounts');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const sanitizeAddress = (body) => ({
+  label: sanitize(String(body.label || 'Home')).trim(),
+  firstName: sanitize(String(body.firstName || '')).trim(),
+  lastName: sanitize(String(body.lastName || '')).trim(),
+  phone: sanitize(String(body.phone || '')).trim() || undefined,
+  address1: sanitize(String(body.address1 || '')).trim(),
+  address2: sanitize(String(body.address2 || '')).trim(),
+  city: sanitize(String(body.city || '')).trim(),
+  state: sanitize(String(body.state || '')).trim(),
+  pincode: sanitize(String(body.pincode || '')).trim(),
+  country: sanitize(String(body.country || 'India')).trim(),
+  isDefault: body.isDefault === true || body.isDefault === 'true',
+});
+
+router.use(authenticateCustomer);
+
+// Load the signed-in customer for every route below
+router.use(async (req, res, next) => {
+  try {
+    const user = await User.findById(req.customer.id);
+    if (!user) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+    req.account = user;
+    next();
+  } catch (error) {
+    handleError(res, error, 'Failed to load account');
+  }
+});
+
+router.get('/', (req, res) => {
+  res.status(200).json(req.account.toProfile());
+});
+
+router.put('/', async (req, res) => {
+  try {
+    const user = req.account;
+    if (req.body.firstName !== undefined) user.firstName = sanitize(String(req.body.firstName)).trim();
+    if (req.body.lastName !== undefined) user.lastName = sanitize(String(req.body.lastName)).trim();
+    if (req.body.phone !== undefined) user.phone = sanitize(String(req.body.phone)).trim() || undefined;
+
+    await user.save();
+    res.status(200).json(user.toProfile());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update profile');
+  }
+});
+
+router.post('/addresses', async (req, res) => {
+  try {
+    const user = req.account;
+    const address = sanitizeAddress(req.body);
+    if (address.isDefault || user.addresses.length === 0) {
+      user.addresses.forEach((a) => { a.isDefault = false; });
+      address.isDefault = true;
+    }
+
+    user.addresses.push(address);
+    await user.save();
+    res.status(201).json(user.addresses);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to add address');
+  }
+});
+
+router.put('/addresses/:addressId', async (req, res) => {
+  try {
+    const user = req.account;
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const update = sanitizeAddress({ ...address.toObject(), ...req.body });
+    if (update.isDefault) {
+      user.addresses.forEach((a) => { a.isDefault = false; });
+    }
+    address.set(update);
+    await user.save();
+    res.status(200).json(user.addresses);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update address');
+  }
+});
+
+router.delete('/addresses/:addressId', async (req, res) => {
+  try {
+    const user = req.account;
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && user.addresses.length > 0) {
+      user.addresses[0].isDefault = true;
+    }
+    await user.save();
+    res.status(200).json(user.addresses);
+  } catch (error) {
+    handleError(res, error, 'Failed to delete address');
+  }
+});
+
+router.get('/orders', async (req, res) => {
+  try {
+    // Pick up guest orders placed with the verified email since the last visit
+    await linkOrdersToUser(req.account);
+
+    const orders = await Order.find({ userId: req.account._id, paymentStatus: 'Success' })
+      .sort({ createdAt: -1 })
+      .select('-statusHistory.changedBy -refunds.refundedBy');
+    res.status(200).json(orders);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch orders');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const { pay, getMockOrder } = require('../utils/payments/razorpayMock');
+
+// Development only: mounted when RAZORPAY_MODE=mock. Stands in for the Razorpay checkout popup.
+// Pay with { outcome: 'success' | 'failure' | 'delayed' | 'duplicate', delayMs } and pass the
+// returned `checkout` object to /api/orders/verify-payment as the browser would.
+router.post('/orders/:razorpayOrderId/pay', (req, res) => {
+  const delayMs = req.body?.delayMs !== undefined ? parseInt(req.body.delayMs, 10) : undefined;
+  if (delayMs !== undefined && !(delayMs >= 0)) {
+    return res.status(400).json({ error: 'delayMs must be a non-negative number of milliseconds' });
+  }
+
+  const result = pay(req.params.razorpayOrderId, {
+    outcome: sanitize(String(req.body?.outcome || 'success')),
+    delayMs,
+    method: req.body?.method ? sanitize(String(req.body.method)) : undefined,
+  });
+  if (result.error && result.status) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(200).json(result);
+});
+
+router.get('/orders/:razorpayOrderId', (req, res) => {
+  const order = getMockOrder(req.params.razorpayOrderId);
+  if (!order) {
+    return res.status(404).json({ error: 'Mock order not found' });
+  }
+  res.status(200).json(order);
+});
+
+module.exports = router;
@@ -1,53 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const sanitize = require('sanitize-html');
 const Order = require('../models/order');
-const { authenticateAdmin } = require('../middleware/authenticateAdmin');
-const { sendEmail, generateOrderEmail } = require('../utils/email');
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const User = require('../models/User');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { buildOrderQuery, buildPage } = require('../utils/orderSearch');
+const { optionalCustomer } = require('../middleware/authenticateCustomer');
+const { prefillCheckout } = require('../utils/customerAccounts');
+const { finalizePaidOrder, queueOrderConfirmation } = require('../utils/orderPayments');
+const { validateOrderTotals } = require('../utils/orderTotals');
+const { releaseStock } = require('../utils/stock');
+const { placeOrder } = require('../utils/orderPlacement');
+const { archiveOrder } = require('../utils/orderArchive');
+const { captureCheckout } = require('../utils/abandonedCheckouts');
+const { FULFILLMENT_TRANSITIONS, transitionFulfillment } = require('../utils/fulfillment');
+const { createRefund } = require('../utils/refunds');
+const {
+  PAYMENT_METHODS,
+  ONLINE_PAYMENT_METHODS,
+  isOnlinePayment,
+  getGateway,
+  getGatewayOrderId,
+  applyGatewayStatus,
+  syncPaymentStatus,
+} = require('../utils/payments');
 
 const handleError = (res, error, message, status = 500) => {
   console.error(message, { message: error.message, stack: error.stack });
   res.status(status).json({ error: message, details: error.message });
 };
 
-// Helper to calculate shipping cost based on subtotal (aligned with frontend)
-const calculateShippingCost = (subtotal) => {
-  if (subtotal >= 800) return 0;
-  if (subtotal >= 500) return 50;
-  return 80; // Fixed to match frontend expectation
-};
-
-// Helper to validate and calculate order totals
-const validateOrderTotals = (orderData) => {
-  const subtotal = orderData.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const expectedShippingCost = calculateShippingCost(subtotal);
-  let shippingCost = expectedShippingCost;
-  let couponDiscount = 0;
-
-  // Handle FREESHIPPING coupon
-  if (orderData.coupon.code && orderData.coupon.code.toUpperCase() === 'FREESHIPPING') {
-    couponDiscount = expectedShippingCost;
-    shippingCost = 0;
-  }
-
-  const calculatedTotal = Math.max(1, subtotal + shippingCost - couponDiscount);
-
-  return {
-    subtotal,
-    shippingCost,
-    couponDiscount,
-    calculatedTotal,
-    expectedShippingCost,
-  };
-};
-
 // Helper to check if order is within valid time window (30 minutes)
 const isOrderValid = (createdAt) => {
   const ORDER_TIMEOUT_MINUTES = 30;
@@ -56,6 +41,23 @@ const isOrderValid = (createdAt) => {
   return orderAgeMinutes <= ORDER_TIMEOUT_MINUTES;
 };
 
+// Shape of the order returned to the browser after payment verification
+const formatVerifiedOrder = (order) => ({
+  orderId: order.orderId,
+  paymentStatus: order.paymentStatus,
+  paymentMethod: order.paymentMethod,
+  razorpayPaymentId: order.razorpayPaymentId,
+  razorpayOrderId: order.razorpayOrderId,
+  phonepeTransactionId: order.phonepeTransactionId,
+  total: order.total,
+  customer: order.customer,
+  shippingAddress: order.shippingAddress,
+  items: order.items,
+  shippingMethod: order.shippingMethod,
+  coupon: order.coupon,
+  createdAt: order.createdAt,
+});
+
 // Input validation regex
 const VALIDATION_REGEX = {
   email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
@@ -63,47 +65,52 @@ const VALIDATION_REGEX = {
   pincode: /^[0-9]{6}$/,
 };
 
-router.post('/', async (req, res) => {
+router.post('/', optionalCustomer, async (req, res) => {
   try {
+    // Signed-in customers can leave out details already on their account
+    const account = req.customer ? await User.findById(req.customer.id) : null;
+    if (req.customer && !account) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+    const body = account ? prefillCheckout(req.body, account) : req.body;
+
     // Sanitize and validate input data
     const orderData = {
-      ...req.body,
+      ...body,
       customer: {
-        firstName: sanitize(req.body.customer?.firstName || ''),
-        lastName: sanitize(req.body.customer?.lastName || ''),
-        email: sanitize(req.body.customer?.email || ''),
-        phone: sanitize(req.body.customer?.phone || ''),
+        firstName: sanitize(body.customer?.firstName || ''),
+        lastName: sanitize(body.customer?.lastName || ''),
+        email: sanitize(body.customer?.email || ''),
+        phone: sanitize(body.customer?.phone || ''),
       },
       shippingAddress: {
-        address1: sanitize(req.body.shippingAddress?.address1 || ''),
-        address2: sanitize(req.body.shippingAddress?.address2 || ''),
-        city: sanitize(req.body.shippingAddress?.city || ''),
-        state: sanitize(req.body.shippingAddress?.state || ''),
-        pincode: sanitize(req.body.shippingAddress?.pincode || ''),
-        country: sanitize(req.body.shippingAddress?.country || 'India'),
+        address1: sanitize(body.shippingAddress?.address1 || ''),
+        address2: sanitize(body.shippingAddress?.address2 || ''),
+        city: sanitize(body.shippingAddress?.city || ''),
+        state: sanitize(body.shippingAddress?.state || ''),
+        pincode: sanitize(body.shippingAddress?.pincode || ''),
+        country: sanitize(body.shippingAddress?.country || 'India'),
       },
       coupon: {
-        code: sanitize(req.body.coupon?.code || ''),
-        discount: Number(req.body.coupon?.discount) || 0,
+        code: sanitize(body.coupon?.code || ''),
+        discount: Number(body.coupon?.discount) || 0,
       },
       gstDetails: {
-        gstNumber: sanitize(req.body.gstDetails?.gstNumber || ''),
-        state: sanitize(req.body.gstDetails?.state || ''),
-        city: sanitize(req.body.gstDetails?.city || ''),
+        gstNumber: sanitize(body.gstDetails?.gstNumber || ''),
+        state: sanitize(body.gstDetails?.state || ''),
+        city: sanitize(body.gstDetails?.city || ''),
       },
-      items: req.body.items?.map((item) => ({
+      items: body.items?.map((item) => ({
         productId: sanitize(item.productId || ''),
-        name: sanitize(item.name || ''),
         quantity: Number(item.quantity) || 1,
-        price: Number(item.price) || 0,
         variant: sanitize(item.variant || ''),
       })),
       shippingMethod: {
-        type: sanitize(req.body.shippingMethod?.type || 'Standard'),
-        cost: Number(req.body.shippingMethod?.cost) || 0,
+        type: sanitize(body.shippingMethod?.type || 'Standard'),
+        cost: Number(body.shippingMethod?.cost) || 0,
       },
-      paymentMethod: sanitize(req.body.paymentMethod || 'COD'),
-      total: Number(req.body.total) || 0,
+      paymentMethod: sanitize(body.paymentMethod || 'COD'),
+      total: Number(body.total) || 0,
     };
 
     // Validate required fields
@@ -134,111 +141,30 @@ router.post('/', async (req, res) => {
     if (!VALIDATION_REGEX.pincode.test(orderData.shippingAddress.pincode)) {
       return res.status(400).json({ error: 'Invalid pincode (must be 6 digits)' });
     }
-    if (orderData.items.some((item) => item.quantity < 1 || item.price < 0)) {
-      return res.status(400).json({ error: 'Invalid item quantity or price' });
+    if (orderData.items.some((item) => !item.productId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return res.status(400).json({ error: 'Invalid item product or quantity' });
     }
     if (orderData.gstDetails.gstNumber && (!orderData.gstDetails.state || !orderData.gstDetails.city)) {
       return res.status(400).json({ error: 'GST state and city are required when GST number is provided' });
     }
 
-    const validPaymentMethods = ['COD', 'Razorpay'];
-    if (!validPaymentMethods.includes(orderData.paymentMethod)) {
+    if (!PAYMENT_METHODS.includes(orderData.paymentMethod)) {
       console.warn(`Invalid payment method: ${orderData.paymentMethod}`);
       return res.status(400).json({
-        error: `Invalid payment method. Must be one of: ${validPaymentMethods.join(', ')}`,
+        error: `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`,
       });
     }
 
-    // Validate order totals
-    const totals = validateOrderTotals(orderData);
-
-    // Validate coupon and shipping cost
-    if (orderData.coupon.code) {
-      if (orderData.coupon.code.toUpperCase() === 'FREESHIPPING') {
-        if (orderData.shippingMethod.cost !== 0) {
-          console.warn(`Invalid shipping cost for FREESHIPPING coupon: received ${orderData.shippingMethod.cost}, expected 0`);
-          return res.status(400).json({
-            error: `Invalid shipping cost for FREESHIPPING coupon: expected ₹0, received ₹${orderData.shippingMethod.cost}`,
-          });
-        }
-        orderData.coupon.discount = totals.couponDiscount;
-      } else {
-        console.warn(`Invalid coupon code: ${orderData.coupon.code}`);
-        orderData.coupon.code = '';
-        orderData.coupon.discount = 0;
-        if (orderData.shippingMethod.cost !== totals.expectedShippingCost) {
-          return res.status(400).json({
-            error: `Invalid shipping cost for no coupon: expected ₹${totals.expectedShippingCost}, received ₹${orderData.shippingMethod.cost}`,
-          });
-        }
-      }
-    } else {
-      if (orderData.shippingMethod.cost !== totals.expectedShippingCost) {
-        console.warn(`Invalid shipping cost: received ${orderData.shippingMethod.cost}, expected ${totals.expectedShippingCost}`);
-        return res.status(400).json({
-          error: `Invalid shipping cost: expected ₹${totals.expectedShippingCost}, received ₹${orderData.shippingMethod.cost}`,
-        });
-      }
-      orderData.coupon.discount = 0;
+    const result = await placeOrder(orderData, { account });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    const { order } = result;
 
-    // Validate total
-    if (Math.abs(totals.calculatedTotal - orderData.total) > 0.01) {
-      console.warn(`Total mismatch: received ${orderData.total}, calculated ${totals.calculatedTotal}`, {
-        subtotal: totals.subtotal,
-        shippingCost: totals.shippingCost,
-        couponDiscount: totals.couponDiscount,
-        items: orderData.items,
-      });
-      return res.status(400).json({
-        error: `Invalid total: expected ₹${totals.calculatedTotal}, received ₹${orderData.total}`,
-      });
+    // Unpaid online checkouts are kept so they can be recovered if the payment never arrives
+    if (isOnlinePayment(order.paymentMethod)) {
+      await captureCheckout(order);
     }
-
-    // Generate unique order ID
-    const orderId = `ORDER-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-    // Set initial payment status
-    const initialPaymentStatus = orderData.paymentMethod === 'COD' ? 'Success' : 'Pending';
-
-    const order = new Order({
-      ...orderData,
-      orderId,
-      paymentStatus: initialPaymentStatus,
-      emailSent: false,
-      createdAt: new Date(),
-    });
-
-    await order.save();
-    console.log(`${orderData.paymentMethod} order created: ${orderId}`, {
-      customerEmail: order.customer.email.replace(/(.{2}).*@/, '$1***@'),
-      subtotal: totals.subtotal,
-      shippingCost: totals.shippingCost,
-      couponDiscount: totals.couponDiscount,
-      total: orderData.total,
-      paymentStatus: initialPaymentStatus,
-    });
-
-    // Send email for COD orders
-    if (orderData.paymentMethod === 'COD') {
-      try {
-        const html = await generateOrderEmail({
-          ...order.toObject(),
-          createdAt: order.createdAt.toISOString().split('T')[0],
-        });
-        await sendEmail({
-          email: order.customer.email,
-          subject: `Order Confirmation - ${order.orderId}`,
-          html,
-        });
-        order.emailSent = true;
-        await order.save();
-        console.log(`Confirmation email sent for COD order: ${orderId}`);
-      } catch (emailError) {
-        console.error(`Failed to send email for COD order ${orderId}:`, emailError.message);
-      }
-    }
-
     return res.status(201).json({ order });
   } catch (error) {
     if (error.code === 11000) {
@@ -251,12 +177,13 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.post('/initiate-razorpay-payment', async (req, res) => {
+// Start the gateway payment for an unpaid online order
+const initiatePayment = async (req, res) => {
   try {
     const { orderId } = req.body;
 
     if (!orderId) {
-      console.warn('Missing orderId for Razorpay payment:', req.body);
+      console.warn('Missing orderId for payment initiation:', req.body);
       return res.status(400).json({ error: 'Missing orderId' });
     }
 
@@ -264,41 +191,39 @@ router.post('/initiate-razorpay-payment', async (req, res) => {
     const order = await Order.findOne({
       orderId,
       paymentStatus: 'Pending',
-      paymentMethod: 'Razorpay',
+      paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
     });
 
     if (!order) {
       console.warn(`Order not found or invalid for orderId: ${orderId}`);
       return res.status(404).json({ error: 'Order not found or not in pending state' });
     }
+    const gateway = getGateway(order.paymentMethod);
 
     // Check order timeout
     if (!isOrderValid(order.createdAt)) {
       console.warn(`Order timed out for orderId: ${orderId}`);
+      await releaseStock(orderId, 'Expired');
       return res.status(400).json({ error: 'Order has expired. Please create a new order.' });
     }
 
-    // Validate order totals
-    const totals = validateOrderTotals(order);
-
-    // Verify shipping cost and coupon
-    let validationError = null;
-    if (order.coupon.code && order.coupon.code.toUpperCase() === 'FREESHIPPING') {
-      if (order.shippingMethod.cost !== 0) {
-        validationError = `Invalid shipping cost for FREESHIPPING coupon: expected ₹0, received ₹${order.shippingMethod.cost}`;
-      }
-    } else if (order.shippingMethod.cost !== totals.expectedShippingCost) {
-      validationError = `Invalid shipping cost: expected ₹${totals.expectedShippingCost}, received ₹${order.shippingMethod.cost}`;
+    // Validate order totals against current catalog prices
+    const totals = await validateOrderTotals(order);
+    if (totals.error) {
+      console.warn(`Order ${orderId} can no longer be paid: ${totals.error}`);
+      return res.status(400).json({ error: totals.error });
     }
 
-    if (validationError) {
-      console.warn(`Validation error in Razorpay initiation: ${validationError}`);
+    // Verify shipping cost against the applied coupon
+    if (order.shippingMethod.cost !== totals.shippingCost) {
+      const validationError = `Invalid shipping cost: expected ₹${totals.shippingCost}, received ₹${order.shippingMethod.cost}`;
+      console.warn(`Validation error in ${gateway.name} initiation: ${validationError}`);
       return res.status(400).json({ error: validationError });
     }
 
     // Verify total
     if (Math.abs(totals.calculatedTotal - order.total) > 0.01) {
-      console.warn(`Total mismatch in Razorpay initiation: stored ${order.total}, calculated ${totals.calculatedTotal}`, {
+      console.warn(`Total mismatch in ${gateway.name} initiation: stored ${order.total}, calculated ${totals.calculatedTotal}`, {
         orderId,
         subtotal: totals.subtotal,
         shippingCost: totals.shippingCost,
@@ -310,88 +235,39 @@ router.post('/initiate-razorpay-payment', async (req, res) => {
       });
     }
 
-    // Calculate amount in paise
-    const amount = Math.max(100, Math.round(order.total * 100));
-    const currency = 'INR';
-    const receipt = orderId;
-
-    // Create Razorpay order
-    let razorpayOrder;
+    let payment;
     try {
-      razorpayOrder = await razorpay.orders.create({
-        amount,
-        currency,
-        receipt,
-        notes: {
-          orderId,
-          customerEmail: order.customer.email,
-          customerName: `${order.customer.firstName} ${order.customer.lastName}`,
-        },
-      });
-    } catch (razorpayError) {
-      console.error(`Razorpay API error for orderId: ${orderId}`, razorpayError);
-      return res.status(500).json({ error: 'Failed to create Razorpay order due to payment gateway issue' });
+      payment = await gateway.createPayment(order);
+    } catch (gatewayError) {
+      console.error(`${gateway.name} API error for orderId: ${orderId}`, gatewayError);
+      return res.status(500).json({ error: `Failed to create ${gateway.name} order due to payment gateway issue` });
     }
 
-    if (!razorpayOrder.id) {
-      console.error(`Failed to create Razorpay order for orderId: ${orderId}`);
-      return res.status(500).json({ error: 'Failed to create Razorpay order' });
-    }
-
-    // Store razorpayOrderId
-    order.razorpayOrderId = razorpayOrder.id;
+    // Store the gateway's ids for this attempt
+    Object.assign(order, payment.fields);
     await order.save();
 
-    console.log(`Razorpay order created for orderId: ${orderId}, razorpayOrderId: ${razorpayOrder.id}`, {
+    console.log(`${gateway.name} payment created for orderId: ${orderId}`, {
+      ...payment.fields,
       amount: order.total,
       couponCode: order.coupon.code,
       couponDiscount: totals.couponDiscount,
     });
 
-    res.status(200).json({
-      razorpayOrderId: razorpayOrder.id,
-      keyId: process.env.RAZORPAY_KEY_ID,
-      orderData: {
-        orderId: order.orderId,
-        amount: order.total,
-        customer: {
-          name: `${order.customer.firstName} ${order.customer.lastName}`,
-          email: order.customer.email,
-          contact: order.customer.phone,
-        },
-      },
-    });
+    res.status(200).json({ paymentMethod: order.paymentMethod, ...payment.response });
   } catch (error) {
-    handleError(res, error, 'Failed to initiate Razorpay payment');
+    handleError(res, error, 'Failed to initiate payment');
   }
-});
+};
 
-router.post('/verify-razorpay-payment', async (req, res) => {
+// Confirm a payment from what the browser brings back after checkout
+const verifyPayment = async (req, res) => {
   try {
-    const { orderId, razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
-
-    if (!orderId || !razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
-      console.warn('Missing required fields for Razorpay verification:', {
-        orderId: !!orderId,
-        razorpay_payment_id: !!razorpay_payment_id,
-        razorpay_order_id: !!razorpay_order_id,
-        razorpay_signature: !!razorpay_signature,
-      });
-      return res.status(400).json({ error: 'Missing required fields for payment verification' });
-    }
-
-    // Verify signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest('hex');
+    const { orderId } = req.body;
 
-    if (generatedSignature !== razorpay_signature) {
-      console.warn(`Invalid Razorpay signature for orderId: ${orderId}`, {
-        expected: generatedSignature,
-        received: razorpay_signature,
-      });
-      return res.status(400).json({ error: 'Invalid payment signature' });
+    if (!orderId) {
+      console.warn('Missing orderId for payment verification');
+      return res.status(400).json({ error: 'Missing required fields for payment verification' });
     }
 
     // Find and verify order
@@ -402,93 +278,151 @@ router.post('/verify-razorpay-payment', async (req, res) => {
     }
 
     // Verify order eligibility
-    if (order.paymentMethod !== 'Razorpay') {
+    if (!isOnlinePayment(order.paymentMethod)) {
       console.warn(`Invalid payment method for verification: ${order.paymentMethod} for orderId: ${orderId}`);
       return res.status(400).json({ error: 'Invalid payment method for this order' });
     }
+    const gateway = getGateway(order.paymentMethod);
+
+    const status = await gateway.verifyPayment(order, req.body);
+    if (status.error) {
+      return res.status(status.status).json({ error: status.error });
+    }
 
     if (order.paymentStatus === 'Success') {
+      // The payment webhook may have confirmed this payment before the browser did
+      if (status.state === 'captured' && order[gateway.paymentIdField] === status.payment.id) {
+        console.log(`Order already confirmed for orderId: ${orderId}`);
+        return res.status(200).json({ success: true, order: formatVerifiedOrder(order) });
+      }
       console.warn(`Order already processed for orderId: ${orderId}`);
       return res.status(400).json({ error: 'Order already processed' });
     }
 
-    if (order.razorpayOrderId !== razorpay_order_id) {
-      console.warn(`Razorpay order ID mismatch for orderId: ${orderId}`, {
-        stored: order.razorpayOrderId,
-        received: razorpay_order_id,
-      });
-      return res.status(400).json({ error: 'Razorpay order ID mismatch' });
+    if (status.state === 'failed') {
+      await applyGatewayStatus(order, status);
+      return res.status(400).json({ error: 'Payment failed', reason: status.reason });
+    }
+    if (status.state !== 'captured') {
+      // Not settled yet; the callback or reconciliation will finish the order
+      return res.status(202).json({ success: false, pending: true, paymentStatus: order.paymentStatus });
     }
 
     // Check order timeout
     if (!isOrderValid(order.createdAt)) {
       console.warn(`Order timed out for orderId: ${orderId}`);
+      await releaseStock(orderId, 'Expired');
       return res.status(400).json({ error: 'Order has expired. Please create a new order.' });
     }
 
-    // Update order
-    order.razorpayPaymentId = razorpay_payment_id;
-    order.paymentStatus = 'Success';
-
-    // Save order
-    await order.save();
+    // Update order, commit stock and send confirmation email
+    const outcome = await applyGatewayStatus(order, status);
+    const currentOrder = await Order.findOne({ orderId });
+    if (outcome !== 'paid' && currentOrder?.[gateway.paymentIdField] !== status.payment.id) {
+      return res.status(400).json({ error: 'Order already processed' });
+    }
 
-    console.log(`Razorpay payment verified and order updated: ${orderId}`, {
-      razorpayPaymentId: razorpay_payment_id,
-      razorpayOrderId: razorpay_order_id,
-      customerEmail: order.customer.email.replace(/(.{2}).*@/, '$1***@'),
-      total: order.total,
+    console.log(`${gateway.name} payment verified and order updated: ${orderId}`, {
+      paymentId: status.payment.id,
+      gatewayOrderId: getGatewayOrderId(order),
     });
 
-    // Send confirmation email
-    if (!order.emailSent) {
-      try {
-        const html = await generateOrderEmail({
-          ...order.toObject(),
-          createdAt: order.createdAt.toISOString().split('T')[0],
-        });
-        await sendEmail({
-          email: order.customer.email,
-          subject: `Order Confirmation - ${order.orderId}`,
-          html,
-        });
-        order.emailSent = true;
-        await order.save();
-        console.log(`Confirmation email sent for Razorpay order: ${orderId}`);
-      } catch (emailError) {
-        console.error(`Failed to send email for Razorpay order ${orderId}:`, emailError.message);
-      }
+    res.status(200).json({ success: true, order: formatVerifiedOrder(currentOrder) });
+  } catch (error) {
+    handleError(res, error, 'Failed to verify payment');
+  }
+};
+
+router.post('/initiate-payment', initiatePayment);
+router.post('/verify-payment', verifyPayment);
+// Kept for checkout pages built before PhonePe was added
+router.post('/initiate-razorpay-payment', initiatePayment);
+router.post('/verify-razorpay-payment', verifyPayment);
+
+// Check an unpaid order with its gateway, e.g. while the customer waits on the confirmation page
+const refreshPaymentStatus = async (order) => {
+  if (!['Pending', 'Expired'].includes(order.paymentStatus) || !getGatewayOrderId(order)) {
+    return order;
+  }
+  try {
+    const { outcome } = await syncPaymentStatus(order);
+    return outcome === 'unchanged' ? order : await Order.findById(order._id);
+  } catch (gatewayError) {
+    console.error(`Payment status check failed for ${order.orderId}:`, getGateway(order.paymentMethod).errorMessage(gatewayError));
+    return order;
+  }
+};
+
+// Polled by the confirmation page, so the gateway is asked at most once per interval per order
+const STATUS_CHECK_INTERVAL_MS = 10 * 1000;
+const lastStatusChecks = new Map();
+
+const shouldCheckGateway = (orderId) => {
+  const now = Date.now();
+  if (now - (lastStatusChecks.get(orderId) || 0) < STATUS_CHECK_INTERVAL_MS) return false;
+  if (lastStatusChecks.size >= 1000) {
+    for (const [id, checkedAt] of lastStatusChecks) {
+      if (now - checkedAt >= STATUS_CHECK_INTERVAL_MS) lastStatusChecks.delete(id);
     }
+  }
+  lastStatusChecks.set(orderId, now);
+  return true;
+};
 
+// Anyone with the order ID sees the payment state; order details are only returned to the
+// signed-in customer the order belongs to
+router.get('/:orderId/payment-status', optionalCustomer, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const current = shouldCheckGateway(order.orderId) ? await refreshPaymentStatus(order) : order;
+    const isOwner = Boolean(req.customer && current.userId && current.userId.toString() === String(req.customer.id));
     res.status(200).json({
-      success: true,
-      order: {
-        orderId: order.orderId,
-        paymentStatus: order.paymentStatus,
-        razorpayPaymentId: order.razorpayPaymentId,
-        razorpayOrderId: order.razorpayOrderId,
-        total: order.total,
-        customer: order.customer,
-        shippingAddress: order.shippingAddress,
-        items: order.items,
-        shippingMethod: order.shippingMethod,
-        coupon: order.coupon,
-        createdAt: order.createdAt,
-      },
+      orderId: current.orderId,
+      paymentMethod: current.paymentMethod,
+      paymentStatus: current.paymentStatus,
+      order: isOwner && current.paymentStatus === 'Success' ? formatVerifiedOrder(current) : undefined,
     });
   } catch (error) {
-    handleError(res, error, 'Failed to verify Razorpay payment');
+    handleError(res, error, 'Failed to check payment status');
+  }
+});
+
+// Hosted checkout pages (PhonePe) send the customer back here; the outcome comes from the
+// gateway, never from the redirect itself
+router.get('/:orderId/payment-return', async (req, res) => {
+  const confirmationUrl = (orderId, paymentStatus) =>
+    `${process.env.FRONTEND_URL}/order-confirmation?orderId=${encodeURIComponent(orderId)}&paymentStatus=${paymentStatus}`;
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).send('<p>Order not found.</p>');
+    }
+
+    const current = await refreshPaymentStatus(order);
+    res.redirect(303, confirmationUrl(current.orderId, current.paymentStatus));
+  } catch (error) {
+    console.error(`Failed to handle payment return for ${req.params.orderId}:`, error.message);
+    res.redirect(303, confirmationUrl(req.params.orderId, 'Pending'));
   }
 });
 
-router.get('/pending', authenticateAdmin, async (req, res) => {
+router.get('/pending', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
   try {
     const pendingOrders = await Order.find({
       paymentStatus: 'Pending',
-      paymentMethod: 'Razorpay',
+      paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
     }).sort({ createdAt: -1 });
 
-    console.log(`Fetched ${pendingOrders.length} pending Razorpay orders`);
+    console.log(`Fetched ${pendingOrders.length} pending online orders`);
+    await recordAudit(req, {
+      action: 'order.list.pending',
+      targetType: 'Order',
+      metadata: { count: pendingOrders.length },
+    });
     res.status(200).json(pendingOrders);
   } catch (error) {
     handleError(res, error, 'Failed to fetch pending orders');
@@ -505,7 +439,7 @@ router.get('/pending/:orderId', async (req, res) => {
     const order = await Order.findOne({
       orderId,
       paymentStatus: 'Pending',
-      paymentMethod: 'Razorpay',
+      paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
     });
 
     if (!order) {
@@ -530,7 +464,7 @@ router.delete('/:orderId', async (req, res) => {
     const order = await Order.findOne({
       orderId,
       paymentStatus: 'Pending',
-      paymentMethod: 'Razorpay',
+      paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
     });
 
     if (!order) {
@@ -538,49 +472,228 @@ router.delete('/:orderId', async (req, res) => {
       return res.status(404).json({ error: 'Pending order not found' });
     }
 
-    await Order.deleteOne({ orderId });
+    // Archived rather than deleted, so the order can still be looked up if a payment surfaces
+    const archived = await archiveOrder(order, { reason: 'Cancelled by customer', source: 'customer-cancel' });
+    if (!archived) {
+      return res.status(409).json({ error: 'Order is no longer pending' });
+    }
+    await releaseStock(orderId, 'Cancelled');
     console.log(`Cancelled pending order: ${orderId}`);
+    await publishOrderEvent('order.cancelled', order, { reason: 'Cancelled by customer' });
     res.status(200).json({ success: true });
   } catch (error) {
     handleError(res, error, 'Failed to cancel pending order');
   }
 });
 
-router.get('/', authenticateAdmin, async (req, res) => {
+router.patch('/:orderId/status', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS), async (req, res) => {
   try {
-    const { date, orderId } = req.query;
-    const query = { paymentStatus: 'Success' };
+    const { orderId } = req.params;
+    const status = sanitize(String(req.body.status || ''));
+    const trackingNumber = sanitize(String(req.body.trackingNumber || '')).trim();
+    const carrier = sanitize(String(req.body.carrier || '')).trim();
+    const note = sanitize(String(req.body.note || '')).trim();
 
-    if (date) {
-      if (!isValidDate(date)) {
-        return res.status(400).json({ error: 'Invalid date format' });
-      }
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
-      query.createdAt = {
-        $gte: startOfDay,
-        $lte: endOfDay,
-      };
-    }
-
-    if (orderId) {
-      if (typeof orderId !== 'string' || orderId.trim() === '') {
-        return res.status(400).json({ error: 'Invalid orderId' });
-      }
-      query.orderId = { $regex: orderId.trim(), $options: 'i' };
+    if (!Object.keys(FULFILLMENT_TRANSITIONS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${Object.keys(FULFILLMENT_TRANSITIONS).join(', ')}`,
+      });
     }
 
-    const orders = await Order.find(query).sort({ createdAt: -1 });
-    console.log(`Fetched ${orders.length} successful orders with query:`, JSON.stringify(query));
-    res.status(200).json(orders);
+    const order = await Order.findOne({ orderId });
+    if (!order) {
+      console.warn(`Order not found for status update: ${orderId}`);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await transitionFulfillment(order, status, {
+      actor: req.user.email || req.user.id,
+      note,
+      trackingNumber,
+      carrier,
+    });
+    if (result.error) {
+      console.warn(`Status update rejected for ${orderId}: ${result.error}`);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'order.status.update',
+      targetType: 'Order',
+      targetId: orderId,
+      before: order,
+      after: result.order,
+      fields: ['fulfillmentStatus', 'shipment.trackingNumber', 'shipment.carrier'],
+      metadata: { note: note || undefined },
+    });
+    res.status(200).json({ success: true, order: result.order });
+  } catch (error) {
+    handleError(res, error, 'Failed to update order status');
+  }
+});
+
+router.post('/:orderId/refunds', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const reason = sanitize(String(req.body.reason || '')).trim();
+    const manualMode = sanitize(String(req.body.manualMode || '')).trim();
+    const reference = sanitize(String(req.body.reference || '')).trim();
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : undefined;
+    const items = Array.isArray(req.body.items)
+      ? req.body.items.map((item) => ({
+          productId: sanitize(String(item.productId || '')),
+          variant: sanitize(String(item.variant || '')),
+          quantity: Number(item.quantity),
+        }))
+      : [];
+
+    if (reason.length < 3) {
+      return res.status(400).json({ error: 'A refund reason is required' });
+    }
+    if (amount !== undefined && items.length > 0) {
+      return res.status(400).json({ error: 'Provide either an amount or items, not both' });
+    }
+    if (amount !== undefined && (!(amount > 0) || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6)) {
+      return res.status(400).json({ error: 'Refund amount must be a positive value in rupees (max 2 decimals)' });
+    }
+    if (items.some((item) => !item.productId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return res.status(400).json({ error: 'Invalid item product or quantity' });
+    }
+    if (manualMode && !['UPI', 'Bank Transfer'].includes(manualMode)) {
+      return res.status(400).json({ error: 'Refund mode must be one of: UPI, Bank Transfer' });
+    }
+
+    const order = await Order.findOne({ orderId });
+    if (!order) {
+      console.warn(`Order not found for refund: ${orderId}`);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await createRefund(order, {
+      amount,
+      items,
+      reason,
+      manualMode: manualMode || undefined,
+      reference: reference || undefined,
+      actor: req.user.email || req.user.id,
+    });
+    if (result.error) {
+      console.warn(`Refund rejected for ${orderId}: ${result.error}`);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'order.refund.create',
+      targetType: 'Order',
+      targetId: orderId,
+      before: { refundedAmount: order.refundedAmount },
+      after: { refundedAmount: result.order.refundedAmount },
+      metadata: {
+        refundId: result.refund._id,
+        method: result.refund.method,
+        amount: result.refund.amount,
+        status: result.refund.status,
+        razorpayRefundId: result.refund.razorpayRefundId,
+        reason,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      refund: result.refund,
+      refundedAmount: result.order.refundedAmount,
+      order: result.order,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create refund');
+  }
+});
+
+// Queue the order confirmation again, e.g. after the customer fixed their mailbox or the
+// original mail was dead-lettered
+router.post('/:orderId/resend-confirmation', authenticateAdmin, requirePermission(PERMISSIONS.EMAILS_MANAGE), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await Order.findOne({ orderId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.paymentStatus !== 'Success') {
+      return res.status(400).json({ error: 'Confirmations are only sent for paid orders' });
+    }
+
+    const email = await queueOrderConfirmation(order, { resend: true, queuedBy: req.user.email || req.user.id });
+    if (!email) {
+      return res.status(500).json({ error: 'Failed to queue the confirmation email' });
+    }
+
+    await recordAudit(req, {
+      action: 'order.confirmation.resend',
+      targetType: 'Order',
+      targetId: orderId,
+      metadata: { emailId: String(email._id), emailSent: order.emailSent },
+    });
+    res.status(202).json({ success: true, emailId: email._id });
+  } catch (error) {
+    handleError(res, error, 'Failed to resend confirmation email');
+  }
+});
+
+// Admin order search with keyset pagination. Pass nextCursor back as ?cursor= for the next page.
+router.get('/', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
+  try {
+    const { query, error } = buildOrderQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const page = buildPage(query, req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const [rows, [counts]] = await Promise.all([
+      Order.find(page.filter).sort(page.sort).limit(page.limit + 1),
+      // Counts cover the whole filter, not just this page
+      Order.aggregate([
+        { $match: query },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            revenue: [{ $group: { _id: null, sum: { $sum: '$total' } } }],
+            byPaymentStatus: [{ $group: { _id: '$paymentStatus', count: { $sum: 1 } } }],
+            byFulfillmentStatus: [{ $group: { _id: { $ifNull: ['$fulfillmentStatus', 'Processing'] }, count: { $sum: 1 } } }],
+          },
+        },
+      ]),
+    ]);
+
+    const hasMore = rows.length > page.limit;
+    const orders = hasMore ? rows.slice(0, page.limit) : rows;
+    const toMap = (groups) => Object.fromEntries(groups.map((g) => [g._id, g.count]));
+
+    console.log(`Fetched ${orders.length} orders (page) with query:`, JSON.stringify(req.query));
+    await recordAudit(req, {
+      action: 'order.list',
+      targetType: 'Order',
+      metadata: { query: req.query, count: orders.length },
+    });
+    res.status(200).json({
+      orders,
+      nextCursor: hasMore ? page.nextCursor(orders) : null,
+      hasMore,
+      counts: {
+        total: counts.total[0]?.count || 0,
+        revenue: Math.round((counts.revenue[0]?.sum || 0) * 100) / 100,
+        byPaymentStatus: toMap(counts.byPaymentStatus),
+        byFulfillmentStatus: toMap(counts.byFulfillmentStatus),
+      },
+    });
   } catch (error) {
     handleError(res, error, 'Failed to fetch orders');
   }
 });
 
-router.get('/debug/:orderId', authenticateAdmin, async (req, res) => {
+router.get('/debug/:orderId', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
   try {
     const { orderId } = req.params;
     if (!orderId || typeof orderId !== 'string' || orderId.trim() === '') {
@@ -593,6 +706,7 @@ router.get('/debug/:orderId', authenticateAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    await recordAudit(req, { action: 'order.debug.view', targetType: 'Order', targetId: orderId });
     console.log(`Fetched order for debug: ${orderId}`, {
       paymentStatus: order.paymentStatus,
       paymentMethod: order.paymentMethod,
@@ -606,7 +720,7 @@ router.get('/debug/:orderId', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.post('/force-update/:orderId', authenticateAdmin, async (req, res) => {
+router.post('/force-update/:orderId', authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_FORCE_PAYMENT), async (req, res) => {
   try {
     const { orderId } = req.params;
     if (!orderId || typeof orderId !== 'string' || orderId.trim() === '') {
@@ -624,35 +738,92 @@ router.post('/force-update/:orderId', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Order already processed' });
     }
 
-    order.paymentStatus = 'Success';
-    if (!order.emailSent) {
+    // A capture at the gateway is recorded like a normal payment, no override needed
+    const paymentGateway = isOnlinePayment(order.paymentMethod) ? getGateway(order.paymentMethod) : null;
+    const gatewayOrderId = getGatewayOrderId(order);
+    const before = { paymentStatus: order.paymentStatus, paymentId: paymentGateway ? order[paymentGateway.paymentIdField] : undefined };
+    let gateway = { state: 'none', payments: [] };
+    if (gatewayOrderId) {
       try {
-        const html = await generateOrderEmail({
-          ...order.toObject(),
-          createdAt: order.createdAt.toISOString().split('T')[0],
-        });
-        await sendEmail({
-          email: order.customer.email,
-          subject: `Order Confirmation - ${order.orderId}`,
-          html,
-        });
-        order.emailSent = true;
-      } catch (emailError) {
-        console.error(`Failed to send email for force updated order ${orderId}:`, emailError.message);
+        gateway = await paymentGateway.fetchStatus(order);
+      } catch (gatewayError) {
+        const reason = paymentGateway.errorMessage(gatewayError);
+        console.error(`Gateway lookup failed for force update of ${orderId}:`, reason);
+        gateway = { state: 'unavailable', reason, payments: [] };
       }
     }
 
-    await order.save();
-    console.log(`Force updated order to Success: ${orderId}`);
-    res.status(200).json({ success: true, order });
+    if (gateway.state === 'captured') {
+      const outcome = await applyGatewayStatus(order, gateway);
+      if (outcome !== 'paid') {
+        return res.status(400).json({ error: 'Order already processed' });
+      }
+      const paidOrder = await Order.findById(order._id);
+      console.log(`Force update verified with gateway, order ${orderId} paid by ${gateway.payment.id}`);
+      await recordAudit(req, {
+        action: 'order.payment.force-update',
+        targetType: 'Order',
+        targetId: orderId,
+        before,
+        after: { paymentStatus: paidOrder.paymentStatus, paymentId: gateway.payment.id },
+        metadata: { verifiedWithGateway: true, paymentMethod: order.paymentMethod, total: order.total, gatewayOrderId },
+      });
+      return res.status(200).json({ success: true, verifiedWithGateway: true, order: paidOrder });
+    }
+
+    const overrideReason = sanitize(String(req.body?.overrideReason || '')).trim();
+    if (overrideReason.length < 10) {
+      return res.status(409).json({
+        error: 'The payment gateway shows no captured payment for this order. Send an overrideReason (at least 10 characters) to mark it paid anyway.',
+        gateway: { state: gateway.state, reason: gateway.reason, payments: gateway.payments },
+      });
+    }
+
+    const actor = req.user.email || req.user.id;
+    const update = {
+      paymentStatus: 'Success',
+      paymentOverride: { reason: overrideReason, by: actor, at: new Date(), gatewayState: gateway.state },
+    };
+    // Successful online orders need gateway ids; these mark the payment as recorded by hand
+    if (paymentGateway && !gatewayOrderId) {
+      update[paymentGateway.gatewayOrderIdField] = `manual-${orderId}`;
+    }
+    if (paymentGateway && !order[paymentGateway.paymentIdField]) {
+      update[paymentGateway.paymentIdField] = `manual-${orderId}`;
+    }
+    const paidOrder = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $ne: 'Success' } },
+      { $set: update },
+      { new: true }
+    );
+    if (!paidOrder) {
+      return res.status(400).json({ error: 'Order already processed' });
+    }
+
+    console.warn(`Force updated order to Success without gateway capture: ${orderId}`, { actor, gatewayState: gateway.state });
+    await recordAudit(req, {
+      action: 'order.payment.force-update',
+      targetType: 'Order',
+      targetId: orderId,
+      before,
+      after: { paymentStatus: paidOrder.paymentStatus, paymentId: paymentGateway ? paidOrder[paymentGateway.paymentIdField] : undefined },
+      metadata: {
+        verifiedWithGateway: false,
+        overrideReason,
+        gatewayState: gateway.state,
+        gatewayPayments: gateway.payments,
+        paymentMethod: order.paymentMethod,
+        total: order.total,
+        gatewayOrderId,
+      },
+    });
+    await publishOrderEvent('payment.succeeded', paidOrder, { forced: true });
+
+    await finalizePaidOrder(paidOrder);
+    res.status(200).json({ success: true, verifiedWithGateway: false, order: paidOrder });
   } catch (error) {
     handleError(res, error, 'Failed to force update order');
   }
 });
 
-function isValidDate(dateString) {
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const sanitize = require('sanitize-html');
+const Product = require('../models/Product');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { findProducts } = require('../utils/catalog');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Sanitize a product payload; only fields present in the body are returned so it also serves updates
+const sanitizeProductInput = (body) => {
+  const data = {};
+  if (body.sku !== undefined) data.sku = sanitize(String(body.sku));
+  if (body.name !== undefined) data.name = sanitize(String(body.name));
+  if (body.description !== undefined) data.description = sanitize(String(body.description));
+  if (body.category !== undefined) data.category = sanitize(String(body.category));
+  if (body.price !== undefined) data.price = Number(body.price);
+  if (body.mrp !== undefined) data.mrp = toOptionalNumber(body.mrp);
+  if (body.weight !== undefined) data.weight = toOptionalNumber(body.weight);
+  if (body.hsnCode !== undefined) data.hsnCode = sanitize(String(body.hsnCode));
+  if (body.gstRate !== undefined) data.gstRate = toOptionalNumber(body.gstRate);
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (Array.isArray(body.images)) {
+    data.images = body.images.map((url) => sanitize(String(url))).filter(Boolean);
+  }
+  if (Array.isArray(body.variants)) {
+    data.variants = body.variants.map((variant) => ({
+      name: sanitize(String(variant.name || '')),
+      sku: sanitize(String(variant.sku || '')),
+      price: Number(variant.price),
+      mrp: toOptionalNumber(variant.mrp),
+      weight: toOptionalNumber(variant.weight),
+      isActive: variant.isActive === undefined ? true : variant.isActive === true || variant.isActive === 'true',
+    }));
+  }
+  return data;
+};
+
+// Admin: list all products, including inactive ones
+router.get('/admin/all', authenticateAdmin, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const products = await Product.find().sort({ createdAt: -1 });
+    console.log(`Fetched ${products.length} products for admin`);
+    res.status(200).json(products);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch products');
+  }
+});
+
+// Public: list active products
+router.get('/', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const query = { isActive: true };
+    if (category) {
+      if (typeof category !== 'string') {
+        return res.status(400).json({ error: 'Invalid category' });
+      }
+      query.category = category.trim();
+    }
+
+    const products = await Product.find(query).sort({ name: 1 });
+    res.status(200).json(
+      products.map((product) => ({
+        ...product.toObject(),
+        variants: product.variants.filter((v) => v.isActive),
+      }))
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch products');
+  }
+});
+
+// Public: product detail by id or SKU
+router.get('/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const product = (await findProducts([productId])).get(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(200).json({
+      ...product.toObject(),
+      variants: product.variants.filter((v) => v.isActive),
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch product');
+  }
+});
+
+router.post('/', authenticateAdmin, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const data = sanitizeProductInput(req.body);
+    if (!data.sku || !data.name || data.price === undefined || Number.isNaN(data.price)) {
+      return res.status(400).json({ error: 'SKU, name and price are required' });
+    }
+
+    const product = new Product(data);
+    await product.save();
+    console.log(`Product created: ${product.sku} by ${req.user.email}`);
+    await recordAudit(req, { action: 'product.create', targetType: 'Product', targetId: product.sku, after: product });
+    res.status(201).json(product);
+  } catch (error) {
+    if (error.code === 11000) {
+      return handleError(res, error, 'Duplicate SKU', 400);
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to create product');
+  }
+});
+
+router.put('/:productId', authenticateAdmin, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const product = (await findProducts([productId])).get(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const before = product.toObject();
+    product.set(sanitizeProductInput(req.body));
+    await product.save();
+    console.log(`Product updated: ${product.sku} by ${req.user.email}`);
+    await recordAudit(req, { action: 'product.update', targetType: 'Product', targetId: product.sku, before, after: product });
+    res.status(200).json(product);
+  } catch (error) {
+    if (error.code === 11000) {
+      return handleError(res, error, 'Duplicate SKU', 400);
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return handleError(res, error, 'Validation error', 400);
+    }
+    handleError(res, error, 'Failed to update product');
+  }
+});
+
+router.delete('/:productId', authenticateAdmin, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const product = (await findProducts([productId])).get(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await Product.deleteOne({ _id: product._id });
+    console.log(`Product deleted: ${product.sku} by ${req.user.email}`);
+    await recordAudit(req, { action: 'product.delete', targetType: 'Product', targetId: product.sku, before: product });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete product');
+  }
+});
+
+module.exports = router;
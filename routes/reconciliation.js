@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { runReconciliation } = require('../utils/paymentReconciliation');
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+router.use(authenticateAdmin, requirePermission(PERMISSIONS.ORDERS_FORCE_PAYMENT));
+
+// Reconcile now instead of waiting for the scheduled run
+router.post('/run', async (req, res) => {
+  try {
+    const run = await runReconciliation({ trigger: 'manual', actor: req.user.email || req.user.id });
+    if (!run) {
+      return res.status(409).json({ error: 'A reconciliation run is already in progress' });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.reconcile',
+      targetType: 'ReconciliationRun',
+      targetId: run._id.toString(),
+      metadata: { checked: run.checked, paid: run.paid, failed: run.failed, ambiguous: run.ambiguous.length },
+    });
+    res.status(run.status === 'Failed' ? 500 : 200).json({ run });
+  } catch (error) {
+    handleError(res, error, 'Failed to run payment reconciliation');
+  }
+});
+
+// Orders the latest completed run could not settle
+router.get('/report', async (req, res) => {
+  try {
+    const run = await ReconciliationRun.findOne({ status: 'Completed' }).sort({ startedAt: -1 });
+    if (!run) {
+      return res.status(404).json({ error: 'No reconciliation run has completed yet' });
+    }
+    res.status(200).json({ runId: run._id, completedAt: run.completedAt, ambiguous: run.ambiguous });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch reconciliation report');
+  }
+});
+
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const runs = await ReconciliationRun.find().select('-ambiguous.gatewayPayments').sort({ startedAt: -1 }).limit(limit);
+    res.status(200).json({ runs });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch reconciliation runs');
+  }
+});
+
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
+    }
+    const run = await ReconciliationRun.findById(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
+    }
+    res.status(200).json(run);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch reconciliation run');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const sanitize = require('sanitize-html');
+const Order = require('../models/order');
+const { authenticateAdmin, requirePermission } = require('../middleware/authenticateAdmin');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+const { createShipmentForOrder, findOrdersToShip, applyTrackingUpdate } = require('../utils/shipping');
+
+const MAX_BATCH_SIZE = 50;
+
+const handleError = (res, error, message, status = 500) => {
+  console.error(message, { message: error.message, stack: error.stack });
+  res.status(status).json({ error: message, details: error.message });
+};
+
+// Courier callbacks carry the token configured in the courier dashboard
+const isValidCallbackToken = (token) => {
+  if (!process.env.SHIPPING_WEBHOOK_TOKEN || !token || typeof token !== 'string') return false;
+  const expected = Buffer.from(process.env.SHIPPING_WEBHOOK_TOKEN);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Tracking-status callbacks from the courier
+router.post('/tracking/:provider', async (req, res) => {
+  if (!isValidCallbackToken(req.headers['x-api-key'])) {
+    console.warn(`Invalid shipping callback token from ${req.params.provider}, IP: ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid callback token' });
+  }
+
+  try {
+    const result = await applyTrackingUpdate(req.params.provider, req.body || {});
+    if (result.error && !result.order) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    // Acknowledge everything else so the courier does not retry
+    res.status(200).json({ received: true, fulfillmentStatus: result.order?.fulfillmentStatus });
+  } catch (error) {
+    handleError(res, error, 'Failed to process tracking update');
+  }
+});
+
+// Printable label for shipments created by the stub provider. It carries the customer's
+// address, so it is only shown to admins who manage shipping.
+router.get('/stub/labels/:trackingNumber', authenticateAdmin, requirePermission(PERMISSIONS.SHIPPING_MANAGE), async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      'shipment.provider': 'stub',
+      'shipment.trackingNumber': req.params.trackingNumber,
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const { customer, shippingAddress, shipment } = order;
+    res.type('text/plain').send(
+      [
+        `STUB COURIER - AWB ${shipment.trackingNumber}`,
+        `Order: ${order.orderId}  (${order.paymentMethod === 'COD' ? `COD ₹${order.total}` : 'Prepaid'})`,
+        '',
+        `${customer.firstName} ${customer.lastName} - ${customer.phone}`,
+        shippingAddress.address1,
+        shippingAddress.address2,
+        `${shippingAddress.city}, ${shippingAddress.state} ${shippingAddress.pincode}`,
+        shippingAddress.country,
+      ]
+        .filter((line) => line !== undefined && line !== null)
+        .join('\n')
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch label');
+  }
+});
+
+router.post('/orders/:orderId', authenticateAdmin, requirePermission(PERMISSIONS.SHIPPING_MANAGE), async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      console.warn(`Order not found for shipment: ${req.params.orderId}`);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await createShipmentForOrder(order, { actor: req.user.email || req.user.id });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, {
+      action: 'order.shipment.create',
+      targetType: 'Order',
+      targetId: order.orderId,
+      before: order,
+      after: result.order,
+      fields: ['fulfillmentStatus', 'shipment.provider', 'shipment.trackingNumber', 'shipment.carrier', 'shipment.pickupScheduledAt'],
+    });
+    res.status(201).json({ success: true, order: result.order });
+  } catch (error) {
+    handleError(res, error, 'Failed to create shipment', 502);
+  }
+});
+
+// Create shipments for the given orders, or for the next paid orders waiting to be shipped
+router.post('/batch', authenticateAdmin, requirePermission(PERMISSIONS.SHIPPING_MANAGE), async (req, res) => {
+  try {
+    const orderIds = Array.isArray(req.body.orderIds)
+      ? req.body.orderIds.map((id) => sanitize(String(id)).trim()).filter(Boolean)
+      : null;
+    if (orderIds && orderIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_SIZE} orders per batch` });
+    }
+
+    const orders = orderIds
+      ? await Order.find({ orderId: { $in: orderIds } }).sort({ createdAt: 1 })
+      : await findOrdersToShip(MAX_BATCH_SIZE);
+
+    // Sequential so courier rate limits are respected and one failure does not stop the rest
+    const results = [];
+    for (const order of orders) {
+      try {
+        const result = await createShipmentForOrder(order, { actor: req.user.email || req.user.id });
+        results.push(
+          result.error
+            ? { orderId: order.orderId, success: false, error: result.error }
+            : { orderId: order.orderId, success: true, trackingNumber: result.order.shipment.trackingNumber }
+        );
+      } catch (error) {
+        console.error(`Batch shipment failed for ${order.orderId}:`, error.message);
+        results.push({ orderId: order.orderId, success: false, error: error.message });
+      }
+    }
+
+    const created = results.filter((r) => r.success).length;
+    console.log(`Batch shipment: ${created}/${results.length} created by ${req.user.email}`);
+    await recordAudit(req, {
+      action: 'order.shipment.batch',
+      targetType: 'Order',
+      metadata: { requested: orderIds, results },
+    });
+    res.status(200).json({ created, failed: results.length - created, results });
+  } catch (error) {
+    handleError(res, error, 'Failed to create shipments');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const WebhookEvent = require('../models/WebhookEvent');
+const ArchivedOrder = require('../models/ArchivedOrder');
+const { paymentAmount, markOrderPaid, markOrderFailed } = require('../utils/orderPayments');
+const { applyGatewayStatus } = require('../utils/payments');
+const phonepe = require('../utils/payments/phonepe');
+const { publishOrderEvent } = require('../utils/orderEvents');
+
+const REFUND_STATUS_MAP = {
+  pending: 'Pending',
+  processed: 'Processed',
+  failed: 'Failed',
+};
+
+// Verify X-Razorpay-Signature against the raw request body
+const isValidSignature = (rawBody, signature) => {
+  if (!rawBody || !signature || typeof signature !== 'string') return false;
+
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// An event still Processing after this long was cut off by a crash or restart
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Claim an event for processing; returns false when it was already handled or is being
+// handled right now
+const claimEvent = async ({ eventId, ...fields }) => {
+  try {
+    await WebhookEvent.create({ eventId, ...fields });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Events whose previous attempt failed or never finished are retried
+    const retried = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId,
+        $or: [
+          { status: 'Failed' },
+          { status: 'Processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+        ],
+      },
+      { $set: { status: 'Processing', error: '' } }
+    );
+    return !!retried;
+  }
+};
+
+const handlePaymentCaptured = async (payment) => {
+  const order = await Order.findOne({ razorpayOrderId: payment.order_id });
+  if (!order) {
+    // Failing the event makes Razorpay retry it, which succeeds once an admin restores the order
+    if (await ArchivedOrder.exists({ razorpayOrderId: payment.order_id, status: 'Archived' })) {
+      throw new Error(`Payment ${payment.id} captured for archived order (razorpayOrderId ${payment.order_id}); restore it to record the payment`);
+    }
+    console.warn(`Webhook: order not found for razorpayOrderId: ${payment.order_id}`);
+    return 'Ignored';
+  }
+
+  if (order.paymentStatus === 'Success') {
+    console.log(`Webhook: order already paid: ${order.orderId}`);
+    return 'Ignored';
+  }
+
+  // Retrying cannot fix a wrong amount, so the event is acknowledged and left for review;
+  // the order stays unpaid and reconciliation reports it as ambiguous
+  const expectedAmount = paymentAmount(order);
+  if (payment.amount !== expectedAmount) {
+    const error = `Amount mismatch for ${order.orderId}: expected ${expectedAmount} paise, received ${payment.amount}`;
+    console.error(`Webhook: ${error} (payment ${payment.id})`);
+    return { status: 'Review', error };
+  }
+
+  const paidOrder = await markOrderPaid(order, { razorpayPaymentId: payment.id });
+  return paidOrder ? 'Processed' : 'Ignored';
+};
+
+const handlePaymentFailed = async (payment) => {
+  const order = await Order.findOne({ razorpayOrderId: payment.order_id });
+  if (!order) {
+    console.warn(`Webhook: order not found for razorpayOrderId: ${payment.order_id}`);
+    return 'Ignored';
+  }
+
+  const failedOrder = await markOrderFailed(order, payment.error_description || payment.error_code);
+  return failedOrder ? 'Processed' : 'Ignored';
+};
+
+const handleRefund = async (refund, payment) => {
+  const order = payment?.order_id
+    ? await Order.findOne({ razorpayOrderId: payment.order_id })
+    : await Order.findOne({ razorpayPaymentId: refund.payment_id });
+  if (!order) {
+    console.warn(`Webhook: order not found for refund ${refund.id} (payment ${refund.payment_id})`);
+    return 'Ignored';
+  }
+
+  const status = REFUND_STATUS_MAP[refund.status] || 'Pending';
+  const now = new Date();
+
+  // Refunds raised from the admin API are matched by the record id sent in the notes first:
+  // createRefund stores the Razorpay refund id only after the API call returns, so the webhook
+  // can arrive before it is there
+  const set = { 'refunds.$.status': status, 'refunds.$.razorpayRefundId': refund.id, 'refunds.$.updatedAt': now };
+  const refundRecordId = refund.notes?.refundRecordId;
+  let updated = { matchedCount: 0 };
+  if (refundRecordId && mongoose.Types.ObjectId.isValid(refundRecordId)) {
+    // Updates bypass the totals validation in the pre-validate hook
+    updated = await Order.updateOne({ _id: order._id, 'refunds._id': refundRecordId }, { $set: set });
+  }
+  if (updated.matchedCount === 0) {
+    updated = await Order.updateOne({ _id: order._id, 'refunds.razorpayRefundId': refund.id }, { $set: set });
+  }
+  // Refunds made outside the admin API (e.g. the Razorpay dashboard) are added once
+  if (updated.matchedCount === 0) {
+    await Order.updateOne(
+      { _id: order._id, 'refunds.razorpayRefundId': { $ne: refund.id } },
+      {
+        $push: {
+          refunds: {
+            razorpayRefundId: refund.id,
+            amount: refund.amount / 100,
+            status,
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+      }
+    );
+  }
+
+  console.log(`Webhook: refund ${refund.id} recorded as ${status} for order ${order.orderId}`, {
+    amount: refund.amount / 100,
+  });
+  await publishOrderEvent('order.updated', order, { refundId: refund.id, refundStatus: status });
+  return 'Processed';
+};
+
+const processEvent = async (body) => {
+  const payment = body.payload?.payment?.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return handlePaymentCaptured(payment);
+    case 'payment.failed':
+      return handlePaymentFailed(payment);
+    default:
+      if (body.event?.startsWith('refund.') && body.payload?.refund?.entity) {
+        return handleRefund(body.payload.refund.entity, payment);
+      }
+      console.log(`Webhook: ignoring unsupported event ${body.event}`);
+      return 'Ignored';
+  }
+};
+
+router.post('/razorpay', async (req, res) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    console.error('Razorpay webhook received but RAZORPAY_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
+
+  if (!isValidSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+    console.warn(`Invalid Razorpay webhook signature, IP: ${req.ip}`);
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const body = req.body || {};
+  const eventId =
+    req.headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+  const razorpayOrderId = body.payload?.payment?.entity?.order_id || body.payload?.order?.entity?.id;
+
+  try {
+    const claimed = await claimEvent({ eventId, provider: 'Razorpay', event: body.event || 'unknown', razorpayOrderId });
+    if (!claimed) {
+      console.log(`Webhook: duplicate event ${eventId} (${body.event}) ignored`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error(`Webhook: failed to record event ${eventId}:`, error.message);
+    return res.status(500).json({ error: 'Failed to record webhook event' });
+  }
+
+  try {
+    // Handlers return a status, or { status, error } for events left for review
+    const result = await processEvent(body);
+    const { status, error } = typeof result === 'string' ? { status: result } : result;
+    await WebhookEvent.updateOne({ eventId }, { $set: { status, ...(error && { error }) } });
+    console.log(`Webhook: event ${eventId} (${body.event}) ${status.toLowerCase()}`);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(`Webhook: failed to process event ${eventId} (${body.event}):`, {
+      message: error.message,
+      stack: error.stack,
+    });
+    await WebhookEvent.updateOne({ eventId }, { $set: { status: 'Failed', error: error.message } }).catch(() => {});
+    // A non-2xx response makes Razorpay retry the delivery
+    res.status(500).json({ error: 'Failed to process webhook event' });
+  }
+});
+
+// PhonePe order callbacks only say which order to look at; the outcome is always read back
+// from the status API, so a replayed or stale callback cannot mark an order paid
+const handlePhonePeOrder = async (type, payload) => {
+  const orderId = payload.metaInfo?.udf1;
+  const order = orderId
+    ? await Order.findOne({ orderId, paymentMethod: 'PhonePe' })
+    : await Order.findOne({ phonepeMerchantOrderId: payload.merchantOrderId });
+  if (!order) {
+    if (orderId && (await ArchivedOrder.exists({ orderId, status: 'Archived' }))) {
+      throw new Error(`PhonePe callback for archived order ${orderId}; restore it to record the payment`);
+    }
+    console.warn(`PhonePe callback: order not found for merchantOrderId: ${payload.merchantOrderId}`);
+    return 'Ignored';
+  }
+  if (order.paymentStatus === 'Success') {
+    return 'Ignored';
+  }
+
+  // While a newer attempt is under way, only a completed older attempt still matters
+  const latestAttempt = payload.merchantOrderId === order.phonepeMerchantOrderId;
+  if (!latestAttempt && !type.endsWith('ORDER_COMPLETED')) {
+    return 'Ignored';
+  }
+
+  const status = await phonepe.fetchStatus(order, payload.merchantOrderId);
+  if (!latestAttempt && status.state !== 'captured') {
+    return 'Ignored';
+  }
+  if (status.state === 'ambiguous') {
+    console.warn(`PhonePe callback for ${order.orderId} left for reconciliation: ${status.reason}`);
+  }
+  const outcome = await applyGatewayStatus(order, status);
+  return outcome === 'unchanged' ? 'Ignored' : 'Processed';
+};
+
+// Refunds were sent with the refund record id as merchantRefundId
+const handlePhonePeRefund = async (payload) => {
+  const refundRecordId = payload.merchantRefundId;
+  if (!refundRecordId || !mongoose.Types.ObjectId.isValid(refundRecordId)) {
+    console.warn(`PhonePe callback: unknown refund ${payload.refundId}`);
+    return 'Ignored';
+  }
+
+  const status = phonepe.REFUND_STATUS_MAP[payload.state] || 'Pending';
+  const order = await Order.findOneAndUpdate(
+    { 'refunds._id': refundRecordId },
+    { $set: { 'refunds.$.status': status, 'refunds.$.phonepeRefundId': payload.refundId, 'refunds.$.updatedAt': new Date() } },
+    { new: true }
+  );
+  if (!order) {
+    console.warn(`PhonePe callback: order not found for refund ${refundRecordId}`);
+    return 'Ignored';
+  }
+
+  console.log(`PhonePe callback: refund ${refundRecordId} recorded as ${status} for order ${order.orderId}`);
+  await publishOrderEvent('order.updated', order, { refundId: payload.refundId, refundStatus: status });
+  return 'Processed';
+};
+
+router.post('/phonepe', async (req, res) => {
+  if (!process.env.PHONEPE_CALLBACK_USERNAME || !process.env.PHONEPE_CALLBACK_PASSWORD) {
+    console.error('PhonePe callback received but PHONEPE_CALLBACK_USERNAME / PHONEPE_CALLBACK_PASSWORD are not configured');
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
+
+  const callback = phonepe.parseCallback(req.headers.authorization, req.rawBody);
+  if (!callback?.payload) {
+    console.warn(`Invalid PhonePe callback, IP: ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid callback authorization' });
+  }
+
+  // PhonePe sends no event id; the body identifies a delivery
+  const { payload } = callback;
+  const type = String(callback.type || 'unknown');
+  const eventId = `phonepe:${crypto.createHash('sha256').update(req.rawBody).digest('hex')}`;
+  try {
+    const claimed = await claimEvent({
+      eventId,
+      provider: 'PhonePe',
+      event: type,
+      phonepeMerchantOrderId: payload.merchantOrderId || payload.originalMerchantOrderId,
+    });
+    if (!claimed) {
+      console.log(`PhonePe callback: duplicate ${type} ignored`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error(`PhonePe callback: failed to record event ${eventId}:`, error.message);
+    return res.status(500).json({ error: 'Failed to record webhook event' });
+  }
+
+  try {
+    let status = 'Ignored';
+    if (/_ORDER_(COMPLETED|FAILED)$|_TRANSACTION_ATTEMPT_FAILED$/.test(type)) {
+      status = await handlePhonePeOrder(type, payload);
+    } else if (type.startsWith('PG_REFUND_')) {
+      status = await handlePhonePeRefund(payload);
+    } else {
+      console.log(`PhonePe callback: ignoring unsupported type ${type}`);
+    }
+    await WebhookEvent.updateOne({ eventId }, { $set: { status } });
+    console.log(`PhonePe callback: ${type} for ${payload.merchantOrderId || payload.merchantRefundId} ${status.toLowerCase()}`);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(`PhonePe callback: failed to process ${type}:`, { message: error.message, stack: error.stack });
+    await WebhookEvent.updateOne({ eventId }, { $set: { status: 'Failed', error: error.message } }).catch(() => {});
+    // A non-2xx response makes PhonePe retry the callback
+    res.status(500).json({ error: 'Failed to process webhook event' });
+  }
+});
+
+module.exports = router;
@@ -7,17 +7,41 @@ const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const cron = require('node-cron');
 const jwt = require('jsonwebtoken');
-const Order = require('./models/order');
+const { releaseExpiredReservations } = require('./utils/stock');
+const { expireUnpaidOrders, archiveStaleOrders, purgeArchivedOrders, dropOrderTtlIndexes } = require('./utils/orderArchive');
+const { ARCHIVE_UNPAID_AFTER_DAYS, ARCHIVE_RETENTION_DAYS } = require('./config/retention');
+const { isSessionActive } = require('./utils/sessions');
+const { attachClient, detachClient } = require('./utils/orderEvents');
+const { processExportJobs, requeueInterruptedExports, cleanupExpiredExports } = require('./utils/orderExport');
+const { processAbandonedCheckouts } = require('./utils/abandonedCheckouts');
+const { runReconciliation } = require('./utils/paymentReconciliation');
+const { EMAIL_MAX_ATTEMPTS, processOutbox, requeueInterruptedEmails } = require('./utils/emailOutbox');
+const { missingEmailConfig } = require('./config/email');
+const { sellerGstinError } = require('./config/gst');
 const authRoutes = require('./routes/auth');
 const orderRoutes = require('./routes/orders');
 const contactRoutes = require('./routes/contact');
+const webhookRoutes = require('./routes/webhooks');
+const productRoutes = require('./routes/products');
+const inventoryRoutes = require('./routes/inventory');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const meRoutes = require('./routes/me');
+const adminRoutes = require('./routes/admins');
+const auditLogRoutes = require('./routes/auditLogs');
+const invoiceRoutes = require('./routes/invoices');
+const exportRoutes = require('./routes/exports');
+const analyticsRoutes = require('./routes/analytics');
+const checkoutRecoveryRoutes = require('./routes/checkoutRecovery');
+const archivedOrderRoutes = require('./routes/archivedOrders');
+const reconciliationRoutes = require('./routes/reconciliation');
+const emailOutboxRoutes = require('./routes/emailOutbox');
+const emailTemplateRoutes = require('./routes/emailTemplates');
 
 // Validate environment variables
 const requiredEnvVars = [
   'MONGO_URI',
   'JWT_SECRET',
-  'EMAIL_USER',
-  'EMAIL_PASS',
   'SUPPORT_EMAIL',
   'CORS_ORIGINS',
   'BACKEND_URL',
@@ -25,17 +49,35 @@ const requiredEnvVars = [
   'RAZORPAY_KEY_ID',
   'RAZORPAY_KEY_SECRET',
 ];
-const missingEnvVars = requiredEnvVars.filter((varName) => !process.env[varName]);
+// Mail credentials depend on EMAIL_TRANSPORT, e.g. EMAIL_USER / EMAIL_PASS for gmail
+const missingEnvVars = [...requiredEnvVars, ...missingEmailConfig()].filter((varName) => !process.env[varName]);
 if (missingEnvVars.length > 0) {
   console.error(`❌ Missing environment variables: ${missingEnvVars.join(', ')}`);
   process.exit(1);
 }
 
+if (process.env.RAZORPAY_MODE === 'mock' && process.env.NODE_ENV === 'production') {
+  console.error('❌ RAZORPAY_MODE=mock cannot be used in production');
+  process.exit(1);
+}
+
+// Without it orders would silently go to the stub courier
+if (!process.env.SHIPPING_PROVIDER && process.env.NODE_ENV === 'production') {
+  console.error('❌ SHIPPING_PROVIDER must be set in production');
+  process.exit(1);
+}
+
 if (!process.env.MONGO_URI.startsWith('mongodb://') && !process.env.MONGO_URI.startsWith('mongodb+srv://')) {
   console.error('❌ Invalid MONGO_URI format');
   process.exit(1);
 }
 
+// Only invoicing depends on it, so the store keeps running without it
+const gstinError = sellerGstinError();
+if (gstinError) {
+  console.warn(`⚠️ ${gstinError}: tax invoices will not be issued and all sales are taxed as inter-state (IGST) until it is set`);
+}
+
 const allowedOrigins = process.env.CORS_ORIGINS.split(',').map((o) => o.trim());
 if (!allowedOrigins.includes('https://www.nisargmaitri.in')) {
   console.error('❌ CORS_ORIGINS must include https://www.nisargmaitri.in');
@@ -69,7 +111,15 @@ const limiter = rateLimit({
 });
 
 app.use(limiter);
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -107,7 +157,7 @@ app.use(
         callback(new Error(`CORS error: Origin ${origin} not allowed`));
       }
     },
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'], // Removed 'X-CSRF-Token'
     credentials: true,
     exposedHeaders: ['Vary'],
@@ -122,18 +172,39 @@ app.use((req, res, next) => {
 
 // SSE endpoint for order updates
 app.get('/api/order-updates', async (req, res) => {
+  // Listen for the disconnect before anything is awaited, so a client that leaves during the
+  // session check is never attached
+  let client = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    if (!client) return;
+    detachClient(client);
+    console.log(`Client ${client.id} disconnected`);
+  });
+
   const token = req.query.token;
   if (!token) {
     console.warn(`No token provided for SSE at /api/order-updates, IP: ${req.ip}`);
     return res.status(401).send('Unauthorized');
   }
 
+  let decoded;
   try {
-    jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.isAdmin || decoded.type === 'customer') {
+      console.warn(`Non-admin SSE token for ${decoded.email || decoded.id}, IP: ${req.ip}`);
+      return res.status(403).send('Forbidden');
+    }
+    if (!(await isSessionActive(decoded.sid))) {
+      console.warn(`Revoked SSE session for ${decoded.email || decoded.id}, IP: ${req.ip}`);
+      return res.status(401).send('Session revoked');
+    }
   } catch (err) {
     console.warn(`Invalid SSE token: ${err.message}, IP: ${req.ip}`);
     return res.status(401).send('Invalid token');
   }
+  if (closed) return;
 
   res.set({
     'Content-Type': 'text/event-stream',
@@ -141,15 +212,13 @@ app.get('/api/order-updates', async (req, res) => {
     Connection: 'keep-alive',
   });
 
-  const client = { id: Date.now(), res };
-  global.clients.add(client);
+  // Keep the session on the client so revoking it can close the stream
+  client = { id: Date.now(), res, sid: decoded.sid, userId: String(decoded.id) };
 
   res.write('data: {"type": "connected"}\n\n');
 
-  req.on('close', () => {
-    global.clients.delete(client);
-    console.log(`Client ${client.id} disconnected`);
-  });
+  // EventSource sends Last-Event-ID on reconnect; the query parameter covers manual reconnects
+  await attachClient(client, req.headers['last-event-id'] || req.query.lastEventId);
 });
 
 // Request logging with masked sensitive data
@@ -182,20 +251,56 @@ console.log('Environment Configuration:', {
   PORT: process.env.PORT || 5001,
   MONGO_URI: process.env.MONGO_URI ? 'Set' : 'Not set',
   JWT_SECRET: process.env.JWT_SECRET ? 'Set' : 'Not set',
+  EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'gmail',
   EMAIL_USER: process.env.EMAIL_USER ? 'Set' : 'Not set',
   EMAIL_PASS: process.env.EMAIL_PASS ? 'Set' : 'Not set',
   SUPPORT_EMAIL: process.env.SUPPORT_EMAIL ? 'Set' : 'Not set',
+  EMAIL_MAX_ATTEMPTS,
   CORS_ORIGINS: process.env.CORS_ORIGINS,
   BACKEND_URL: process.env.BACKEND_URL,
   FRONTEND_URL: process.env.FRONTEND_URL,
+  RAZORPAY_MODE: process.env.RAZORPAY_MODE || 'live',
   RAZORPAY_KEY_ID: process.env.RAZORPAY_KEY_ID ? 'Set' : 'Not set',
   RAZORPAY_KEY_SECRET: process.env.RAZORPAY_KEY_SECRET ? 'Set' : 'Not set',
+  RAZORPAY_WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET ? 'Set' : 'Not set',
+  PHONEPE_CLIENT_ID: process.env.PHONEPE_CLIENT_ID ? 'Set' : 'Not set',
+  PHONEPE_CLIENT_SECRET: process.env.PHONEPE_CLIENT_SECRET ? 'Set' : 'Not set',
+  PHONEPE_ENV: process.env.PHONEPE_ENV || 'SANDBOX',
+  PHONEPE_CALLBACK_USERNAME: process.env.PHONEPE_CALLBACK_USERNAME ? 'Set' : 'Not set',
+  SELLER_GSTIN: process.env.SELLER_GSTIN ? 'Set' : 'Not set',
+  DEFAULT_GST_RATE: process.env.DEFAULT_GST_RATE || 18,
+  INVOICE_PREFIX: process.env.INVOICE_PREFIX || 'NM',
+  ARCHIVE_UNPAID_AFTER_DAYS,
+  ARCHIVE_RETENTION_DAYS,
+  RECONCILE_LOOKBACK_HOURS: process.env.RECONCILE_LOOKBACK_HOURS || 72,
+  SHIPPING_PROVIDER: process.env.SHIPPING_PROVIDER || (isProduction ? 'Not set' : 'stub'),
+  SHIPPING_WEBHOOK_TOKEN: process.env.SHIPPING_WEBHOOK_TOKEN ? 'Set' : 'Not set',
 });
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/checkout-recovery', checkoutRecoveryRoutes);
+app.use('/api/archived-orders', archivedOrderRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/email-outbox', emailOutboxRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/webhooks', webhookRoutes);
+if (process.env.RAZORPAY_MODE === 'mock') {
+  app.use('/api/mock-gateway', require('./routes/mockGateway'));
+  console.warn('⚠️ Razorpay mock mode: payments are simulated, pay through /api/mock-gateway');
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -207,17 +312,66 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Cleanup old pending/failed orders daily
+// Move old unpaid orders to the archive daily, and purge archived orders past retention
 cron.schedule('0 0 * * *', async () => {
   if (mongoose.connection.readyState !== 1) return;
   try {
-    const result = await Order.deleteMany({
-      paymentStatus: { $in: ['Pending', 'Failed'] },
-      createdAt: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) },
-    });
-    console.log(`Cleaned up ${result.deletedCount} old pending/failed orders`);
+    const archived = await archiveStaleOrders();
+    console.log(`Archived ${archived} old unpaid orders`);
+    const purged = await purgeArchivedOrders();
+    if (purged > 0) console.log(`Purged ${purged} archived orders past retention`);
+  } catch (error) {
+    console.error('Error archiving unpaid orders:', error.message);
+  }
+  try {
+    const removed = await cleanupExpiredExports();
+    if (removed > 0) console.log(`Removed ${removed} expired order exports`);
   } catch (error) {
-    console.error('Error cleaning up pending orders:', error.message);
+    console.error('Error cleaning up order exports:', error.message);
+  }
+});
+
+// Expire unpaid online orders and release stock held past the payment window,
+// including reservations of orders that have since been archived
+cron.schedule('* * * * *', async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const expired = await expireUnpaidOrders();
+    if (expired > 0) console.log(`Expired ${expired} unpaid online orders`);
+  } catch (error) {
+    console.error('Error expiring unpaid orders:', error.message);
+  }
+  try {
+    const released = await releaseExpiredReservations();
+    if (released > 0) console.log(`Released stock for ${released} expired reservations`);
+  } catch (error) {
+    console.error('Error releasing expired stock reservations:', error.message);
+  }
+  // Pick up export jobs that were queued while another one was running
+  await processExportJobs();
+  // Send queued emails and retries that have come due
+  await processOutbox();
+});
+
+// Mark unpaid checkouts as abandoned and send the reminder emails that are due
+cron.schedule('*/5 * * * *', async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const { abandoned, reminded } = await processAbandonedCheckouts();
+    if (abandoned > 0 || reminded > 0) {
+      console.log(`Abandoned checkouts: ${abandoned} newly abandoned, ${reminded} reminders queued`);
+    }
+  } catch (error) {
+    console.error('Error processing abandoned checkouts:', error.message);
+  }
+});
+
+// Catch payments whose webhook and browser callback both went missing
+cron.schedule('*/15 * * * *', async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  const run = await runReconciliation();
+  if (run && (run.paid > 0 || run.failed > 0 || run.ambiguous.length > 0)) {
+    console.log(`Payment reconciliation: ${run.checked} checked, ${run.paid} paid, ${run.failed} failed, ${run.ambiguous.length} ambiguous`);
   }
 });
 
@@ -270,8 +424,28 @@ mongoose.connection.on('connected', () => console.log('MongoDB connection establ
 mongoose.connection.on('disconnected', () => console.warn('MongoDB disconnected'));
 mongoose.connection.on('error', (err) => console.error('MongoDB connection error:', err.message));
 
-// Start MongoDB connection
-connectDB();
+// Start MongoDB connection, then remove the old order TTL index and resume any export jobs
+// and outbox emails cut off by the last restart
+connectDB().then(async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    await dropOrderTtlIndexes();
+  } catch (error) {
+    console.error('Error dropping the legacy order TTL index:', error.message);
+  }
+  try {
+    await requeueInterruptedExports();
+    await processExportJobs();
+  } catch (error) {
+    console.error('Error resuming order exports:', error.message);
+  }
+  try {
+    await requeueInterruptedEmails();
+    await processOutbox();
+  } catch (error) {
+    console.error('Error resuming the email outbox:', error.message);
+  }
+});
 
 // Start server
 const PORT = process.env.PORT || 5001;
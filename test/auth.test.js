@@ -0,0 +1,84 @@
+require('./helpers');
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const login = async (password) => {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'asha@example.com', password }),
+  });
+  return response.status;
+};
+
+// A customer whose stored password is the given value (a hash, or legacy plaintext)
+const mockCustomer = (storedPassword) => {
+  const user = new User({ email: 'asha@example.com', password: storedPassword, firstName: 'Asha', isAdmin: false });
+  mock.method(User, 'findOne', async () => user);
+  const save = mock.method(user, 'save', async () => user);
+  mock.method(Session, 'create', async (doc) => ({ _id: 'session-1', ...doc }));
+  return { user, save };
+};
+
+describe('login', () => {
+  test('compares the password exactly as typed', async () => {
+    const { save } = mockCustomer(await bcrypt.hash('  tom&jerry<3  ', 4));
+
+    assert.equal(await login('  tom&jerry<3  '), 200);
+    assert.equal(await login('tom&amp;jerry&lt;3'), 401);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('accepts a password hashed in its old sanitized form once and re-hashes it as typed', async () => {
+    const { user, save } = mockCustomer(await bcrypt.hash('tom&amp;jerry', 4));
+
+    assert.equal(await login(' tom&jerry '), 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(user.password, ' tom&jerry ');
+  });
+
+  test('still upgrades legacy plaintext passwords', async () => {
+    const { user, save } = mockCustomer('secret123');
+
+    assert.equal(await login('secret123'), 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(user.password, 'secret123');
+  });
+
+  test('rejects a wrong password', async () => {
+    const { save } = mockCustomer(await bcrypt.hash('secret123', 4));
+
+    assert.equal(await login('secret124'), 401);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('User.validatePassword', () => {
+  test('checks only the type and length', () => {
+    assert.equal(User.validatePassword('<b>&x</b>'), null);
+    assert.equal(User.validatePassword('short'), 'Password must be at least 6 characters');
+    assert.equal(User.validatePassword({ $ne: '' }), 'Password must be at least 6 characters');
+    assert.equal(User.validatePassword('é'.repeat(37)), 'Password must be at most 72 bytes');
+  });
+});
@@ -0,0 +1,147 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+const Order = require('../models/order');
+const { validateOrderTotals } = require('../utils/orderTotals');
+const { calculateDiscount, checkCouponEligibility, applyCoupon, recordCouponUsage } = require('../utils/coupons');
+
+afterEach(() => mock.restoreAll());
+
+const buildCoupon = (overrides = {}) =>
+  new Coupon({ code: 'SAVE10', type: 'Percentage', value: 10, isActive: true, ...overrides });
+
+const items = [
+  { productId: 'p1', category: 'Kitchen', price: 400, quantity: 2 },
+  { productId: 'p2', category: 'Bath', price: 200, quantity: 1 },
+];
+const cart = { items, subtotal: 1000, expectedShippingCost: 0 };
+
+describe('calculateDiscount', () => {
+  test('takes a percentage of the subtotal, capped at maxDiscount', () => {
+    assert.equal(calculateDiscount(buildCoupon(), cart).discount, 100);
+    assert.equal(calculateDiscount(buildCoupon({ maxDiscount: 60 }), cart).discount, 60);
+  });
+
+  test('only discounts the items a restricted coupon covers', () => {
+    const coupon = buildCoupon({ type: 'Flat', value: 500, categories: ['Bath'] });
+    assert.equal(calculateDiscount(coupon, cart).discount, 200);
+  });
+
+  test('rejects a restricted coupon when no item qualifies', () => {
+    const coupon = buildCoupon({ productIds: ['p9'] });
+    assert.equal(calculateDiscount(coupon, cart).error, 'Coupon SAVE10 does not apply to the items in your cart');
+  });
+
+  test('waives the shipping for FreeShipping coupons', () => {
+    const coupon = buildCoupon({ type: 'FreeShipping' });
+    assert.deepEqual(calculateDiscount(coupon, { ...cart, expectedShippingCost: 80 }), { discount: 80, shippingCost: 0 });
+  });
+});
+
+describe('checkCouponEligibility', () => {
+  const day = 24 * 60 * 60 * 1000;
+
+  test('rejects inactive, expired and not yet started coupons', async () => {
+    assert.match(await checkCouponEligibility(buildCoupon({ isActive: false }), cart), /not active$/);
+    assert.match(await checkCouponEligibility(buildCoupon({ endsAt: new Date(Date.now() - day) }), cart), /expired/);
+    assert.match(await checkCouponEligibility(buildCoupon({ startsAt: new Date(Date.now() + day) }), cart), /not active yet/);
+  });
+
+  test('enforces the minimum subtotal and the usage limit', async () => {
+    assert.match(await checkCouponEligibility(buildCoupon({ minSubtotal: 1500 }), cart), /minimum subtotal of ₹1500/);
+    assert.match(await checkCouponEligibility(buildCoupon({ usageLimit: 5, usedCount: 5 }), cart), /usage limit/);
+    assert.equal(await checkCouponEligibility(buildCoupon({ usageLimit: 5, usedCount: 4 }), cart), null);
+  });
+
+  test('counts earlier redemptions by the same customer', async () => {
+    const count = mock.method(CouponRedemption, 'countDocuments', async () => 1);
+    const error = await checkCouponEligibility(buildCoupon({ perCustomerLimit: 1 }), { ...cart, email: 'Asha@Example.com' });
+
+    assert.match(error, /maximum number of times/);
+    assert.deepEqual(count.mock.calls[0].arguments[0], { code: 'SAVE10', email: 'asha@example.com' });
+  });
+});
+
+describe('applyCoupon', () => {
+  test('can price a coupon without re-checking its eligibility', async () => {
+    mock.method(Coupon, 'findOne', async () => buildCoupon({ usageLimit: 1, usedCount: 1 }));
+
+    assert.match((await applyCoupon('save10', cart)).error, /usage limit/);
+    assert.equal((await applyCoupon('save10', cart, { checkEligibility: false })).discount, 100);
+  });
+});
+
+describe('recordCouponUsage', () => {
+  const order = () => buildOrder({ coupon: { code: 'SAVE10', type: 'Percentage', discount: 60 } });
+
+  test('counts the use only while the coupon is under its limit', async () => {
+    mock.method(CouponRedemption, 'create', async (doc) => doc);
+    const increment = mock.method(Coupon, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+    assert.equal(await recordCouponUsage(order()), true);
+    const [filter, changes] = increment.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or, [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]);
+    assert.deepEqual(changes, { $inc: { usedCount: 1 } });
+  });
+
+  test('flags the redemption instead of going past the limit', async () => {
+    const paid = order();
+    mock.method(CouponRedemption, 'create', async (doc) => doc);
+    mock.method(Coupon, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+    const flag = mock.method(CouponRedemption, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await recordCouponUsage(paid), false);
+    assert.deepEqual(flag.mock.calls[0].arguments, [{ orderId: paid.orderId }, { $set: { overLimit: true } }]);
+  });
+
+  test('counts an order once', async () => {
+    mock.method(CouponRedemption, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    const increment = mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await recordCouponUsage(order()), false);
+    assert.equal(increment.mock.callCount(), 0);
+  });
+});
+
+describe('Order coupon validation', () => {
+  const product = new Product({ name: 'Bamboo brush', sku: 'BRUSH', price: 300, category: 'Bath', isActive: true });
+
+  // An order priced through validateOrderTotals, as placeOrder saves it
+  const placedOrder = async () => {
+    const orderData = {
+      items: [{ productId: product._id.toString(), quantity: 2 }],
+      coupon: { code: 'SAVE10' },
+      customer: { email: 'asha@example.com' },
+      shippingAddress: { state: 'Maharashtra' },
+      gstDetails: { gstNumber: '' },
+    };
+    const totals = await validateOrderTotals(orderData);
+    return buildOrder({
+      items: totals.items,
+      tax: totals.tax,
+      coupon: { code: 'SAVE10', type: 'Percentage', discount: totals.couponDiscount },
+      shippingMethod: { type: 'Standard', cost: totals.shippingCost },
+      total: totals.calculatedTotal,
+    });
+  };
+
+  test('checks eligibility for new orders but not for orders already placed', async () => {
+    mock.method(Product, 'find', async () => [product]);
+    const findCoupon = mock.method(Coupon, 'findOne', async () => buildCoupon());
+    const order = await placedOrder();
+    await order.validate();
+
+    // The coupon has since been used up, partly by this order
+    findCoupon.mock.mockImplementation(async () => buildCoupon({ usageLimit: 1, usedCount: 1 }));
+    await assert.rejects(buildOrder(order.toObject()).validate(), /usage limit/);
+
+    const existing = Order.hydrate(order.toObject());
+    existing.markModified('items');
+    await existing.validate();
+  });
+});
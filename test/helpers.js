@@ -0,0 +1,43 @@
+// Loaded first by every test file. Tests run without a database: model methods are replaced
+// with node:test mocks, and anything left unmocked fails straight away instead of waiting
+// for a connection.
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  RAZORPAY_MODE: 'mock',
+  RAZORPAY_KEY_ID: 'rzp_test_key',
+  RAZORPAY_KEY_SECRET: 'test_key_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'test_webhook_secret',
+  JWT_SECRET: 'test_jwt_secret',
+  SELLER_GSTIN: '27AAAAA0000A1Z5',
+});
+
+// Keep test output readable; set TEST_LOGS=1 to see the app's logging
+if (!process.env.TEST_LOGS) {
+  for (const level of ['log', 'info', 'warn', 'error']) console[level] = () => {};
+}
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// An unsaved Order document: one line of 2 x ₹300 with ₹50 shipping, paid by Razorpay
+const buildOrder = (overrides = {}) => {
+  const Order = require('../models/order');
+  return new Order({
+    orderId: `ORDER-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    customer: { firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com', phone: '9876543210' },
+    shippingAddress: { address1: '1 MG Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+    shippingMethod: { type: 'Standard', cost: 50 },
+    items: [{ productId: 'p1', name: 'Bamboo brush', variant: '', quantity: 2, price: 300 }],
+    total: 650,
+    paymentMethod: 'Razorpay',
+    paymentStatus: 'Pending',
+    razorpayOrderId: 'order_test1',
+    createdAt: new Date(),
+    ...overrides,
+  });
+};
+
+module.exports = { objectId, buildOrder };
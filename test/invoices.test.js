@@ -0,0 +1,61 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const { issueInvoice } = require('../utils/invoices');
+
+afterEach(() => mock.restoreAll());
+
+const paidOrder = () => buildOrder({ paymentStatus: 'Success', razorpayPaymentId: 'pay_1' });
+
+describe('issueInvoice', () => {
+  test('numbers a new invoice from the financial year counter without a transaction', async () => {
+    const startSession = mock.method(mongoose, 'startSession', async () => {
+      throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+    });
+    mock.method(Invoice, 'findOne', async () => null);
+    mock.method(Product, 'find', async () => []);
+    const next = mock.method(Counter, 'next', async () => 7);
+    mock.method(Invoice, 'create', async (doc) => doc);
+
+    const { invoice } = await issueInvoice(paidOrder());
+    assert.match(next.mock.calls[0].arguments[0], /^invoice:[0-9]{4}-[0-9]{2}$/);
+    assert.match(invoice.invoiceNumber, /^NM\/[0-9]{4}-[0-9]{2}\/00007$/);
+    assert.equal(invoice.sequence, 7);
+    assert.equal(startSession.mock.callCount(), 0);
+  });
+
+  test('returns an invoice already issued without taking a number', async () => {
+    const issued = { orderId: 'ORDER-1', invoiceNumber: 'NM/2026-27/00003' };
+    mock.method(Invoice, 'findOne', async () => issued);
+    const next = mock.method(Counter, 'next', async () => 8);
+
+    assert.deepEqual(await issueInvoice(paidOrder()), { invoice: issued });
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  test('hands its number back and returns the invoice a concurrent request issued', async () => {
+    const issued = { orderId: 'ORDER-1', invoiceNumber: 'NM/2026-27/00007' };
+    const lookup = mock.method(Invoice, 'findOne', async () => null);
+    mock.method(Product, 'find', async () => []);
+    mock.method(Counter, 'next', async () => 8);
+    mock.method(Invoice, 'create', async () => {
+      lookup.mock.mockImplementation(async () => issued);
+      throw Object.assign(new Error('E11000 duplicate key error, index: orderId_1'), { code: 11000 });
+    });
+    const release = mock.method(Counter, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await issueInvoice(paidOrder()), { invoice: issued });
+    const [filter, changes] = release.mock.calls[0].arguments;
+    assert.equal(filter.seq, 8);
+    assert.deepEqual(changes, { $inc: { seq: -1 } });
+  });
+
+  test('only issues invoices for paid orders', async () => {
+    const result = await issueInvoice(buildOrder({ paymentStatus: 'Pending' }));
+    assert.deepEqual(result, { error: 'Invoices are only issued for paid orders', status: 400 });
+  });
+});
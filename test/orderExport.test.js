@@ -0,0 +1,44 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const Order = require('../models/order');
+const { buildExportPlan, streamOrderExport } = require('../utils/orderExport');
+
+afterEach(() => mock.restoreAll());
+
+// Runs a CSV export of the given lean orders and returns its rows as objects keyed by header
+const exportCsv = async (orders) => {
+  mock.method(Order, 'find', () => ({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => Object.assign((async function* () { yield* orders; })(), { close: async () => {} }),
+      }),
+    }),
+  }));
+  const res = Object.assign(new PassThrough(), { set: () => {}, status: () => {} });
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+
+  await streamOrderExport(res, buildExportPlan({ format: 'csv' }));
+  const [header, ...rows] = Buffer.concat(chunks).toString().replace(/^\uFEFF/, '').trim().split('\r\n');
+  const headers = header.split(',');
+  return rows.map((row) => Object.fromEntries(row.split(',').map((value, i) => [headers[i], value])));
+};
+
+describe('order export', () => {
+  test('reports refunds the way Order.refundedAmount counts them', async () => {
+    const order = buildOrder({
+      paymentStatus: 'Success',
+      refunds: [
+        { amount: 100, status: 'Processed' },
+        { amount: 50.5, status: 'Pending' },
+        { amount: 200, status: 'Failed' },
+      ],
+    });
+
+    const [row] = await exportCsv([order.toObject()]);
+    assert.equal(order.refundedAmount, 150.5);
+    assert.equal(row.Refunded, '150.5');
+  });
+});
@@ -0,0 +1,130 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/order');
+const StockReservation = require('../models/StockReservation');
+const razorpay = require('../utils/payments/razorpay');
+const razorpayMock = require('../utils/payments/razorpayMock');
+const { applyGatewayStatus } = require('../utils/payments');
+const { markOrderPaid, paymentAmount } = require('../utils/orderPayments');
+
+afterEach(() => mock.restoreAll());
+
+// A Pending order with a mock Razorpay order for the same amount (or another amount)
+const createMockPayment = async (overrides = {}, amount) => {
+  const order = buildOrder(overrides);
+  const gatewayOrder = await razorpayMock.client.orders.create({
+    amount: amount || paymentAmount(order),
+    receipt: order.orderId,
+    notes: { orderId: order.orderId, customerEmail: order.customer.email },
+  });
+  order.razorpayOrderId = gatewayOrder.id;
+  return order;
+};
+
+describe('Razorpay verifyPayment', () => {
+  test('accepts the signed checkout response', async () => {
+    const order = await createMockPayment();
+    const { checkout } = razorpayMock.pay(order.razorpayOrderId, { outcome: 'success' });
+
+    const status = await razorpay.verifyPayment(order, checkout);
+    assert.equal(status.state, 'captured');
+    assert.equal(status.payment.id, checkout.razorpay_payment_id);
+  });
+
+  test('rejects a tampered signature', async () => {
+    const order = await createMockPayment();
+    const { checkout } = razorpayMock.pay(order.razorpayOrderId, { outcome: 'success' });
+
+    const status = await razorpay.verifyPayment(order, { ...checkout, razorpay_signature: '0'.repeat(64) });
+    assert.deepEqual(status, { error: 'Invalid payment signature', status: 400 });
+  });
+
+  test('rejects a payment for another Razorpay order', async () => {
+    const order = await createMockPayment();
+    const other = await createMockPayment();
+    const { checkout } = razorpayMock.pay(other.razorpayOrderId, { outcome: 'success' });
+
+    const status = await razorpay.verifyPayment(order, checkout);
+    assert.equal(status.error, 'Razorpay order ID mismatch');
+  });
+});
+
+describe('Razorpay fetchStatus', () => {
+  test('reports none before any payment attempt', async () => {
+    const order = await createMockPayment();
+    assert.equal((await razorpay.fetchStatus(order)).state, 'none');
+  });
+
+  test('reports a full capture as captured', async () => {
+    const order = await createMockPayment();
+    razorpayMock.pay(order.razorpayOrderId, { outcome: 'success' });
+    assert.equal((await razorpay.fetchStatus(order)).state, 'captured');
+  });
+
+  test('reports a failed attempt as failed', async () => {
+    const order = await createMockPayment();
+    razorpayMock.pay(order.razorpayOrderId, { outcome: 'failure' });
+
+    const status = await razorpay.fetchStatus(order);
+    assert.equal(status.state, 'failed');
+    assert.equal(status.reason, 'Payment failed (mock)');
+  });
+
+  test('leaves an authorized payment ambiguous', async () => {
+    const order = await createMockPayment();
+    razorpayMock.pay(order.razorpayOrderId, { outcome: 'delayed', delayMs: 60 * 60 * 1000 });
+    assert.equal((await razorpay.fetchStatus(order)).state, 'ambiguous');
+  });
+
+  test('never treats a capture for a different amount as paid', async () => {
+    const order = await createMockPayment({}, 100);
+    razorpayMock.pay(order.razorpayOrderId, { outcome: 'success' });
+
+    const status = await razorpay.fetchStatus(order);
+    assert.equal(status.state, 'ambiguous');
+    assert.match(status.reason, /Captured 100 paise but the order total is 65000 paise/);
+  });
+});
+
+describe('markOrderPaid', () => {
+  test('only moves an order that is not paid yet and then finalizes it', async () => {
+    const order = buildOrder();
+    const paid = buildOrder({ _id: order._id, orderId: order.orderId, paymentStatus: 'Success' });
+    const update = mock.method(Order, 'findOneAndUpdate', async () => paid);
+    const commit = mock.method(StockReservation, 'findOneAndUpdate', async () => null);
+    mock.method(StockReservation, 'findOne', async () => ({ status: 'Committed' }));
+
+    const result = await markOrderPaid(order, { razorpayPaymentId: 'pay_1' });
+    assert.equal(result, paid);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, paymentStatus: { $ne: 'Success' } });
+    assert.deepEqual(changes, { $set: { razorpayPaymentId: 'pay_1', paymentStatus: 'Success' } });
+    assert.equal(commit.mock.calls[0].arguments[0].orderId, order.orderId);
+  });
+
+  test('does nothing for an order another request already marked paid', async () => {
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+    const commit = mock.method(StockReservation, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await markOrderPaid(buildOrder(), { razorpayPaymentId: 'pay_1' }), null);
+    assert.equal(commit.mock.callCount(), 0);
+  });
+});
+
+describe('applyGatewayStatus', () => {
+  test('fails only Pending orders', async () => {
+    const order = buildOrder();
+    const update = mock.method(Order, 'findOneAndUpdate', async () => buildOrder({ paymentStatus: 'Failed' }));
+
+    assert.equal(await applyGatewayStatus(order, { state: 'failed', reason: 'Declined' }), 'failed');
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: order._id, paymentStatus: 'Pending' });
+  });
+
+  test('leaves the order alone for an ambiguous status', async () => {
+    const update = mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await applyGatewayStatus(buildOrder(), { state: 'ambiguous', reason: 'Authorized' }), 'unchanged');
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
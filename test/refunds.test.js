@@ -0,0 +1,126 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/order');
+const razorpay = require('../utils/payments/razorpay');
+const { priceRefundItems, createRefund } = require('../utils/refunds');
+
+afterEach(() => mock.restoreAll());
+
+// 3 x ₹100 with ₹10 of the coupon on the line, plus 1 x ₹200 without a discount
+const discountedOrder = (refunds = []) =>
+  buildOrder({
+    items: [
+      { productId: 'p1', name: 'Soap', quantity: 3, price: 100, discount: 10 },
+      { productId: 'p2', name: 'Comb', quantity: 1, price: 200 },
+    ],
+    refunds,
+  });
+
+describe('priceRefundItems', () => {
+  test('refunds what was paid for the units after the coupon discount', () => {
+    const priced = priceRefundItems(discountedOrder(), [{ productId: 'p1', quantity: 1 }]);
+    assert.deepEqual(priced.items, [{ productId: 'p1', variant: '', quantity: 1, amount: 96.67 }]);
+    assert.equal(priced.amount, 96.67);
+  });
+
+  test('gives the last units whatever is left of the line', () => {
+    const order = discountedOrder([
+      { amount: 96.67, status: 'Processed', items: [{ productId: 'p1', quantity: 1, amount: 96.67 }] },
+    ]);
+    const priced = priceRefundItems(order, [{ productId: 'p1', quantity: 2 }]);
+    assert.equal(priced.amount, 193.33);
+  });
+
+  test('ignores failed refunds when counting what is left', () => {
+    const order = discountedOrder([
+      { amount: 290, status: 'Failed', items: [{ productId: 'p1', quantity: 3, amount: 290 }] },
+    ]);
+    assert.equal(priceRefundItems(order, [{ productId: 'p1', quantity: 3 }]).amount, 290);
+  });
+
+  test('counts repeated lines in one request against the same quantity', () => {
+    const priced = priceRefundItems(discountedOrder(), [
+      { productId: 'p1', quantity: 2 },
+      { productId: 'p1', quantity: 2 },
+    ]);
+    assert.equal(priced.error, 'Only 1 unit(s) of Soap can still be refunded');
+  });
+
+  test('rejects items that are not on the order', () => {
+    const priced = priceRefundItems(discountedOrder(), [{ productId: 'p9', quantity: 1 }]);
+    assert.equal(priced.error, 'Item p9 is not part of this order');
+  });
+});
+
+describe('createRefund', () => {
+  // Stands in for the atomic push: the refund is recorded unless it would exceed the total
+  const mockRefundPush = (order) =>
+    mock.method(Order, 'findOneAndUpdate', async (filter, { $push }) => {
+      if (order.refundedAmount + $push.refunds.amount > order.total) return null;
+      order.refunds.push($push.refunds);
+      return order;
+    });
+
+  test('only refunds paid orders', async () => {
+    const result = await createRefund(buildOrder({ paymentStatus: 'Pending' }), { amount: 100, reason: 'Damaged' });
+    assert.deepEqual(result, { error: 'Only paid orders can be refunded', status: 400 });
+  });
+
+  test('requires the mode and reference for COD refunds', async () => {
+    const order = buildOrder({ paymentMethod: 'COD', paymentStatus: 'Success' });
+    const result = await createRefund(order, { amount: 100, reason: 'Damaged' });
+    assert.equal(result.status, 400);
+  });
+
+  test('refunds the rest of the order through Razorpay when no amount is given', async () => {
+    const order = buildOrder({ paymentStatus: 'Success', razorpayPaymentId: 'pay_1' });
+    const push = mockRefundPush(order);
+    const statusUpdate = mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(Order, 'findById', async () => order);
+    const gatewayRefund = mock.method(razorpay, 'refund', async () => ({
+      fields: { razorpayRefundId: 'rfnd_1' },
+      status: 'Processed',
+    }));
+
+    const result = await createRefund(order, { reason: 'Cancelled', actor: 'admin@example.com' });
+    assert.equal(result.refund.amount, 650);
+    assert.ok(push.mock.calls[0].arguments[0].$expr, 'the total check runs inside the update');
+
+    const [, request] = gatewayRefund.mock.calls[0].arguments;
+    assert.equal(request.amount, 650);
+    assert.equal(request.refundRecordId, result.refund._id.toString());
+    const [filter, changes] = statusUpdate.mock.calls[0].arguments;
+    assert.equal(filter['refunds._id'], result.refund._id);
+    assert.equal(changes.$set['refunds.$.razorpayRefundId'], 'rfnd_1');
+    assert.equal(changes.$set['refunds.$.status'], 'Processed');
+  });
+
+  test('refuses refunds beyond what is left of the total', async () => {
+    const order = buildOrder({
+      paymentStatus: 'Success',
+      razorpayPaymentId: 'pay_1',
+      refunds: [{ amount: 600, status: 'Processed' }],
+    });
+    mockRefundPush(order);
+    const gatewayRefund = mock.method(razorpay, 'refund', async () => ({ fields: {}, status: 'Pending' }));
+
+    const result = await createRefund(order, { amount: 100, reason: 'Damaged' });
+    assert.deepEqual(result, { error: 'Refund exceeds the refundable amount of ₹50', status: 400 });
+    assert.equal(gatewayRefund.mock.callCount(), 0);
+  });
+
+  test('marks the refund Failed when the gateway rejects it', async () => {
+    const order = buildOrder({ paymentStatus: 'Success', razorpayPaymentId: 'pay_1' });
+    mockRefundPush(order);
+    const statusUpdate = mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(razorpay, 'refund', async () => {
+      throw Object.assign(new Error('Bad request'), { error: { description: 'The payment has not been captured' } });
+    });
+
+    const result = await createRefund(order, { amount: 100, reason: 'Damaged' });
+    assert.deepEqual(result, { error: 'Razorpay refund failed: The payment has not been captured', status: 502 });
+    const [, changes] = statusUpdate.mock.calls[0].arguments;
+    assert.equal(changes.$set['refunds.$.status'], 'Failed');
+  });
+});
@@ -0,0 +1,66 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/order');
+const Product = require('../models/Product');
+const stub = require('../utils/shipping/stub');
+const { createShipmentForOrder, findOrdersToShip } = require('../utils/shipping');
+
+afterEach(() => mock.restoreAll());
+
+const paidOrder = (overrides = {}) => buildOrder({ paymentStatus: 'Success', razorpayPaymentId: 'pay_1', ...overrides });
+
+// The $set of every shipment update, in order
+const mockShipmentSaves = () => {
+  const save = mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+  return () => save.mock.calls.map((call) => call.arguments[1].$set);
+};
+
+describe('createShipmentForOrder', () => {
+  test('records why the shipment failed and when', async () => {
+    mock.method(Product, 'find', async () => []);
+    mock.method(stub, 'createShipment', async () => {
+      throw new Error('Pincode not serviceable');
+    });
+    const saves = mockShipmentSaves();
+
+    await assert.rejects(createShipmentForOrder(paidOrder()), /Pincode not serviceable/);
+    const [failure] = saves();
+    assert.equal(failure['shipment.lastError'], 'Pincode not serviceable');
+    assert.ok(failure['shipment.lastAttemptAt'] instanceof Date);
+  });
+
+  test('clears the error once a retry schedules the pickup', async () => {
+    const order = paidOrder({
+      fulfillmentStatus: 'Packed',
+      shipment: {
+        provider: 'stub',
+        providerShipmentId: 'STUB-SHP-1',
+        trackingNumber: 'STUBAWB1',
+        labelUrl: 'http://localhost/label',
+        lastError: 'Pickup slots full',
+        lastAttemptAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      },
+    });
+    const saves = mockShipmentSaves();
+    mock.method(Order, 'findById', async () => order);
+
+    assert.deepEqual(await createShipmentForOrder(order), { order });
+    const [pickup] = saves();
+    assert.ok(pickup['shipment.pickupScheduledAt'] instanceof Date);
+    assert.equal(pickup['shipment.lastError'], null);
+  });
+});
+
+describe('findOrdersToShip', () => {
+  test('skips recent failures and puts older ones after orders not tried yet', () => {
+    const query = findOrdersToShip(50);
+    const [untried, retryable] = query.getFilter().$or;
+
+    assert.deepEqual(untried, { 'shipment.lastError': null });
+    const retryAfter = retryable['shipment.lastAttemptAt'].$lt;
+    assert.ok(Date.now() - retryAfter.getTime() >= 60 * 60 * 1000 - 1000);
+    assert.deepEqual(query.getOptions().sort, { 'shipment.lastAttemptAt': 1, createdAt: 1 });
+    assert.equal(query.getOptions().limit, 50);
+  });
+});
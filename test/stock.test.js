@@ -0,0 +1,114 @@
+const { buildOrder } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Stock = require('../models/Stock');
+const StockReservation = require('../models/StockReservation');
+const { reserveStock, commitStock, releaseStock } = require('../utils/stock');
+
+afterEach(() => mock.restoreAll());
+
+const stockRow = (fields = {}) => new Stock({ productId: 'p1', variant: '', onHand: 10, reserved: 0, ...fields });
+
+const twoLineOrder = () =>
+  buildOrder({
+    items: [
+      { productId: 'p1', name: 'Brush', quantity: 1, price: 100 },
+      { productId: 'p2', name: 'Comb', quantity: 1, price: 100 },
+      { productId: 'p1', name: 'Brush', quantity: 2, price: 100 },
+    ],
+  });
+
+describe('reserveStock', () => {
+  test('reserves each SKU once, only if enough is available', async () => {
+    const reserve = mock.method(Stock, 'findOneAndUpdate', async () => stockRow());
+    const create = mock.method(StockReservation, 'create', async (doc) => doc);
+
+    const result = await reserveStock(twoLineOrder());
+    assert.equal(reserve.mock.callCount(), 2);
+    const [filter, changes] = reserve.mock.calls[0].arguments;
+    assert.deepEqual(filter.$expr, { $gte: [{ $subtract: ['$onHand', '$reserved'] }, 3] });
+    assert.deepEqual(changes, { $inc: { reserved: 3 } });
+    assert.deepEqual(
+      create.mock.calls[0].arguments[0].items,
+      [{ productId: 'p1', variant: '', quantity: 3 }, { productId: 'p2', variant: '', quantity: 1 }]
+    );
+    assert.equal(result.reserved.length, 2);
+  });
+
+  test('undoes earlier lines when a tracked product runs out', async () => {
+    mock.method(Stock, 'findOneAndUpdate', async (filter) => (filter.productId === 'p1' ? stockRow() : null));
+    mock.method(Stock, 'exists', async () => ({ _id: 'stock-p2' }));
+    const undo = mock.method(Stock, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const create = mock.method(StockReservation, 'create', async (doc) => doc);
+
+    const result = await reserveStock(twoLineOrder());
+    assert.deepEqual(result, { error: 'Insufficient stock for Comb' });
+    assert.deepEqual(undo.mock.calls[0].arguments, [{ productId: 'p1', variant: '' }, { $inc: { reserved: -3 } }]);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('lets products without a stock row through untracked', async () => {
+    mock.method(Stock, 'findOneAndUpdate', async () => null);
+    mock.method(Stock, 'exists', async () => null);
+    const create = mock.method(StockReservation, 'create', async (doc) => doc);
+
+    const result = await reserveStock(twoLineOrder());
+    assert.deepEqual(result.reserved, []);
+    assert.deepEqual(create.mock.calls[0].arguments[0].items, []);
+  });
+});
+
+describe('commitStock', () => {
+  test('turns the reservation into a decrement of stock on hand', async () => {
+    const order = buildOrder();
+    mock.method(StockReservation, 'findOneAndUpdate', async () => ({
+      status: 'Committed',
+      items: [{ productId: 'p1', variant: '', quantity: 2 }],
+    }));
+    const take = mock.method(Stock, 'findOneAndUpdate', async () => stockRow({ onHand: 8 }));
+
+    assert.equal(await commitStock(order), true);
+    assert.deepEqual(take.mock.calls[0].arguments[1], { $inc: { onHand: -2, reserved: -2 } });
+  });
+
+  test('takes stock directly for a payment that arrives after the reservation was released', async () => {
+    const released = { status: 'Released', save: mock.fn(async () => {}) };
+    mock.method(StockReservation, 'findOneAndUpdate', async () => null);
+    mock.method(StockReservation, 'findOne', async () => released);
+    const take = mock.method(Stock, 'findOneAndUpdate', async () => stockRow({ onHand: 0, reserved: 1 }));
+
+    assert.equal(await commitStock(buildOrder()), true);
+    assert.equal(released.status, 'Committed');
+    assert.equal(released.save.mock.callCount(), 1);
+    assert.deepEqual(take.mock.calls[0].arguments[1], { $inc: { onHand: -2 } });
+  });
+
+  test('commits an order once', async () => {
+    mock.method(StockReservation, 'findOneAndUpdate', async () => null);
+    mock.method(StockReservation, 'findOne', async () => ({ status: 'Committed' }));
+    const take = mock.method(Stock, 'findOneAndUpdate', async () => stockRow());
+
+    assert.equal(await commitStock(buildOrder()), false);
+    assert.equal(take.mock.callCount(), 0);
+  });
+});
+
+describe('releaseStock', () => {
+  test('returns reserved units once', async () => {
+    const claim = mock.method(StockReservation, 'findOneAndUpdate', async () => ({
+      items: [{ productId: 'p1', variant: '', quantity: 2 }],
+    }));
+    const give = mock.method(Stock, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await releaseStock('ORDER-1', 'Expired'), true);
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { orderId: 'ORDER-1', status: 'Reserved' });
+    assert.deepEqual(give.mock.calls[0].arguments, [
+      { productId: 'p1', variant: '', reserved: { $gte: 2 } },
+      { $inc: { reserved: -2 } },
+    ]);
+
+    claim.mock.mockImplementation(async () => null);
+    assert.equal(await releaseStock('ORDER-1', 'Expired'), false);
+    assert.equal(give.mock.callCount(), 1);
+  });
+});
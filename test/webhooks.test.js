@@ -0,0 +1,173 @@
+const { buildOrder, objectId } = require('./helpers');
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const Order = require('../models/order');
+const WebhookEvent = require('../models/WebhookEvent');
+const StockReservation = require('../models/StockReservation');
+const webhookRoutes = require('../routes/webhooks');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use('/api/webhooks', webhookRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const sendEvent = async (event, payload, { eventId = `evt_${crypto.randomUUID()}`, signature } = {}) => {
+  const body = JSON.stringify({ entity: 'event', event, payload });
+  const response = await fetch(`${baseUrl}/api/webhooks/razorpay`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature':
+        signature || crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(body).digest('hex'),
+      'X-Razorpay-Event-Id': eventId,
+    },
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const captured = (order, amount = 65000) => ({
+  payment: { entity: { id: 'pay_1', order_id: order.razorpayOrderId, amount, status: 'captured' } },
+});
+
+// Record every WebhookEvent write. A duplicate event id is claimed again only when reclaimed
+// (the stored event as the reclaim query would return it) is given.
+const mockEvents = ({ duplicate = false, reclaimed = null } = {}) => {
+  const create = mock.method(WebhookEvent, 'create', async (doc) => {
+    if (duplicate) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    return doc;
+  });
+  const reclaim = mock.method(WebhookEvent, 'findOneAndUpdate', async () => reclaimed);
+  const update = mock.method(WebhookEvent, 'updateOne', async () => ({ matchedCount: 1 }));
+  return { create, reclaim, update, statusOf: () => update.mock.calls.at(-1)?.arguments[1].$set };
+};
+
+describe('Razorpay webhook', () => {
+  test('rejects a body that does not match the signature', async () => {
+    const events = mockEvents();
+    const response = await sendEvent('payment.captured', captured(buildOrder()), { signature: 'f'.repeat(64) });
+
+    assert.equal(response.status, 400);
+    assert.equal(events.create.mock.callCount(), 0);
+  });
+
+  test('marks the order paid on payment.captured', async () => {
+    const order = buildOrder();
+    const events = mockEvents();
+    mock.method(Order, 'findOne', async () => order);
+    const markPaid = mock.method(Order, 'findOneAndUpdate', async () => buildOrder({ paymentStatus: 'Success' }));
+    mock.method(StockReservation, 'findOneAndUpdate', async () => null);
+    mock.method(StockReservation, 'findOne', async () => ({ status: 'Committed' }));
+
+    const response = await sendEvent('payment.captured', captured(order));
+    assert.equal(response.status, 200);
+    assert.deepEqual(markPaid.mock.calls[0].arguments[1], { $set: { razorpayPaymentId: 'pay_1', paymentStatus: 'Success' } });
+    assert.deepEqual(events.statusOf(), { status: 'Processed' });
+  });
+
+  test('acknowledges a redelivered event without processing it again', async () => {
+    mockEvents({ duplicate: true });
+    const lookup = mock.method(Order, 'findOne', async () => buildOrder());
+
+    const response = await sendEvent('payment.captured', captured(buildOrder()));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duplicate, true);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+
+  test('retries events that failed or were left Processing past the timeout', async () => {
+    const order = buildOrder({ paymentStatus: 'Success' });
+    const events = mockEvents({ duplicate: true, reclaimed: { eventId: 'evt_1' } });
+    mock.method(Order, 'findOne', async () => order);
+
+    const response = await sendEvent('payment.captured', captured(order), { eventId: 'evt_1' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duplicate, undefined);
+
+    const [filter] = events.reclaim.mock.calls[0].arguments;
+    assert.equal(filter.eventId, 'evt_1');
+    assert.deepEqual(filter.$or[0], { status: 'Failed' });
+    assert.equal(filter.$or[1].status, 'Processing');
+    assert.ok(filter.$or[1].updatedAt.$lt < new Date(Date.now() - 4 * 60 * 1000));
+  });
+
+  test('leaves an amount mismatch unpaid for review instead of asking for a retry', async () => {
+    const order = buildOrder();
+    const events = mockEvents();
+    mock.method(Order, 'findOne', async () => order);
+    const markPaid = mock.method(Order, 'findOneAndUpdate', async () => order);
+
+    const response = await sendEvent('payment.captured', captured(order, 100));
+    assert.equal(response.status, 200);
+    assert.equal(markPaid.mock.callCount(), 0);
+    assert.equal(events.statusOf().status, 'Review');
+    assert.match(events.statusOf().error, /expected 65000 paise, received 100/);
+  });
+
+  test('fails the event with a 500 so Razorpay retries when processing throws', async () => {
+    const events = mockEvents();
+    mock.method(Order, 'findOne', async () => {
+      throw new Error('connection reset');
+    });
+
+    const response = await sendEvent('payment.captured', captured(buildOrder()));
+    assert.equal(response.status, 500);
+    assert.deepEqual(events.statusOf(), { status: 'Failed', error: 'connection reset' });
+  });
+});
+
+describe('Razorpay refund webhook', () => {
+  const refundPayload = (order, notes = {}) => ({
+    refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 30000, status: 'processed', notes } },
+    payment: { entity: { id: 'pay_1', order_id: order.razorpayOrderId } },
+  });
+
+  test('updates the refund record named in the notes before the Razorpay id is stored', async () => {
+    const order = buildOrder({ paymentStatus: 'Success' });
+    const refundRecordId = objectId().toString();
+    mockEvents();
+    mock.method(Order, 'findOne', async () => order);
+    const update = mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    const response = await sendEvent('refund.processed', refundPayload(order, { refundRecordId }));
+    assert.equal(response.status, 200);
+    assert.equal(update.mock.callCount(), 1);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.equal(filter['refunds._id'], refundRecordId);
+    assert.equal(changes.$set['refunds.$.status'], 'Processed');
+    assert.equal(changes.$set['refunds.$.razorpayRefundId'], 'rfnd_1');
+  });
+
+  test('adds a refund made outside the admin API once', async () => {
+    const order = buildOrder({ paymentStatus: 'Success' });
+    mockEvents();
+    mock.method(Order, 'findOne', async () => order);
+    const update = mock.method(Order, 'updateOne', async () => ({ matchedCount: 0 }));
+
+    const response = await sendEvent('refund.processed', refundPayload(order));
+    assert.equal(response.status, 200);
+    assert.equal(update.mock.callCount(), 2);
+    const [filter, changes] = update.mock.calls[1].arguments;
+    assert.deepEqual(filter['refunds.razorpayRefundId'], { $ne: 'rfnd_1' });
+    assert.equal(changes.$push.refunds.amount, 300);
+  });
+});
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const Order = require('../models/order');
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const EmailUnsubscribe = require('../models/EmailUnsubscribe');
+const { renderTemplate } = require('./emailTemplates');
+const { queueEmail } = require('./emailOutbox');
+
+const MINUTE_MS = 60 * 1000;
+// Matches the online payment window; after this an unpaid checkout counts as abandoned
+const PAYMENT_WINDOW_MS = 30 * MINUTE_MS;
+// Delay before each reminder: the first after abandonment, the second after the first
+const REMINDER_DELAYS_MS = [60 * MINUTE_MS, 24 * 60 * MINUTE_MS];
+const RESUME_LINK_TTL_MS = 7 * 24 * 60 * MINUTE_MS;
+// Longest a resume may take to place its order before another request can take over
+const RESUME_LOCK_MS = MINUTE_MS;
+
+const maskEmail = (email) => email.replace(/(.{2}).*@/, '$1***@');
+
+// Recovery links are signed with a key derived from JWT_SECRET, so they can never be
+// mistaken for (or used as) an access token
+const signingKey = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('checkout-recovery').digest();
+
+const signToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', signingKey()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+// Returns the payload of a valid, unexpired token for the given purpose, otherwise null
+const verifyToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', signingKey()).update(body).digest('base64url'));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.purpose !== purpose) return null;
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildResumeUrl = (checkout, reminder) => {
+  const token = signToken({
+    purpose: 'resume',
+    id: checkout._id.toString(),
+    reminder,
+    exp: Date.now() + RESUME_LINK_TTL_MS,
+  });
+  return `${process.env.FRONTEND_URL}/checkout/resume?token=${token}`;
+};
+
+// Unsubscribe links do not expire
+const buildUnsubscribeUrl = (email) =>
+  `${process.env.BACKEND_URL}/api/checkout-recovery/unsubscribe?token=${signToken({ purpose: 'unsubscribe', email })}`;
+
+const isUnsubscribed = async (email) => !!(await EmailUnsubscribe.exists({ email: email.toLowerCase() }));
+
+// Keep a copy of a new online checkout with the cart, so it can be recovered after the unpaid
+// order has expired and been archived. Never throws; losing the snapshot must not fail the checkout.
+const captureCheckout = async (order) => {
+  try {
+    await AbandonedCheckout.create({
+      orderId: order.orderId,
+      userId: order.userId,
+      customer: order.customer,
+      shippingAddress: order.shippingAddress,
+      gstDetails: order.gstDetails,
+      shippingMethod: order.shippingMethod?.type,
+      couponCode: order.coupon?.code || '',
+      items: order.items.map((item) => ({
+        productId: item.productId,
+        name: item.name,
+        variant: item.variant,
+        quantity: item.quantity,
+        price: item.price,
+      })),
+      total: order.total,
+      createdAt: order.createdAt,
+    });
+  } catch (error) {
+    console.error(`Failed to capture checkout for order ${order.orderId}:`, error.message);
+  }
+};
+
+// Called once an order is paid: a checkout paid within its window is no longer needed, and
+// an order placed from a resume link marks its checkout as recovered
+const completeCheckout = async (order) => {
+  try {
+    await AbandonedCheckout.deleteOne({ orderId: order.orderId, status: 'Open' });
+
+    const recovered = await AbandonedCheckout.findOneAndUpdate(
+      { resumedOrderIds: order.orderId, status: { $ne: 'Recovered' } },
+      {
+        $set: {
+          status: 'Recovered',
+          recoveredOrderId: order.orderId,
+          recoveredRevenue: order.total,
+          recoveredAt: new Date(),
+          nextReminderAt: null,
+        },
+      },
+      { new: true }
+    );
+    if (recovered) {
+      console.log(`Abandoned checkout ${recovered.orderId} recovered by order ${order.orderId}`, {
+        total: order.total,
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to update abandoned checkout for order ${order.orderId}:`, error.message);
+  }
+};
+
+// Move checkouts whose payment window has closed without a payment to Abandoned
+const markAbandoned = async () => {
+  const cutoff = new Date(Date.now() - PAYMENT_WINDOW_MS);
+  const open = await AbandonedCheckout.find({ status: 'Open', createdAt: { $lt: cutoff } }).limit(500);
+
+  let abandoned = 0;
+  for (const checkout of open) {
+    // A payment that slipped past completeCheckout (e.g. a crash) is not an abandonment
+    if (await Order.exists({ orderId: checkout.orderId, paymentStatus: 'Success' })) {
+      await AbandonedCheckout.deleteOne({ _id: checkout._id });
+      continue;
+    }
+    const now = new Date();
+    await AbandonedCheckout.updateOne(
+      { _id: checkout._id, status: 'Open' },
+      { $set: { status: 'Abandoned', abandonedAt: now, nextReminderAt: new Date(now.getTime() + REMINDER_DELAYS_MS[0]) } }
+    );
+    abandoned++;
+  }
+  return abandoned;
+};
+
+const sendReminder = async (checkout) => {
+  const reminder = checkout.remindersSent + 1;
+  const next = REMINDER_DELAYS_MS[reminder];
+  // Claim the reminder first so two cron runs never email the same customer twice
+  const claimed = await AbandonedCheckout.findOneAndUpdate(
+    { _id: checkout._id, status: 'Abandoned', remindersSent: checkout.remindersSent },
+    {
+      $set: {
+        remindersSent: reminder,
+        lastReminderAt: new Date(),
+        nextReminderAt: next ? new Date(Date.now() + next) : null,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const unsubscribeUrl = buildUnsubscribeUrl(claimed.customer.email);
+  await queueEmail({
+    kind: 'abandoned-checkout',
+    to: claimed.customer.email,
+    ...renderTemplate('abandoned-checkout', {
+      checkout: claimed,
+      resumeUrl: buildResumeUrl(claimed, reminder),
+      unsubscribeUrl,
+      reminder,
+    }),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  });
+  console.log(`Abandoned checkout reminder ${reminder} queued for ${claimed.orderId} to ${maskEmail(claimed.customer.email)}`);
+  return true;
+};
+
+// Email reminders that are due, skipping customers who unsubscribed or have since ordered
+const sendDueReminders = async () => {
+  const due = await AbandonedCheckout.find({
+    status: 'Abandoned',
+    remindersSent: { $lt: REMINDER_DELAYS_MS.length },
+    nextReminderAt: { $lte: new Date() },
+  })
+    .sort({ nextReminderAt: 1 })
+    .limit(100);
+
+  let sent = 0;
+  for (const checkout of due) {
+    try {
+      const orderedSince = await Order.exists({
+        'customer.email': checkout.customer.email,
+        paymentStatus: 'Success',
+        createdAt: { $gt: checkout.createdAt },
+      });
+      if (orderedSince || (await isUnsubscribed(checkout.customer.email))) {
+        await AbandonedCheckout.updateOne({ _id: checkout._id }, { $set: { nextReminderAt: null } });
+        continue;
+      }
+      if (await sendReminder(checkout)) sent++;
+    } catch (error) {
+      console.error(`Failed to send abandoned checkout reminder for ${checkout.orderId}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+const processAbandonedCheckouts = async () => {
+  const abandoned = await markAbandoned();
+  const reminded = await sendDueReminders();
+  return { abandoned, reminded };
+};
+
+// The order a resume link already created, as long as it is paid or can still be paid;
+// repeat resumes return it instead of placing another order
+const findResumedOrder = async (checkout) => {
+  const orderId = checkout.recoveredOrderId || checkout.resumedOrderIds[checkout.resumedOrderIds.length - 1];
+  if (!orderId) return null;
+
+  const order = await Order.findOne({ orderId });
+  if (!order) return null;
+  if (order.paymentStatus === 'Success') return order;
+  if (order.paymentStatus === 'Pending' && Date.now() - order.createdAt.getTime() <= PAYMENT_WINDOW_MS) return order;
+  return null;
+};
+
+// Rebuild the checkout from a resume token, ready to be priced and placed again.
+// Returns { checkout, orderData }, { checkout, order } when the link was already used for an
+// order that is still current, or { error, status }.
+const getResumableCheckout = async (token) => {
+  const payload = verifyToken(token, 'resume');
+  if (!payload) {
+    return { error: 'This link is invalid or has expired', status: 400 };
+  }
+  const checkout = await AbandonedCheckout.findById(payload.id);
+  if (!checkout) {
+    return { error: 'Checkout not found', status: 404 };
+  }
+
+  const order = await findResumedOrder(checkout);
+  if (order) {
+    return { checkout, order };
+  }
+  if (checkout.status === 'Recovered') {
+    return { error: 'This checkout has already been completed', status: 409 };
+  }
+
+  const saved = checkout.toObject();
+  const orderData = {
+    customer: saved.customer,
+    shippingAddress: saved.shippingAddress,
+    gstDetails: saved.gstDetails?.gstNumber ? saved.gstDetails : { gstNumber: '', state: '', city: '' },
+    coupon: { code: saved.couponCode || '' },
+    items: saved.items.map((item) => ({ productId: item.productId, variant: item.variant, quantity: item.quantity })),
+    shippingMethod: { type: saved.shippingMethod || 'Standard' },
+  };
+  return { checkout, orderData, reminder: payload.reminder };
+};
+
+// Hold the checkout while an order is placed from it, so concurrent resumes of the same link
+// cannot each create one. Returns false when another resume holds it or has placed an order
+// since the checkout was read.
+const claimResume = async (checkout) => {
+  const now = new Date();
+  const claimed = await AbandonedCheckout.findOneAndUpdate(
+    {
+      _id: checkout._id,
+      status: { $ne: 'Recovered' },
+      resumedOrderIds: { $size: checkout.resumedOrderIds.length },
+      $or: [{ resumeLockedUntil: null }, { resumeLockedUntil: { $lt: now } }],
+    },
+    { $set: { resumeLockedUntil: new Date(now.getTime() + RESUME_LOCK_MS) } }
+  );
+  return Boolean(claimed);
+};
+
+const releaseResume = (checkout) =>
+  AbandonedCheckout.updateOne({ _id: checkout._id }, { $set: { resumeLockedUntil: null } });
+
+const recordResumedOrder = async (checkout, order, reminder) => {
+  await AbandonedCheckout.updateOne(
+    { _id: checkout._id },
+    {
+      $push: { resumedOrderIds: order.orderId },
+      $set: { resumedAfterReminder: reminder, nextReminderAt: null, resumeLockedUntil: null },
+    }
+  );
+  console.log(`Abandoned checkout ${checkout.orderId} resumed as order ${order.orderId}`);
+};
+
+// Returns the unsubscribed email, or null for an invalid token
+const unsubscribe = async (token) => {
+  const payload = verifyToken(token, 'unsubscribe');
+  if (!payload?.email) return null;
+
+  const email = String(payload.email).toLowerCase();
+  await EmailUnsubscribe.updateOne({ email }, { $setOnInsert: { email, source: 'abandoned-checkout' } }, { upsert: true });
+  await AbandonedCheckout.updateMany(
+    { 'customer.email': email, status: 'Abandoned' },
+    { $set: { nextReminderAt: null } }
+  );
+  console.log(`Unsubscribed ${maskEmail(email)} from abandoned checkout reminders`);
+  return email;
+};
+
+// Abandoned checkouts in the range and how many were won back by the reminders
+const getRecoveryReport = async ({ from, to }) => {
+  const [summary] = await AbandonedCheckout.aggregate([
+    { $match: { status: { $in: ['Abandoned', 'Recovered'] }, createdAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              abandoned: { $sum: 1 },
+              abandonedValue: { $sum: '$total' },
+              reminded: { $sum: { $cond: [{ $gt: ['$remindersSent', 0] }, 1, 0] } },
+              remindersSent: { $sum: '$remindersSent' },
+              resumed: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$resumedOrderIds', []] } }, 0] }, 1, 0] } },
+              recovered: { $sum: { $cond: [{ $eq: ['$status', 'Recovered'] }, 1, 0] } },
+              recoveredRevenue: { $sum: '$recoveredRevenue' },
+            },
+          },
+        ],
+        byReminder: [
+          { $match: { status: 'Recovered' } },
+          { $group: { _id: '$resumedAfterReminder', recovered: { $sum: 1 }, revenue: { $sum: '$recoveredRevenue' } } },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = summary.totals[0] || {};
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  return {
+    abandoned: totals.abandoned || 0,
+    abandonedValue: round(totals.abandonedValue),
+    reminded: totals.reminded || 0,
+    remindersSent: totals.remindersSent || 0,
+    resumed: totals.resumed || 0,
+    recovered: totals.recovered || 0,
+    recoveredRevenue: round(totals.recoveredRevenue),
+    recoveryRate: totals.abandoned ? round((totals.recovered / totals.abandoned) * 100) : 0,
+    byReminder: summary.byReminder.map((row) => ({
+      reminder: row._id || null,
+      recovered: row.recovered,
+      revenue: round(row.revenue),
+    })),
+  };
+};
+
+module.exports = {
+  captureCheckout,
+  completeCheckout,
+  processAbandonedCheckouts,
+  getResumableCheckout,
+  claimResume,
+  releaseResume,
+  recordResumedOrder,
+  unsubscribe,
+  isUnsubscribed,
+  getRecoveryReport,
+};
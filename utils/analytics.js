@@ -0,0 +1,336 @@
+const Order = require('../models/order');
+const { parseIstDate } = require('./orderSearch');
+const { PAYMENT_METHODS, ONLINE_PAYMENT_METHODS } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const INTERVALS = ['day', 'week', 'month'];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const istDay = (date) => new Date(date).toLocaleDateString('sv-SE', { timeZone: 'Asia/Kolkata' });
+
+// Percentage change from the previous period; null when there is nothing to compare against
+const change = (current, previous) =>
+  previous ? Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100 : null;
+
+const compare = (current, previous) => ({ current, previous, change: change(current, previous) });
+
+// Resolve from/to (IST calendar days, default the last 30 days) and the period of the same
+// length immediately before it; returns { range, previous } or { error }
+const resolveRange = (params = {}) => {
+  const today = istDay(new Date());
+  const to = parseIstDate(params.to || today, { endOfDay: true });
+  if (!to) return { error: 'Invalid to date' };
+
+  const from = params.from
+    ? parseIstDate(params.from)
+    : parseIstDate(istDay(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+  if (!from) return { error: 'Invalid from date' };
+  if (from > to) return { error: 'from must be before to' };
+
+  const length = to.getTime() - from.getTime() + 1;
+  return {
+    range: { from, to },
+    previous: { from: new Date(from.getTime() - length), to: new Date(from.getTime() - 1) },
+  };
+};
+
+const createdIn = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to } });
+
+// Paid orders are what counts as a sale
+const salesMatch = (period) => ({ ...createdIn(period), paymentStatus: 'Success' });
+
+// Line revenue after the line's share of the coupon discount
+const lineRevenue = {
+  $subtract: [{ $multiply: ['$items.price', '$items.quantity'] }, { $ifNull: ['$items.discount', 0] }],
+};
+
+const processedRefunds = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: { input: { $ifNull: ['$refunds', []] }, cond: { $eq: ['$$this.status', 'Processed'] } },
+      },
+      in: '$$this.amount',
+    },
+  },
+};
+
+// Headline figures for one period
+const getPeriodSummary = async (period) => {
+  const [[sales], payments] = await Promise.all([
+    Order.aggregate([
+      { $match: salesMatch(period) },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                orders: { $sum: 1 },
+                revenue: { $sum: '$total' },
+                refunded: { $sum: processedRefunds },
+                tax: { $sum: { $ifNull: ['$tax.totalTax', 0] } },
+                shipping: { $sum: '$shippingMethod.cost' },
+              },
+            },
+          ],
+          byPaymentMethod: [{ $group: { _id: '$paymentMethod', orders: { $sum: 1 }, revenue: { $sum: '$total' } } }],
+          coupons: [
+            { $match: { 'coupon.code': { $nin: ['', null] } } },
+            { $group: { _id: '$coupon.code', orders: { $sum: 1 }, discount: { $sum: '$coupon.discount' }, revenue: { $sum: '$total' } } },
+            { $sort: { orders: -1, discount: -1 } },
+          ],
+        },
+      },
+    ]),
+    // Gateway outcomes across every online order created in the period, paid or not. Unpaid
+    // orders already moved to the archive by the nightly cleanup are not counted.
+    Order.aggregate([
+      { $match: { ...createdIn(period), paymentMethod: { $in: ONLINE_PAYMENT_METHODS } } },
+      {
+        $group: {
+          _id: '$paymentMethod',
+          created: { $sum: 1 },
+          succeeded: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'Success'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'Failed'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'Pending'] }, 1, 0] } },
+          expired: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'Expired'] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const totals = sales.totals[0] || {};
+  const orders = totals.orders || 0;
+  const revenue = round(totals.revenue);
+  const couponOrders = sales.coupons.reduce((sum, c) => sum + c.orders, 0);
+
+  const gatewayOutcomes = (method) => {
+    const attempts = payments.find((p) => p._id === method) || { created: 0, succeeded: 0, failed: 0, pending: 0, expired: 0 };
+    const settled = attempts.succeeded + attempts.failed;
+    return {
+      created: attempts.created,
+      succeeded: attempts.succeeded,
+      failed: attempts.failed,
+      pending: attempts.pending,
+      expired: attempts.expired,
+      // Failures among attempts that reached an outcome; conversion over everything created
+      failureRate: settled ? round((attempts.failed / settled) * 100) : 0,
+      conversionRate: attempts.created ? round((attempts.succeeded / attempts.created) * 100) : 0,
+    };
+  };
+
+  return {
+    orders,
+    revenue,
+    refunded: round(totals.refunded),
+    netRevenue: round(revenue - (totals.refunded || 0)),
+    tax: round(totals.tax),
+    shipping: round(totals.shipping),
+    averageOrderValue: orders ? round(revenue / orders) : 0,
+    paymentMethods: Object.fromEntries(
+      PAYMENT_METHODS.map((method) => {
+        const group = sales.byPaymentMethod.find((g) => g._id === method) || {};
+        return [method, { orders: group.orders || 0, revenue: round(group.revenue), share: orders ? round(((group.orders || 0) / orders) * 100) : 0 }];
+      })
+    ),
+    coupons: {
+      orders: couponOrders,
+      usageRate: orders ? round((couponOrders / orders) * 100) : 0,
+      discountGiven: round(sales.coupons.reduce((sum, c) => sum + c.discount, 0)),
+      topCodes: sales.coupons.slice(0, 10).map((c) => ({
+        code: c._id,
+        orders: c.orders,
+        discount: round(c.discount),
+        revenue: round(c.revenue),
+      })),
+    },
+    // Keyed razorpay, phonepe
+    gateways: Object.fromEntries(ONLINE_PAYMENT_METHODS.map((method) => [method.toLowerCase(), gatewayOutcomes(method)])),
+  };
+};
+
+const COMPARED_FIELDS = ['orders', 'revenue', 'refunded', 'netRevenue', 'tax', 'shipping', 'averageOrderValue'];
+
+const getSummary = async ({ range, previous }) => {
+  const [current, before] = await Promise.all([getPeriodSummary(range), getPeriodSummary(previous)]);
+
+  const summary = Object.fromEntries(COMPARED_FIELDS.map((field) => [field, compare(current[field], before[field])]));
+  summary.paymentMethods = Object.fromEntries(
+    Object.keys(current.paymentMethods).map((method) => [
+      method,
+      {
+        orders: compare(current.paymentMethods[method].orders, before.paymentMethods[method].orders),
+        revenue: compare(current.paymentMethods[method].revenue, before.paymentMethods[method].revenue),
+        share: compare(current.paymentMethods[method].share, before.paymentMethods[method].share),
+      },
+    ])
+  );
+  summary.coupons = {
+    orders: compare(current.coupons.orders, before.coupons.orders),
+    usageRate: compare(current.coupons.usageRate, before.coupons.usageRate),
+    discountGiven: compare(current.coupons.discountGiven, before.coupons.discountGiven),
+    topCodes: current.coupons.topCodes,
+  };
+  // One entry per gateway at the top level, e.g. summary.razorpay
+  for (const [gateway, outcomes] of Object.entries(current.gateways)) {
+    summary[gateway] = Object.fromEntries(
+      Object.keys(outcomes).map((field) => [field, compare(outcomes[field], before.gateways[gateway][field])])
+    );
+  }
+  return summary;
+};
+
+// Start of the IST day, week (Monday) or month containing the date
+const truncateIst = (date, interval) => {
+  const local = new Date(date.getTime() + IST_OFFSET_MS);
+  let start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), interval === 'month' ? 1 : local.getUTCDate());
+  if (interval === 'week') start -= ((local.getUTCDay() + 6) % 7) * DAY_MS;
+  return new Date(start - IST_OFFSET_MS);
+};
+
+const nextBucket = (start, interval) => {
+  const local = new Date(start.getTime() + IST_OFFSET_MS);
+  if (interval === 'month') {
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 1) - IST_OFFSET_MS);
+  }
+  return new Date(start.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+};
+
+const getPeriodSeries = async (period, interval) => {
+  const rows = await Order.aggregate([
+    { $match: salesMatch(period) },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: 'Asia/Kolkata', startOfWeek: 'monday' } },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+      },
+    },
+  ]);
+  const byBucket = new Map(rows.map((row) => [istDay(row._id), row]));
+
+  // Every bucket in the range is returned, including days without sales
+  const series = [];
+  for (let start = truncateIst(period.from, interval); start <= period.to; start = nextBucket(start, interval)) {
+    const row = byBucket.get(istDay(start)) || {};
+    series.push({
+      period: istDay(start),
+      orders: row.orders || 0,
+      revenue: round(row.revenue),
+      averageOrderValue: row.orders ? round(row.revenue / row.orders) : 0,
+    });
+  }
+  return series;
+};
+
+// Revenue and order count per day, week or month. Previous-period buckets line up by position.
+const getSalesSeries = async ({ range, previous }, interval = 'day') => {
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  const buckets = (range.to - range.from) / ({ day: 1, week: 7, month: 28 }[interval] * DAY_MS);
+  if (buckets > MAX_BUCKETS) {
+    return { error: `Date range is too long for interval ${interval}` };
+  }
+
+  const [current, before] = await Promise.all([getPeriodSeries(range, interval), getPeriodSeries(previous, interval)]);
+  return { interval, current, previous: before };
+};
+
+const clampLimit = (value, fallback = 10) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), 100);
+
+// Grouped totals for the range, with the previous-period figures for the same keys
+const getRanking = async ({ range, previous }, { groupStages, fields, sortBy, limit }) => {
+  const pipeline = (period, keys) => [
+    { $match: salesMatch(period) },
+    ...groupStages,
+    ...(keys ? [{ $match: { _id: { $in: keys } } }] : [{ $sort: { [sortBy]: -1, _id: 1 } }, { $limit: limit }]),
+  ];
+
+  const current = await Order.aggregate(pipeline(range));
+  const before = await Order.aggregate(pipeline(previous, current.map((row) => row._id)));
+  const beforeByKey = new Map(before.map((row) => [row._id, row]));
+
+  return current.map((row) => {
+    const prev = beforeByKey.get(row._id) || {};
+    return {
+      key: row._id,
+      label: row.label,
+      ...Object.fromEntries(fields.map((field) => [field, compare(round(row[field]), round(prev[field]))])),
+    };
+  });
+};
+
+const getTopProducts = async (periods, params = {}) => {
+  const sortBy = params.sortBy || 'revenue';
+  if (!['revenue', 'quantity'].includes(sortBy)) {
+    return { error: 'sortBy must be one of: revenue, quantity' };
+  }
+  const products = await getRanking(periods, {
+    groupStages: [
+      { $unwind: '$items' },
+      // Per order first, so an order with several variants of a product counts once
+      {
+        $group: {
+          _id: { productId: '$items.productId', order: '$_id' },
+          name: { $last: '$items.name' },
+          revenue: { $sum: lineRevenue },
+          quantity: { $sum: '$items.quantity' },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.productId',
+          label: { $last: '$name' },
+          revenue: { $sum: '$revenue' },
+          quantity: { $sum: '$quantity' },
+          orders: { $sum: 1 },
+        },
+      },
+    ],
+    fields: ['revenue', 'quantity', 'orders'],
+    sortBy,
+    limit: clampLimit(params.limit),
+  });
+  return { sortBy, products: products.map(({ key, label, ...rest }) => ({ productId: key, name: label, ...rest })) };
+};
+
+const getSalesByRegion = async (periods, params = {}) => {
+  const groupBy = params.groupBy || 'state';
+  if (!['state', 'pincode'].includes(groupBy)) {
+    return { error: 'groupBy must be one of: state, pincode' };
+  }
+  const sortBy = params.sortBy || 'revenue';
+  if (!['revenue', 'orders'].includes(sortBy)) {
+    return { error: 'sortBy must be one of: revenue, orders' };
+  }
+  const regions = await getRanking(periods, {
+    groupStages: [
+      {
+        $group: {
+          // States are typed in by customers, so they are grouped case-insensitively
+          _id: groupBy === 'state' ? { $toLower: { $trim: { input: '$shippingAddress.state' } } } : '$shippingAddress.pincode',
+          label: { $last: groupBy === 'state' ? '$shippingAddress.state' : '$shippingAddress.city' },
+          revenue: { $sum: '$total' },
+          orders: { $sum: 1 },
+        },
+      },
+    ],
+    fields: ['revenue', 'orders'],
+    sortBy,
+    limit: clampLimit(params.limit, 20),
+  });
+  return {
+    groupBy,
+    regions: regions.map(({ key, label, ...rest }) =>
+      groupBy === 'state' ? { state: label, ...rest } : { pincode: key, city: label, ...rest }
+    ),
+  };
+};
+
+module.exports = { resolveRange, getSummary, getSalesSeries, getTopProducts, getSalesByRegion };
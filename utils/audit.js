@@ -0,0 +1,50 @@
+const AuditLog = require('../models/AuditLog');
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+// Field-level diff between two snapshots. Without an explicit field list, the top-level
+// keys of both snapshots are compared.
+const diffFields = (before, after, fields) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+  const keys = fields || [...new Set([...Object.keys(previous), ...Object.keys(next)])].filter(
+    (key) => !['_id', '__v', 'createdAt', 'updatedAt'].includes(key)
+  );
+
+  const changes = [];
+  for (const field of keys) {
+    const from = getPath(previous, field);
+    const to = getPath(next, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  }
+  return changes;
+};
+
+// Record an admin action. A failed audit write is logged loudly but does not undo the action,
+// which has already happened by the time this is called.
+const recordAudit = async (req, { action, targetType, targetId, before, after, fields, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: {
+        id: String(req.user?.id || 'system'),
+        email: req.user?.email,
+        role: req.user?.role,
+      },
+      action,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      changes: before || after ? diffFields(before, after, fields) : [],
+      metadata,
+      ip: req.ip,
+      userAgent: String(req.headers?.['user-agent'] || '').slice(0, 500),
+    });
+  } catch (error) {
+    console.error(`AUDIT WRITE FAILED for ${action} on ${targetType} ${targetId} by ${req.user?.email}:`, error.message);
+  }
+};
+
+module.exports = { recordAudit, diffFields };
@@ -0,0 +1,69 @@
+const Product = require('../models/Product');
+const { getGstRate } = require('./gst');
+
+// Look up products by Mongo id or SKU, keyed by the identifier that was requested
+const findProducts = async (productIds) => {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  const objectIds = ids.filter((id) => /^[0-9a-f]{24}$/i.test(id));
+  const skus = ids.map((id) => id.toUpperCase());
+
+  const products = await Product.find({
+    $or: [{ _id: { $in: objectIds } }, { sku: { $in: skus } }],
+  });
+
+  const byId = new Map();
+  for (const id of ids) {
+    const product = products.find((p) => p._id.toString() === id || p.sku === id.toUpperCase());
+    if (product) byId.set(id, product);
+  }
+  return byId;
+};
+
+// Resolve the sellable unit for an order item; returns { error } when it cannot be bought
+const resolveCatalogItem = (product, item) => {
+  if (!product || !product.isActive) {
+    return { error: `Product not available: ${item.productId}` };
+  }
+
+  const activeVariants = product.variants.filter((v) => v.isActive);
+  if (item.variant) {
+    const variant = activeVariants.find((v) => v.name === item.variant);
+    if (!variant) {
+      return { error: `Variant "${item.variant}" is not available for ${product.name}` };
+    }
+    return { product, variant, price: variant.price };
+  }
+
+  if (activeVariants.length > 0) {
+    return { error: `Please select a variant for ${product.name}` };
+  }
+  return { product, variant: null, price: product.price };
+};
+
+// Replace client-sent names and prices with catalog values
+const priceOrderItems = async (items) => {
+  const products = await findProducts(items.map((item) => item.productId));
+  const pricedItems = [];
+
+  for (const item of items) {
+    const resolved = resolveCatalogItem(products.get(String(item.productId)), item);
+    if (resolved.error) return { error: resolved.error };
+
+    // Store the canonical product id so stock and reporting key on one identifier
+    pricedItems.push({
+      productId: resolved.product._id.toString(),
+      name: resolved.product.name,
+      quantity: item.quantity,
+      price: resolved.price,
+      variant: item.variant || '',
+      hsnCode: resolved.product.hsnCode || '',
+      gstRate: getGstRate(resolved.product),
+      // Used for coupon restrictions; not persisted on the order
+      category: resolved.product.category,
+    });
+  }
+
+  return { items: pricedItems };
+};
+
+module.exports = { findProducts, resolveCatalogItem, priceOrderItems };
@@ -0,0 +1,117 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Restricted coupons only discount items in their product or category lists
+const isCouponEligibleItem = (coupon, item) => {
+  const restricted = coupon.productIds.length > 0 || coupon.categories.length > 0;
+  return !restricted || coupon.productIds.includes(item.productId) || coupon.categories.includes(item.category);
+};
+
+// Shared discount calculator. `discount` is the amount taken off subtotal + expected
+// shipping, so for FreeShipping it equals the waived shipping and is not deducted twice.
+const calculateDiscount = (coupon, { items, subtotal, expectedShippingCost }) => {
+  if (!coupon) {
+    return { discount: 0, shippingCost: expectedShippingCost };
+  }
+
+  if (coupon.type === 'FreeShipping') {
+    return { discount: expectedShippingCost, shippingCost: 0 };
+  }
+
+  const restricted = coupon.productIds.length > 0 || coupon.categories.length > 0;
+  const eligibleSubtotal = restricted
+    ? items
+        .filter((item) => isCouponEligibleItem(coupon, item))
+        .reduce((sum, item) => sum + item.price * item.quantity, 0)
+    : subtotal;
+
+  if (eligibleSubtotal <= 0) {
+    return { error: `Coupon ${coupon.code} does not apply to the items in your cart` };
+  }
+
+  let discount = coupon.type === 'Percentage' ? (eligibleSubtotal * coupon.value) / 100 : coupon.value;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  discount = roundCurrency(Math.min(discount, eligibleSubtotal));
+
+  return { discount, shippingCost: expectedShippingCost };
+};
+
+// Check whether a coupon can be used right now for this subtotal and customer
+const checkCouponEligibility = async (coupon, { subtotal, email }) => {
+  const now = new Date();
+  if (!coupon.isActive) return `Coupon ${coupon.code} is not active`;
+  if (coupon.startsAt && coupon.startsAt > now) return `Coupon ${coupon.code} is not active yet`;
+  if (coupon.endsAt && coupon.endsAt < now) return `Coupon ${coupon.code} has expired`;
+  if (subtotal < coupon.minSubtotal) {
+    return `Coupon ${coupon.code} requires a minimum subtotal of ₹${coupon.minSubtotal}`;
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return `Coupon ${coupon.code} has reached its usage limit`;
+  }
+  if (coupon.perCustomerLimit && email) {
+    const used = await CouponRedemption.countDocuments({ code: coupon.code, email: email.toLowerCase() });
+    if (used >= coupon.perCustomerLimit) {
+      return `Coupon ${coupon.code} has already been used the maximum number of times`;
+    }
+  }
+  return null;
+};
+
+// Look up, validate and price a coupon code; an empty code applies no discount. Pass
+// checkEligibility: false to price a coupon an order already holds without re-checking it.
+const applyCoupon = async (code, { items, subtotal, expectedShippingCost, email }, { checkEligibility = true } = {}) => {
+  if (!code) {
+    return { coupon: null, ...calculateDiscount(null, { items, subtotal, expectedShippingCost }) };
+  }
+
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon) return { error: `Invalid coupon code: ${code}` };
+
+  if (checkEligibility) {
+    const eligibilityError = await checkCouponEligibility(coupon, { subtotal, email });
+    if (eligibilityError) return { error: eligibilityError };
+  }
+
+  const result = calculateDiscount(coupon, { items, subtotal, expectedShippingCost });
+  if (result.error) return { error: result.error };
+  return { coupon, ...result };
+};
+
+// Count a coupon use once per order, when it reaches Success
+const recordCouponUsage = async (order) => {
+  if (!order.coupon?.code) return false;
+
+  try {
+    await CouponRedemption.create({
+      code: order.coupon.code,
+      email: order.customer.email,
+      orderId: order.orderId,
+      discount: order.coupon.discount,
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  // Only count the use while the coupon is under its limit. Checkouts racing for the last use
+  // can all pass the eligibility check; the ones that lose are already paid, so they keep the
+  // discount and their redemption is flagged for review instead.
+  const counted = await Coupon.updateOne(
+    {
+      code: order.coupon.code,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (counted.modifiedCount === 0) {
+    await CouponRedemption.updateOne({ orderId: order.orderId }, { $set: { overLimit: true } });
+    console.error(`Coupon ${order.coupon.code} redeemed by order ${order.orderId} over its usage limit or after it was deleted`);
+    return false;
+  }
+  console.log(`Coupon ${order.coupon.code} redeemed by order ${order.orderId}`);
+  return true;
+};
+
+module.exports = { isCouponEligibleItem, calculateDiscount, checkCouponEligibility, applyCoupon, recordCouponUsage };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const Order = require('../models/order');
+const User = require('../models/User');
+const { renderTemplate } = require('./emailTemplates');
+const { queueEmail } = require('./emailOutbox');
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new email verification token and email the link; only the hash is stored
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: new Date(Date.now() + VERIFICATION_TTL_MS),
+      },
+    }
+  );
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  await queueEmail({
+    kind: 'verification',
+    to: user.email,
+    ...renderTemplate('verification', { user, verifyUrl }),
+  });
+};
+
+// Attach guest orders placed with a verified email to the account
+const linkOrdersToUser = async (user) => {
+  if (!user.emailVerified) return 0;
+  const result = await Order.updateMany(
+    { 'customer.email': user.email, userId: { $exists: false } },
+    { $set: { userId: user._id } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Linked ${result.modifiedCount} guest orders to account ${user._id}`);
+  }
+  return result.modifiedCount;
+};
+
+// Mark the email behind a verification token as verified; returns the user or null
+const verifyEmailToken = async (token) => {
+  const user = await User.findOneAndUpdate(
+    { emailVerificationTokenHash: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    { $set: { emailVerified: true }, $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  await linkOrdersToUser(user);
+  return user;
+};
+
+// Fill checkout fields the signed-in customer left out from their profile and saved
+// addresses. An explicit addressId wins over a typed-in shipping address.
+const prefillCheckout = (body, user) => {
+  const chosen = body.addressId ? user.addresses.id(body.addressId) : null;
+  const saved = chosen || user.addresses.find((a) => a.isDefault);
+  const customer = body.customer || {};
+
+  let shippingAddress = body.shippingAddress || {};
+  if (chosen || (!shippingAddress.address1 && saved)) {
+    shippingAddress = {
+      address1: saved.address1,
+      address2: saved.address2,
+      city: saved.city,
+      state: saved.state,
+      pincode: saved.pincode,
+      country: saved.country,
+    };
+  }
+
+  return {
+    ...body,
+    customer: {
+      firstName: customer.firstName || saved?.firstName || user.firstName,
+      lastName: customer.lastName || saved?.lastName || user.lastName,
+      email: customer.email || user.email,
+      phone: customer.phone || saved?.phone || user.phone,
+    },
+    shippingAddress,
+  };
+};
+
+module.exports = { sendVerificationEmail, linkOrdersToUser, verifyEmailToken, prefillCheckout };
@@ -0,0 +1,152 @@
+const Order = require('../models/order');
+const OutboxEmail = require('../models/OutboxEmail');
+const { sendEmail } = require('./email');
+
+// Attempts before a mail is dead-lettered, and the first retry delay; each retry waits twice
+// as long as the previous one, capped at MAX_RETRY_DELAY_MS
+const EMAIL_MAX_ATTEMPTS = Math.max(parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6, 1);
+const RETRY_BASE_MS = (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 60) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A mail still Sending after this was cut off (a crash, or a failed status update) and is retried
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const maskEmail = (email) => email.replace(/(.{2}).*@/, '$1***@');
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+let processing = false;
+
+// Send every mail that is due, one at a time. Single-flight: a call made while the worker is
+// running returns straight away, and the next cron tick picks up anything queued meanwhile.
+const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    await requeueInterruptedEmails({ olderThan: SENDING_TIMEOUT_MS });
+    while (true) {
+      const email = await OutboxEmail.findOneAndUpdate(
+        { status: 'Pending', nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: 'Sending' }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!email) break;
+      await deliver(email);
+    }
+  } catch (error) {
+    console.error('Failed to process the email outbox:', error.message);
+  } finally {
+    processing = false;
+  }
+};
+
+const deliver = async (email) => {
+  const now = new Date();
+  try {
+    const info = await sendEmail({
+      email: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments: email.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType })),
+      headers: email.headers,
+    });
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: { status: 'Sent', sentAt: now, messageId: info.messageId },
+        $push: { attemptLog: { at: now } },
+      }
+    );
+    if (email.kind === 'order-confirmation' && email.orderId) {
+      await Order.updateOne({ orderId: email.orderId }, { $set: { emailSent: true } });
+    }
+    console.log(`Outbox email ${email._id} (${email.kind}) sent to ${maskEmail(email.to)}`);
+  } catch (error) {
+    const dead = email.attempts >= email.maxAttempts;
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: dead
+          ? { status: 'Dead', deadAt: now, lastError: error.message }
+          : { status: 'Pending', nextAttemptAt: new Date(now.getTime() + retryDelay(email.attempts)), lastError: error.message },
+        $push: { attemptLog: { at: now, error: error.message } },
+      }
+    );
+    if (dead) {
+      console.error(`Outbox email ${email._id} (${email.kind}) dead-lettered after ${email.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`Outbox email ${email._id} (${email.kind}) attempt ${email.attempts} failed, retrying:`, error.message);
+    }
+  }
+};
+
+// Store a rendered email and hand it to the worker without waiting for SMTP. With a dedupeKey
+// the mail is queued at most once and the existing entry is returned on repeat calls.
+const queueEmail = async ({ kind, to, subject, html, text, attachments = [], headers, orderId, dedupeKey, queuedBy }) => {
+  if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+    throw new Error(`Invalid recipient for ${kind} email`);
+  }
+
+  let email;
+  try {
+    email = await OutboxEmail.create({
+      kind,
+      to,
+      subject,
+      html,
+      text,
+      attachments,
+      headers,
+      orderId,
+      dedupeKey,
+      queuedBy,
+      maxAttempts: EMAIL_MAX_ATTEMPTS,
+    });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) {
+      return OutboxEmail.findOne({ dedupeKey });
+    }
+    throw error;
+  }
+
+  console.log(`Queued ${kind} email ${email._id} to ${maskEmail(email.to)}`);
+  // Not awaited: the mail goes out after the response, and the cron retries anything left due
+  processOutbox();
+  return email;
+};
+
+// Put a dead-lettered mail back in the queue with a fresh round of attempts.
+// Returns the email, or null when it is not dead.
+const retryEmail = async (emailId) => {
+  const email = await OutboxEmail.findOneAndUpdate(
+    { _id: emailId, status: 'Dead' },
+    [
+      {
+        $set: {
+          status: 'Pending',
+          nextAttemptAt: '$$NOW',
+          maxAttempts: { $add: ['$attempts', EMAIL_MAX_ATTEMPTS] },
+          deadAt: null,
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (email) processOutbox();
+  return email;
+};
+
+// Mail left in Sending was cut off by a restart, or by an error saving the outcome of its last
+// attempt. It goes back to Pending, so a message the SMTP server accepted just before may be
+// sent twice. At startup every Sending mail is requeued; the worker only requeues those
+// that have been Sending for longer than olderThan.
+const requeueInterruptedEmails = async ({ olderThan = 0 } = {}) => {
+  const query = { status: 'Sending' };
+  if (olderThan) query.updatedAt = { $lt: new Date(Date.now() - olderThan) };
+  const result = await OutboxEmail.updateMany(query, { $set: { status: 'Pending', nextAttemptAt: new Date() } });
+  if (result.modifiedCount > 0) {
+    console.log(`Requeued ${result.modifiedCount} interrupted outbox emails`);
+  }
+};
+
+module.exports = { EMAIL_MAX_ATTEMPTS, queueEmail, processOutbox, retryEmail, requeueInterruptedEmails };
@@ -0,0 +1,40 @@
+const { html, layout } = require('./html');
+
+const render = ({ checkout, resumeUrl, unsubscribeUrl, reminder }) => {
+  if (!checkout || !checkout.customer || !resumeUrl || !unsubscribeUrl) {
+    throw new Error('Checkout, resume link and unsubscribe link are required');
+  }
+
+  const itemsList = checkout.items.map((item) => html`<li>${item.name}${item.variant ? ` (${item.variant})` : ''} × ${item.quantity}</li>`);
+  const intro = reminder > 1
+    ? 'Your cart is still saved, but we cannot hold it for much longer.'
+    : 'Looks like your payment did not go through, so we saved your cart for you.';
+
+  return layout(html`
+        <h2 style="color: #2c5f41; margin: 0 0 20px 0; font-size: 24px; text-align: center;">Complete your order</h2>
+        <p style="font-size: 16px;">Hi ${checkout.customer.firstName},</p>
+        <p style="font-size: 16px;">${intro}</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <ul style="margin: 5px 0;">${itemsList}</ul>
+        </div>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${resumeUrl}" style="background-color: #2c5f41; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Complete My Order</a>
+        </p>
+        <p style="font-size: 14px; color: #666;">Prices and availability are checked again when you return, so your total may differ slightly from your last visit.</p>
+        <p style="font-size: 12px; color: #999; text-align: center; margin-top: 30px;">
+          Don't want these reminders? <a href="${unsubscribeUrl}" style="color: #999;">Unsubscribe</a>
+        </p>
+  `);
+};
+
+module.exports = {
+  description: 'Reminder sent to customers who left an online payment unfinished',
+  subject: ({ reminder }) => (reminder > 1 ? 'Your cart is still waiting - Nisarg Maitri' : 'You left something in your cart - Nisarg Maitri'),
+  render,
+  sample: (order) => ({
+    checkout: { customer: order.customer, items: order.items },
+    resumeUrl: `${process.env.FRONTEND_URL}/checkout/resume?token=sample`,
+    unsubscribeUrl: `${process.env.BACKEND_URL}/api/checkout-recovery/unsubscribe?token=sample`,
+    reminder: 1,
+  }),
+};
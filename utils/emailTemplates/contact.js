@@ -0,0 +1,35 @@
+const { html, formatDate, layout } = require('./html');
+
+// Everything in a contact submission comes straight from the public form
+const render = ({ contact }) => {
+  if (!contact || !contact.name || !contact.email || !contact.message) {
+    throw new Error('Contact name, email and message are required');
+  }
+
+  return layout(html`
+        <h2 style="color: #2c5f41; margin: 0 0 20px 0; font-size: 24px;">New Contact Form Submission</h2>
+        <p style="margin: 5px 0;"><strong>Name:</strong> ${contact.name}</p>
+        <p style="margin: 5px 0;"><strong>Email:</strong> ${contact.email}</p>
+        <p style="margin: 5px 0;"><strong>Phone:</strong> ${contact.phone || 'Not provided'}</p>
+        <p style="margin: 5px 0;"><strong>Subject:</strong> ${contact.subject || 'Not provided'}</p>
+        <p style="margin: 15px 0 5px 0;"><strong>Message:</strong></p>
+        <p style="margin: 5px 0;">${contact.message.split('\n').map((line, i) => html`${i > 0 && html`<br>`}${line}`)}</p>
+        <p style="margin: 15px 0 5px 0; color: #666;"><strong>Submitted At:</strong> ${formatDate(contact.createdAt || new Date())}</p>
+  `);
+};
+
+module.exports = {
+  description: 'Sent to SUPPORT_EMAIL for each contact form submission',
+  subject: ({ contact }) => `New Contact Form Submission: ${contact.subject || 'No Subject'}`,
+  render,
+  sample: (order) => ({
+    contact: {
+      name: `${order.customer.firstName} ${order.customer.lastName}`,
+      email: order.customer.email,
+      phone: order.customer.phone,
+      subject: 'Question about my order',
+      message: `Hi, when will order ${order.orderId} be shipped?`,
+      createdAt: new Date(),
+    },
+  }),
+};
@@ -0,0 +1,65 @@
+// Markup helpers shared by the email templates. Values interpolated into html`...` are
+// escaped unless they are themselves html`...` fragments (or arrays of them), so customer
+// input can never inject markup.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) =>
+  new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+
+const formatCurrency = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : 'N/A');
+
+// Card every customer email is wrapped in
+const layout = (body) => html`
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+    <div style="background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+      ${body}
+    </div>
+  </div>
+`;
+
+const DECODED = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// Plain-text alternative of a rendered template. Whitespace in the markup is collapsed as a
+// browser would; links keep their URL, list items become dashes and table cells are
+// separated by pipes.
+const htmlToText = (markup) =>
+  String(markup)
+    .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label.trim()}: ${href}`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr[^>]*>/gi, '\n----\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/(p|div|h[1-6]|tr|ul|ol|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, entity) => DECODED[entity])
+    .split('\n')
+    .map((line) => line.replace(/ +/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+module.exports = { SafeHtml, html, escapeHtml, formatCurrency, formatDate, layout, htmlToText };
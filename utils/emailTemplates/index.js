@@ -0,0 +1,61 @@
+const { htmlToText } = require('./html');
+
+// Template names double as the outbox email kind
+const templates = {
+  'order-confirmation': require('./orderConfirmation'),
+  'order-status': require('./orderStatus'),
+  refund: require('./refund'),
+  verification: require('./verification'),
+  'abandoned-checkout': require('./abandonedCheckout'),
+  contact: require('./contact'),
+};
+
+const TEMPLATE_NAMES = Object.keys(templates);
+
+const getTemplate = (name) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}. Must be one of: ${TEMPLATE_NAMES.join(', ')}`);
+  }
+  return template;
+};
+
+// Render a template to { subject, html, text }, ready for queueEmail
+const renderTemplate = (name, data) => {
+  const template = getTemplate(name);
+  const html = String(template.render(data)).trim();
+  return { subject: template.subject(data), html, text: htmlToText(html) };
+};
+
+// Order the admin preview renders against when no real order is given
+const SAMPLE_ORDER = {
+  orderId: 'ORDER-1700000000000-123',
+  customer: { firstName: 'Asha', lastName: 'Verma', email: 'asha@example.com', phone: '9876543210' },
+  shippingAddress: {
+    address1: '12 MG Road',
+    address2: 'Flat 4B',
+    city: 'Jaipur',
+    state: 'Rajasthan',
+    pincode: '302001',
+    country: 'India',
+  },
+  shippingMethod: { type: 'Standard', cost: 50 },
+  coupon: { code: 'WELCOME10', type: 'Percentage', discount: 70 },
+  items: [
+    { productId: 'sample-1', name: 'Handloom Cotton Saree', quantity: 1, price: 500, variant: 'Indigo' },
+    { productId: 'sample-2', name: 'Block Print Cushion Cover', quantity: 2, price: 100, variant: '' },
+  ],
+  total: 680,
+  paymentMethod: 'Razorpay',
+  paymentStatus: 'Success',
+  fulfillmentStatus: 'Processing',
+  createdAt: new Date('2024-01-15T10:30:00Z'),
+};
+
+// Render a template the way a customer would see it, against SAMPLE_ORDER or a real order
+const previewTemplate = (name, order = SAMPLE_ORDER) => {
+  const data = getTemplate(name).sample(order);
+  return renderTemplate(name, data);
+};
+
+module.exports = { TEMPLATE_NAMES, getTemplate, renderTemplate, previewTemplate, SAMPLE_ORDER };
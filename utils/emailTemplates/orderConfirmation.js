@@ -0,0 +1,116 @@
+const { html, formatCurrency, formatDate, layout } = require('./html');
+
+const validate = (order) => {
+  if (!order) {
+    throw new Error('Order object is required');
+  }
+  const requiredFields = ['orderId', 'customer', 'items', 'shippingAddress', 'shippingMethod'];
+  const missingFields = requiredFields.filter((field) => !order[field]);
+  if (missingFields.length > 0) {
+    throw new Error(`Missing required order fields: ${missingFields.join(', ')}`);
+  }
+  if (!order.customer.firstName || !order.customer.lastName) {
+    throw new Error('Customer first name and last name are required');
+  }
+  if (!Array.isArray(order.items) || order.items.length === 0) {
+    throw new Error('Order must contain at least one item');
+  }
+  order.items.forEach((item, index) => {
+    if (!item.name || typeof item.quantity !== 'number' || typeof item.price !== 'number') {
+      throw new Error(`Item at index ${index} is missing required fields (name, quantity, price)`);
+    }
+  });
+};
+
+const render = ({ order }) => {
+  validate(order);
+
+  const subtotal = order.items.reduce((sum, item) => sum + item.quantity * item.price, 0);
+  const shippingCost = order.shippingMethod.cost || 0;
+  const discount = order.coupon?.discount || 0;
+  const total = order.total || subtotal + shippingCost - discount;
+  const address = order.shippingAddress;
+
+  const itemsList = order.items.map((item) => html`
+          <tr>
+            <td style="border: 1px solid #ddd; padding: 8px; text-align: left;">${item.name}${item.variant ? ` (${item.variant})` : ''}</td>
+            <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${item.quantity}</td>
+            <td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatCurrency(item.price)}</td>
+            <td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatCurrency(item.quantity * item.price)}</td>
+          </tr>`);
+
+  return layout(html`
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #2c5f41; margin: 0; font-size: 28px;">Order Confirmation</h2>
+          <p style="color: #666; margin: 5px 0 0 0; font-size: 16px;">Order #${order.orderId}</p>
+        </div>
+
+        <p style="font-size: 16px; margin-bottom: 20px;">Dear ${order.customer.firstName} ${order.customer.lastName},</p>
+        <p style="font-size: 16px; margin-bottom: 30px; color: #2c5f41;">Thank you for your order! We're excited to get your items shipped to you.</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 25px;">
+          <h3 style="color: #2c5f41; margin: 0 0 15px 0; font-size: 20px;">Order Details</h3>
+          <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order.orderId}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${formatDate(order.createdAt)}</p>
+          <p style="margin: 5px 0;"><strong>Payment Method:</strong> ${order.paymentMethod || 'N/A'}</p>
+          <p style="margin: 5px 0;"><strong>Payment Status:</strong> <span style="color: ${order.paymentStatus === 'Success' ? '#28a745' : '#ffc107'};">${order.paymentStatus || 'Pending'}</span></p>
+        </div>
+
+        <div style="margin-bottom: 25px;">
+          <h3 style="color: #2c5f41; margin: 0 0 15px 0; font-size: 20px;">Shipping Address</h3>
+          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 6px;">
+            <p style="margin: 2px 0;">${address.address1 || 'N/A'}${address.address2 ? `, ${address.address2}` : ''}</p>
+            <p style="margin: 2px 0;">${address.city || 'N/A'}, ${address.state || 'N/A'} ${address.pincode || 'N/A'}</p>
+            <p style="margin: 2px 0;">${address.country || 'India'}</p>
+          </div>
+        </div>
+
+        <h3 style="color: #2c5f41; margin: 0 0 15px 0; font-size: 20px;">Items</h3>
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 25px; background-color: white;">
+          <thead>
+            <tr style="background-color: #2c5f41; color: white;">
+              <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Product</th>
+              <th style="border: 1px solid #ddd; padding: 12px; text-align: center;">Quantity</th>
+              <th style="border: 1px solid #ddd; padding: 12px; text-align: right;">Price</th>
+              <th style="border: 1px solid #ddd; padding: 12px; text-align: right;">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${itemsList}
+          </tbody>
+        </table>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 25px;">
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Subtotal:</span>
+            <span>${formatCurrency(subtotal)}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Shipping Cost:</span>
+            <span>${formatCurrency(shippingCost)}</span>
+          </div>
+          ${discount > 0 && html`
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px; color: #28a745;">
+            <span>Discount:</span>
+            <span>-${formatCurrency(discount)}</span>
+          </div>`}
+          <hr style="border: none; border-top: 2px solid #2c5f41; margin: 15px 0;">
+          <div style="display: flex; justify-content: space-between; font-size: 18px; font-weight: bold; color: #2c5f41;">
+            <span>Total:</span>
+            <span>${formatCurrency(total)}</span>
+          </div>
+        </div>
+
+        <div style="text-align: center; padding: 20px; background-color: #e8f5e8; border-radius: 6px;">
+          <p style="margin: 0; color: #2c5f41; font-weight: bold;">We will notify you once your order is shipped.</p>
+          <p style="margin: 10px 0 0 0; color: #666;">Thank you for shopping with Nisarg Maitri!</p>
+        </div>
+  `);
+};
+
+module.exports = {
+  description: 'Sent to the customer once an order is paid, or placed with COD',
+  subject: ({ order }) => `Order Confirmation - ${order.orderId}`,
+  render,
+  sample: (order) => ({ order }),
+};
@@ -0,0 +1,54 @@
+const { html, layout } = require('./html');
+
+// Customer-facing copy for each fulfillment status
+const STATUS_MESSAGES = {
+  Packed: 'Your order has been packed and will be handed to our courier partner soon.',
+  Shipped: 'Good news! Your order is on its way.',
+  'Out for Delivery': 'Your order is out for delivery and should reach you today.',
+  Delivered: 'Your order has been delivered. We hope you love it!',
+  Cancelled: 'Your order has been cancelled. If you have already paid, our team will contact you about the refund.',
+};
+
+const render = ({ order }) => {
+  if (!order || !order.orderId || !order.customer || !order.fulfillmentStatus) {
+    throw new Error('Order with customer and fulfillment status is required');
+  }
+
+  const status = order.fulfillmentStatus;
+  const message = STATUS_MESSAGES[status] || `Your order status is now: ${status}.`;
+  const tracking = status === 'Shipped' && order.shipment?.trackingNumber && html`
+          <p style="margin: 5px 0;"><strong>Carrier:</strong> ${order.shipment.carrier || 'N/A'}</p>
+          <p style="margin: 5px 0;"><strong>Tracking Number:</strong> ${order.shipment.trackingNumber}</p>`;
+
+  return layout(html`
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #2c5f41; margin: 0; font-size: 28px;">Order ${status}</h2>
+          <p style="color: #666; margin: 5px 0 0 0; font-size: 16px;">Order #${order.orderId}</p>
+        </div>
+
+        <p style="font-size: 16px; margin-bottom: 20px;">Dear ${order.customer.firstName} ${order.customer.lastName},</p>
+        <p style="font-size: 16px; margin-bottom: 30px; color: #2c5f41;">${message}</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 25px;">
+          <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order.orderId}</p>
+          <p style="margin: 5px 0;"><strong>Status:</strong> ${status}</p>${tracking}
+        </div>
+
+        <div style="text-align: center; padding: 20px; background-color: #e8f5e8; border-radius: 6px;">
+          <p style="margin: 0; color: #666;">Thank you for shopping with Nisarg Maitri!</p>
+        </div>
+  `);
+};
+
+module.exports = {
+  description: 'Sent to the customer when an order moves to its next fulfillment status',
+  subject: ({ order }) => `Order ${order.fulfillmentStatus} - ${order.orderId}`,
+  render,
+  sample: (order) => ({
+    order: {
+      ...order,
+      fulfillmentStatus: 'Shipped',
+      shipment: { carrier: 'Delhivery', trackingNumber: 'SAMPLE123456', ...order.shipment },
+    },
+  }),
+};
@@ -0,0 +1,56 @@
+const { html, formatCurrency, layout } = require('./html');
+
+const render = ({ order, refund }) => {
+  if (!order || !order.orderId || !order.customer || !refund) {
+    throw new Error('Order and refund are required');
+  }
+
+  const processed = refund.status === 'Processed';
+  const itemsList = (refund.items || []).map((item) => {
+    const line = order.items.find((i) => i.productId === item.productId && (i.variant || '') === (item.variant || ''));
+    return html`<li>${line ? line.name : item.productId}${item.variant ? ` (${item.variant})` : ''} × ${item.quantity} - ${formatCurrency(item.amount)}</li>`;
+  });
+  const timeline = refund.method === 'Manual'
+    ? `The amount has been sent to you by ${refund.manualMode}${refund.reference ? ` (reference: ${refund.reference})` : ''}.`
+    : 'The amount will be credited to your original payment method within 5-7 business days.';
+
+  return layout(html`
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #2c5f41; margin: 0; font-size: 28px;">Refund ${processed ? 'Processed' : 'Initiated'}</h2>
+          <p style="color: #666; margin: 5px 0 0 0; font-size: 16px;">Order #${order.orderId}</p>
+        </div>
+
+        <p style="font-size: 16px; margin-bottom: 20px;">Dear ${order.customer.firstName} ${order.customer.lastName},</p>
+        <p style="font-size: 16px; margin-bottom: 30px; color: #2c5f41;">We have ${processed ? 'processed' : 'initiated'} a refund of <strong>${formatCurrency(refund.amount)}</strong> for your order.</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 25px;">
+          <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order.orderId}</p>
+          <p style="margin: 5px 0;"><strong>Refund Amount:</strong> ${formatCurrency(refund.amount)}</p>
+          ${refund.reason && html`<p style="margin: 5px 0;"><strong>Reason:</strong> ${refund.reason}</p>`}
+          ${itemsList.length > 0 && html`<p style="margin: 5px 0;"><strong>Items:</strong></p><ul style="margin: 5px 0;">${itemsList}</ul>`}
+          <p style="margin: 15px 0 5px 0;">${timeline}</p>
+        </div>
+
+        <div style="text-align: center; padding: 20px; background-color: #e8f5e8; border-radius: 6px;">
+          <p style="margin: 0; color: #666;">Thank you for shopping with Nisarg Maitri!</p>
+        </div>
+  `);
+};
+
+module.exports = {
+  description: 'Sent to the customer when a refund is initiated or processed',
+  subject: ({ order, refund }) => `Refund ${refund.status === 'Processed' ? 'Processed' : 'Initiated'} - ${order.orderId}`,
+  render,
+  sample: (order) => ({
+    order,
+    refund: order.refunds?.[order.refunds.length - 1] || {
+      status: 'Initiated',
+      method: order.paymentMethod === 'COD' ? 'Manual' : order.paymentMethod,
+      manualMode: 'UPI',
+      reference: 'SAMPLE-UTR-0001',
+      amount: order.items[0].price,
+      reason: 'Item arrived damaged',
+      items: [{ productId: order.items[0].productId, variant: order.items[0].variant, quantity: 1, amount: order.items[0].price }],
+    },
+  }),
+};
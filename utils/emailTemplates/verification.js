@@ -0,0 +1,27 @@
+const { html, layout } = require('./html');
+
+const render = ({ user, verifyUrl }) => {
+  if (!user || !user.email || !verifyUrl) {
+    throw new Error('User and verification link are required');
+  }
+
+  return layout(html`
+        <h2 style="color: #2c5f41; margin: 0 0 20px 0; font-size: 24px; text-align: center;">Verify your email</h2>
+        <p style="font-size: 16px;">Hi ${user.firstName || 'there'},</p>
+        <p style="font-size: 16px;">Please confirm your email address to finish setting up your Nisarg Maitri account. Your past orders placed with this email will appear in your account once it is verified.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}" style="background-color: #2c5f41; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Verify Email</a>
+        </p>
+        <p style="font-size: 14px; color: #666;">This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>
+  `);
+};
+
+module.exports = {
+  description: 'Sent to a new customer account to confirm its email address',
+  subject: () => 'Verify your email - Nisarg Maitri',
+  render,
+  sample: (order) => ({
+    user: { email: order.customer.email, firstName: order.customer.firstName },
+    verifyUrl: `${process.env.FRONTEND_URL}/verify-email?token=sample`,
+  }),
+};
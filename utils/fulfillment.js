@@ -0,0 +1,82 @@
+const Order = require('../models/order');
+const { renderTemplate } = require('./emailTemplates');
+const { queueEmail } = require('./emailOutbox');
+const { publishOrderEvent } = require('./orderEvents');
+
+// Allowed next states for each fulfillment state
+const FULFILLMENT_TRANSITIONS = {
+  Processing: ['Packed', 'Cancelled'],
+  Packed: ['Shipped', 'Cancelled'],
+  Shipped: ['Out for Delivery', 'Delivered'],
+  'Out for Delivery': ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+const canTransition = (from, to) => (FULFILLMENT_TRANSITIONS[from] || []).includes(to);
+
+const sendStatusEmail = async (order) => {
+  try {
+    await queueEmail({
+      kind: 'order-status',
+      to: order.customer.email,
+      ...renderTemplate('order-status', { order }),
+      orderId: order.orderId,
+    });
+  } catch (emailError) {
+    console.error(`Failed to queue status email for order ${order.orderId}:`, emailError.message);
+  }
+};
+
+// Move a paid order to its next fulfillment state and email the customer (unless notify is false).
+// Returns { order } on success or { error, status } when the transition is not allowed.
+const transitionFulfillment = async (order, nextStatus, { actor, note, trackingNumber, carrier, notify = true } = {}) => {
+  if (order.paymentStatus !== 'Success') {
+    return { error: 'Only paid orders can be fulfilled', status: 400 };
+  }
+
+  const currentStatus = order.fulfillmentStatus || 'Processing';
+  if (!canTransition(currentStatus, nextStatus)) {
+    return { error: `Cannot move order from ${currentStatus} to ${nextStatus}`, status: 400 };
+  }
+
+  const now = new Date();
+  const set = { fulfillmentStatus: nextStatus };
+  if (nextStatus === 'Shipped') {
+    const tracking = trackingNumber || order.shipment?.trackingNumber;
+    const courier = carrier || order.shipment?.carrier;
+    if (!tracking || !courier) {
+      return { error: 'Tracking number and carrier are required to mark an order as Shipped', status: 400 };
+    }
+    set['shipment.trackingNumber'] = tracking;
+    set['shipment.carrier'] = courier;
+    set['shipment.shippedAt'] = now;
+  }
+  if (nextStatus === 'Delivered') {
+    set['shipment.deliveredAt'] = now;
+  }
+
+  // Orders created before fulfillment tracking have no status stored yet
+  const statusFilter = currentStatus === 'Processing' ? { $in: ['Processing', null] } : currentStatus;
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, fulfillmentStatus: statusFilter },
+    {
+      $set: set,
+      $push: { statusHistory: { status: nextStatus, changedAt: now, changedBy: actor, note } },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { error: 'Order status was changed by another request, please reload', status: 409 };
+  }
+
+  console.log(`Order ${updated.orderId} moved from ${currentStatus} to ${nextStatus}`, { actor });
+  await publishOrderEvent(nextStatus === 'Cancelled' ? 'order.cancelled' : 'order.updated', updated, {
+    previousStatus: currentStatus,
+  });
+  if (notify) await sendStatusEmail(updated);
+  return { order: updated };
+};
+
+module.exports = { FULFILLMENT_TRANSITIONS, canTransition, transitionFulfillment };
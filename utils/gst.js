@@ -0,0 +1,131 @@
+const { HSN_GST_RATES, DEFAULT_GST_RATE, STATE_CODES, SELLER } = require('../config/gst');
+const { isCouponEligibleItem } = require('./coupons');
+
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const normalizeState = (name) => String(name || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_CODE_BY_NAME = new Map([
+  ...Object.entries(STATE_CODES).map(([code, name]) => [normalizeState(name), code]),
+  // Older or informal names customers still type
+  ['orissa', '21'],
+  ['pondicherry', '34'],
+  ['newdelhi', '07'],
+  ['nctofdelhi', '07'],
+  ['uttaranchal', '05'],
+  ['dadraandnagarhaveli', '26'],
+  ['damananddiu', '26'],
+  ['andamanandnicobar', '35'],
+]);
+
+const getStateCode = (state) => STATE_CODE_BY_NAME.get(normalizeState(state)) || null;
+
+// Product override first, then the longest matching HSN prefix, then the default rate
+const getGstRate = (product) => {
+  if (product.gstRate !== undefined && product.gstRate !== null) return product.gstRate;
+
+  const hsnCode = product.hsnCode || '';
+  const prefix = Object.keys(HSN_GST_RATES)
+    .filter((p) => hsnCode.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? HSN_GST_RATES[prefix] : DEFAULT_GST_RATE;
+};
+
+// Place of supply: the buyer's GSTIN state for B2B orders, otherwise the delivery state
+const getPlaceOfSupply = (order) => {
+  const gstNumber = order.gstDetails?.gstNumber;
+  const code = gstNumber ? gstNumber.slice(0, 2) : getStateCode(order.shippingAddress?.state);
+  if (code && STATE_CODES[code]) return { stateCode: code, state: STATE_CODES[code] };
+  return { stateCode: '', state: order.shippingAddress?.state || '' };
+};
+
+// Extract tax from a tax-inclusive amount and split it into CGST+SGST or IGST
+const splitTax = (amount, rate, intraState) => {
+  const taxableValue = roundCurrency((amount * 100) / (100 + rate));
+  const tax = roundCurrency(amount - taxableValue);
+  if (intraState) {
+    const cgst = roundCurrency(tax / 2);
+    return { taxableValue, cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+  }
+  return { taxableValue, cgst: 0, sgst: 0, igst: tax };
+};
+
+// Spread a discount over lines in proportion to their value; the last line takes the rounding remainder
+const allocateDiscount = (lineTotals, discount) => {
+  const base = lineTotals.reduce((sum, value) => sum + value, 0);
+  if (!(discount > 0) || base <= 0) return lineTotals.map(() => 0);
+
+  let remaining = roundCurrency(discount);
+  const lastIndex = lineTotals.map((value) => value > 0).lastIndexOf(true);
+  return lineTotals.map((value, index) => {
+    if (value <= 0) return 0;
+    const share = index === lastIndex ? remaining : roundCurrency((discount * value) / base);
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+// Per-line and order-level GST for priced items. Prices, shipping and the coupon discount are
+// all tax-inclusive, so taxable value + tax always adds back up to what the customer pays.
+// Shipping follows the highest item rate, as the principal supply of a composite supply.
+const calculateOrderTax = (order, { items, coupon, expectedShippingCost, shippingCost, couponDiscount }) => {
+  const placeOfSupply = getPlaceOfSupply(order);
+  const intraState = !!SELLER.stateCode && placeOfSupply.stateCode === SELLER.stateCode;
+
+  // FreeShipping coupons discount the shipping charge, every other coupon discounts items
+  const itemDiscount = roundCurrency(couponDiscount - (expectedShippingCost - shippingCost));
+  const lineTotals = items.map((item) =>
+    !coupon || isCouponEligibleItem(coupon, item) ? item.price * item.quantity : 0
+  );
+  const discounts = allocateDiscount(lineTotals, itemDiscount);
+
+  const taxedItems = items.map((item, index) => {
+    const gstRate = item.gstRate;
+    const lineAmount = roundCurrency(Math.max(0, item.price * item.quantity - discounts[index]));
+    return { ...item, discount: discounts[index], gstRate, ...splitTax(lineAmount, gstRate, intraState) };
+  });
+
+  const shippingRate = Math.max(0, ...items.map((item) => item.gstRate));
+  const shipping = { gstRate: shippingRate, ...splitTax(Math.max(0, shippingCost), shippingRate, intraState) };
+
+  const sum = (field) => roundCurrency(taxedItems.reduce((total, item) => total + item[field], 0) + shipping[field]);
+  const tax = {
+    supplyType: intraState ? 'Intra-State' : 'Inter-State',
+    placeOfSupply: placeOfSupply.state,
+    placeOfSupplyCode: placeOfSupply.stateCode,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    shipping,
+  };
+  tax.totalTax = roundCurrency(tax.cgst + tax.sgst + tax.igst);
+
+  return { items: taxedItems, tax };
+};
+
+const TAX_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst'];
+
+// Compare stored tax figures with a fresh calculation; returns a description of the first mismatch
+const findTaxMismatch = (order, expected) => {
+  if (!order.tax || order.tax.supplyType !== expected.tax.supplyType) {
+    return `supply type should be ${expected.tax.supplyType}`;
+  }
+  for (const field of [...TAX_FIELDS, 'totalTax']) {
+    if (Math.abs((order.tax[field] || 0) - expected.tax[field]) > 0.01) {
+      return `order ${field} should be ${expected.tax[field]}`;
+    }
+  }
+  for (const [index, item] of expected.items.entries()) {
+    const stored = order.items[index] || {};
+    if (stored.gstRate !== item.gstRate) return `GST rate for ${item.productId} should be ${item.gstRate}%`;
+    for (const field of TAX_FIELDS) {
+      if (Math.abs((stored[field] || 0) - item[field]) > 0.01) {
+        return `${field} for ${item.productId} should be ${item[field]}`;
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = { getGstRate, getStateCode, getPlaceOfSupply, splitTax, calculateOrderTax, findTaxMismatch };
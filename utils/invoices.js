@@ -0,0 +1,330 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const { SELLER, DEFAULT_GST_RATE, sellerGstinError } = require('../config/gst');
+const { findProducts } = require('./catalog');
+const { getGstRate, calculateOrderTax } = require('./gst');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'NM';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// Indian financial year (April to March) of a date in IST, e.g. "2026-27"
+const getFinancialYear = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+
+// Orders placed before GST was stored get their breakdown derived from what was charged
+const getOrderTax = async (order) => {
+  if (order.tax?.supplyType) {
+    return { items: order.items, tax: order.tax };
+  }
+
+  const products = await findProducts(order.items.map((item) => item.productId));
+  const items = order.items.map((item) => {
+    const product = products.get(item.productId);
+    return {
+      ...item.toObject(),
+      hsnCode: product?.hsnCode || '',
+      gstRate: product ? getGstRate(product) : DEFAULT_GST_RATE,
+    };
+  });
+  const shippingCost = order.shippingMethod.cost;
+  return calculateOrderTax(order, {
+    items,
+    coupon: null,
+    expectedShippingCost: shippingCost,
+    shippingCost,
+    couponDiscount: order.coupon?.type === 'FreeShipping' ? 0 : order.coupon?.discount || 0,
+  });
+};
+
+const withTotal = (line) => ({ ...line, total: roundCurrency(line.taxableValue + line.cgst + line.sgst + line.igst) });
+
+const buildInvoiceData = async (order) => {
+  const { items, tax } = await getOrderTax(order);
+  const address = order.shippingAddress;
+
+  return {
+    orderId: order.orderId,
+    seller: { ...SELLER },
+    buyer: {
+      name: `${order.customer.firstName} ${order.customer.lastName}`.trim(),
+      email: order.customer.email,
+      phone: order.customer.phone,
+      address: [
+        address.address1,
+        address.address2,
+        `${address.city}, ${address.state} ${address.pincode}`,
+        address.country,
+      ].filter(Boolean),
+      gstin: order.gstDetails?.gstNumber || '',
+      state: order.gstDetails?.gstNumber ? order.gstDetails.state : address.state,
+    },
+    supplyType: tax.supplyType,
+    placeOfSupply: tax.placeOfSupply,
+    placeOfSupplyCode: tax.placeOfSupplyCode,
+    paymentMethod: order.paymentMethod,
+    items: items.map((item) =>
+      withTotal({
+        name: item.name,
+        variant: item.variant,
+        hsnCode: item.hsnCode,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discount: item.discount || 0,
+        gstRate: item.gstRate,
+        taxableValue: item.taxableValue,
+        cgst: item.cgst || 0,
+        sgst: item.sgst || 0,
+        igst: item.igst || 0,
+      })
+    ),
+    shipping: withTotal({
+      gstRate: tax.shipping?.gstRate || 0,
+      taxableValue: tax.shipping?.taxableValue || 0,
+      cgst: tax.shipping?.cgst || 0,
+      sgst: tax.shipping?.sgst || 0,
+      igst: tax.shipping?.igst || 0,
+    }),
+    totals: {
+      taxableValue: tax.taxableValue,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      totalTax: tax.totalTax,
+      grandTotal: order.total,
+    },
+  };
+};
+
+// Issue the tax invoice for a paid order; returns the existing one if already issued.
+// No transaction, so this works on a standalone mongod: the number is taken first and the
+// unique orderId index decides which of two concurrent requests keeps it. The loser hands its
+// number back when no later one has been taken, so numbers only skip if that race overlaps
+// with another order's invoice; such gaps are logged.
+const issueInvoice = async (order) => {
+  if (order.paymentStatus !== 'Success') {
+    return { error: 'Invoices are only issued for paid orders', status: 400 };
+  }
+  const gstinError = sellerGstinError();
+  if (gstinError) {
+    return { error: `Invoices cannot be issued: ${gstinError}`, status: 503 };
+  }
+
+  const existing = await Invoice.findOne({ orderId: order.orderId });
+  if (existing) return { invoice: existing };
+
+  const data = await buildInvoiceData(order);
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const counterName = `invoice:${financialYear}`;
+  const sequence = await Counter.next(counterName);
+
+  try {
+    const invoice = await Invoice.create({
+      ...data,
+      invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      financialYear,
+      sequence,
+      issuedAt,
+    });
+    console.log(`Invoice ${invoice.invoiceNumber} issued for order ${order.orderId}`);
+    return { invoice };
+  } catch (error) {
+    const released = await Counter.updateOne({ _id: counterName, seq: sequence }, { $inc: { seq: -1 } });
+    if (released.modifiedCount === 0) {
+      console.error(`Invoice number ${formatInvoiceNumber(financialYear, sequence)} skipped: ${error.message}`);
+    }
+    // Issued concurrently by another request, which kept its own number
+    if (error.code === 11000) {
+      const invoice = await Invoice.findOne({ orderId: order.orderId });
+      if (invoice) return { invoice };
+    }
+    throw error;
+  }
+};
+
+// Rebuild an issued invoice from the current order, keeping its number and issue date
+const regenerateInvoice = async (order, { actor } = {}) => {
+  const invoice = await Invoice.findOne({ orderId: order.orderId });
+  if (!invoice) return issueInvoice(order);
+  const gstinError = sellerGstinError();
+  if (gstinError) {
+    return { error: `Invoices cannot be issued: ${gstinError}`, status: 503 };
+  }
+
+  invoice.set(await buildInvoiceData(order));
+  invoice.revision += 1;
+  invoice.regeneratedAt = new Date();
+  invoice.regeneratedBy = actor;
+  await invoice.save();
+  console.log(`Invoice ${invoice.invoiceNumber} regenerated (revision ${invoice.revision})`, { actor });
+  return { invoice };
+};
+
+// Built-in PDF fonts have no rupee glyph
+const money = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+const amount = (value) => Number(value || 0).toFixed(2);
+
+const COLUMNS = [
+  { label: '#', width: 20 },
+  { label: 'Item', width: 140 },
+  { label: 'HSN', width: 50 },
+  { label: 'Qty', width: 30, align: 'right' },
+  { label: 'Rate', width: 55, align: 'right' },
+  { label: 'Disc.', width: 45, align: 'right' },
+  { label: 'Taxable', width: 60, align: 'right' },
+  { label: 'GST %', width: 35, align: 'right' },
+  { label: 'Tax', width: 40, align: 'right' },
+  { label: 'Total', width: 40, align: 'right' },
+];
+
+const drawRow = (doc, values, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let x = doc.page.margins.left;
+  let height = 0;
+  values.forEach((value, index) => {
+    const { width, align = 'left' } = COLUMNS[index];
+    doc.text(String(value), x + 2, y, { width: width - 4, align });
+    height = Math.max(height, doc.heightOfString(String(value), { width: width - 4 }));
+    x += width;
+  });
+  return y + height + 6;
+};
+
+// Render an invoice snapshot to a PDF buffer
+const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const intraState = invoice.supplyType === 'Intra-State';
+
+    doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica-Bold').fontSize(11).text(invoice.seller.name);
+    doc.font('Helvetica').fontSize(9);
+    if (invoice.seller.address) doc.text(invoice.seller.address);
+    doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    doc.text(`State: ${invoice.seller.state} (${invoice.seller.stateCode})`);
+    const sellerBottom = doc.y;
+
+    const metaTop = doc.page.margins.top + 30;
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`, 350, metaTop, { width: right - 350, align: 'right' });
+    doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`, {
+      width: right - 350,
+      align: 'right',
+    });
+    doc.text(`Order ID: ${invoice.orderId}`, { width: right - 350, align: 'right' });
+    doc.text(`Payment: ${invoice.paymentMethod}`, { width: right - 350, align: 'right' });
+    if (invoice.revision > 1) doc.text(`Revision: ${invoice.revision}`, { width: right - 350, align: 'right' });
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, sellerBottom);
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To');
+    doc.font('Helvetica').fontSize(9).text(invoice.buyer.name);
+    invoice.buyer.address.forEach((line) => doc.text(line));
+    doc.text(`Phone: ${invoice.buyer.phone}`);
+    if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+    doc.text(`Place of Supply: ${invoice.placeOfSupply}${invoice.placeOfSupplyCode ? ` (${invoice.placeOfSupplyCode})` : ''}`);
+    doc.moveDown();
+
+    let y = drawRow(doc, COLUMNS.map((c) => c.label), doc.y, { bold: true });
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+    invoice.items.forEach((item, index) => {
+      if (y > doc.page.height - 160) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      y = drawRow(
+        doc,
+        [
+          index + 1,
+          item.variant ? `${item.name} (${item.variant})` : item.name,
+          item.hsnCode || '-',
+          item.quantity,
+          amount(item.unitPrice),
+          amount(item.discount),
+          amount(item.taxableValue),
+          item.gstRate,
+          amount(item.cgst + item.sgst + item.igst),
+          amount(item.total),
+        ],
+        y
+      );
+    });
+    if (invoice.shipping.total > 0) {
+      y = drawRow(
+        doc,
+        [
+          '',
+          'Shipping charges',
+          '9965',
+          '',
+          '',
+          '',
+          amount(invoice.shipping.taxableValue),
+          invoice.shipping.gstRate,
+          amount(invoice.shipping.cgst + invoice.shipping.sgst + invoice.shipping.igst),
+          amount(invoice.shipping.total),
+        ],
+        y
+      );
+    }
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+
+    const summary = [
+      ['Taxable Value', invoice.totals.taxableValue],
+      ...(intraState
+        ? [
+            ['CGST', invoice.totals.cgst],
+            ['SGST', invoice.totals.sgst],
+          ]
+        : [['IGST', invoice.totals.igst]]),
+      ['Total Tax', invoice.totals.totalTax],
+    ];
+    y += 10;
+    doc.font('Helvetica').fontSize(9);
+    summary.forEach(([label, value]) => {
+      doc.text(label, 350, y, { width: 100 });
+      doc.text(money(value), 450, y, { width: right - 450, align: 'right' });
+      y += 14;
+    });
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Grand Total', 350, y, { width: 100 });
+    doc.text(money(invoice.totals.grandTotal), 450, y, { width: right - 450, align: 'right' });
+
+    doc.font('Helvetica').fontSize(8).text(
+      'Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.',
+      left,
+      doc.page.height - doc.page.margins.bottom - 20,
+      { width: right - left, align: 'center' }
+    );
+
+    doc.end();
+  });
+
+const invoiceFilename = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+module.exports = {
+  getFinancialYear,
+  formatInvoiceNumber,
+  issueInvoice,
+  regenerateInvoice,
+  renderInvoicePdf,
+  invoiceFilename,
+};
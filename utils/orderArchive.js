@@ -0,0 +1,176 @@
+const Order = require('../models/order');
+const ArchivedOrder = require('../models/ArchivedOrder');
+const { releaseStock, RESERVATION_MINUTES } = require('./stock');
+const { publishOrderEvent } = require('./orderEvents');
+const { ARCHIVE_UNPAID_AFTER_DAYS, ARCHIVE_RETENTION_DAYS, ARCHIVABLE_PAYMENT_STATUSES } = require('../config/retention');
+const { ONLINE_PAYMENT_METHODS } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Online orders left unpaid past the payment window move to Expired. They stay in the
+// orders collection, so a late payment can still be matched to them.
+const expireUnpaidOrders = async () => {
+  const cutoff = new Date(Date.now() - RESERVATION_MINUTES * 60 * 1000);
+  const stale = await Order.find({
+    paymentStatus: 'Pending',
+    paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
+    createdAt: { $lt: cutoff },
+  })
+    .select('_id')
+    .limit(500);
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    const order = await Order.findOneAndUpdate(
+      { _id, paymentStatus: 'Pending' },
+      { $set: { paymentStatus: 'Expired', expiredAt: new Date() } },
+      { new: true }
+    );
+    if (!order) continue;
+
+    await releaseStock(order.orderId, 'Expired');
+    await publishOrderEvent('order.updated', order, { paymentStatus: 'Expired' });
+    expired++;
+  }
+  return expired;
+};
+
+// Move an order into the archive. The archive copy is written first and the order is then
+// deleted only while it still has the payment status it was archived with, so a payment
+// landing at the same moment wins and the copy is removed again. No transaction is needed,
+// which keeps this working on a standalone mongod; a crash between the two steps leaves an
+// extra copy that the next attempt overwrites.
+// Returns the archive entry, or null when the order changed underneath.
+const archiveOrder = async (order, { reason, source, actor = 'system' }) => {
+  const snapshot = order.toObject({ depopulate: true, virtuals: false });
+  const archived = await ArchivedOrder.findOneAndUpdate(
+    { orderId: order.orderId, status: 'Archived' },
+    {
+      $set: {
+        reason,
+        source,
+        archivedBy: actor,
+        archivedAt: new Date(),
+        paymentStatus: order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+        customerEmail: order.customer?.email,
+        customerPhone: order.customer?.phone,
+        razorpayOrderId: order.razorpayOrderId,
+        razorpayPaymentId: order.razorpayPaymentId,
+        phonepeMerchantOrderId: order.phonepeMerchantOrderId,
+        phonepeTransactionId: order.phonepeTransactionId,
+        total: order.total,
+        orderCreatedAt: order.createdAt,
+        order: snapshot,
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  const removed = await Order.deleteOne({ _id: order._id, paymentStatus: order.paymentStatus });
+  if (removed.deletedCount === 0) {
+    await ArchivedOrder.deleteOne({ _id: archived._id, status: 'Archived' });
+    console.warn(`Order ${order.orderId} changed before it could be archived, left in place`);
+    return null;
+  }
+
+  console.log(`Archived order ${order.orderId}: ${reason}`, { source, actor });
+  return archived;
+};
+
+// Nightly cleanup: unpaid orders older than the retention window go to the archive. Orders
+// restored by an admin get a fresh window from the time they were restored.
+const archiveStaleOrders = async () => {
+  const cutoff = new Date(Date.now() - ARCHIVE_UNPAID_AFTER_DAYS * DAY_MS);
+  const stale = await Order.find({
+    paymentStatus: { $in: ARCHIVABLE_PAYMENT_STATUSES },
+    createdAt: { $lt: cutoff },
+    $or: [{ restoredAt: null }, { restoredAt: { $lt: cutoff } }],
+  });
+
+  let archivedCount = 0;
+  for (const order of stale) {
+    await releaseStock(order.orderId, 'Cleaned up');
+    const archived = await archiveOrder(order, {
+      reason: `${order.paymentStatus} for more than ${ARCHIVE_UNPAID_AFTER_DAYS} day(s)`,
+      source: 'cleanup',
+    });
+    if (archived) archivedCount++;
+  }
+  return archivedCount;
+};
+
+// Permanently remove archive entries past ARCHIVE_RETENTION_DAYS
+const purgeArchivedOrders = async () => {
+  if (!ARCHIVE_RETENTION_DAYS) return 0;
+  const result = await ArchivedOrder.deleteMany({ archivedAt: { $lt: new Date(Date.now() - ARCHIVE_RETENTION_DAYS * DAY_MS) } });
+  return result.deletedCount;
+};
+
+// Put an archived order back into the orders collection as it was. The snapshot is inserted
+// directly, so it is not re-priced against today's catalog. Safe to retry: an order already
+// inserted from this snapshot by an interrupted restore is reused.
+// Returns { order, archived } or { error, status }.
+const restoreArchivedOrder = async (archiveId, { actor, reason }) => {
+  const archived = await ArchivedOrder.findOne({ _id: archiveId, status: 'Archived' });
+  if (!archived) {
+    return { error: 'Archived order not found or already restored', status: 404 };
+  }
+
+  const restoredAt = new Date();
+  const existing = await Order.findOne({ orderId: archived.orderId }).select('_id');
+  if (existing && String(existing._id) !== String(archived.order._id)) {
+    return { error: `An order with id ${archived.orderId} already exists`, status: 409 };
+  }
+  if (!existing) {
+    try {
+      await Order.collection.insertOne({ ...archived.order, restoredAt });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // A concurrent restore of the same snapshot got there first; the claim below decides
+      if (!(await Order.exists({ _id: archived.order._id }))) {
+        return { error: `An order with id ${archived.orderId} already exists`, status: 409 };
+      }
+    }
+  }
+
+  const claimed = await ArchivedOrder.findOneAndUpdate(
+    { _id: archived._id, status: 'Archived' },
+    { $set: { status: 'Restored', restoredAt, restoredBy: actor, restoreReason: reason } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'Archived order not found or already restored', status: 404 };
+  }
+
+  const order = await Order.findOne({ orderId: claimed.orderId });
+  console.log(`Restored archived order ${order.orderId}`, { actor, reason });
+  await publishOrderEvent('order.updated', order, { restored: true });
+  return { order, archived: claimed };
+};
+
+// Orders used to be removed by a TTL index on createdAt. Mongoose never drops indexes on its
+// own, so remove it from existing databases or it would keep deleting unpaid orders.
+const dropOrderTtlIndexes = async () => {
+  let indexes;
+  try {
+    indexes = await Order.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return;
+    throw error;
+  }
+  for (const index of indexes) {
+    if (index.expireAfterSeconds === undefined) continue;
+    await Order.collection.dropIndex(index.name);
+    console.log(`Dropped TTL index ${index.name} from orders`);
+  }
+};
+
+module.exports = {
+  expireUnpaidOrders,
+  archiveOrder,
+  archiveStaleOrders,
+  purgeArchivedOrders,
+  restoreArchivedOrder,
+  dropOrderTtlIndexes,
+};
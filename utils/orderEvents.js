@@ -0,0 +1,92 @@
+const Counter = require('../models/Counter');
+const OrderEvent = require('../models/OrderEvent');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_REPLAY_EVENTS = 1000;
+
+// The fields the admin dashboard needs to update a row without refetching
+const summarizeOrder = (order) => ({
+  orderId: order.orderId,
+  paymentStatus: order.paymentStatus,
+  paymentMethod: order.paymentMethod,
+  fulfillmentStatus: order.fulfillmentStatus,
+  total: order.total,
+  customerName: [order.customer?.firstName, order.customer?.lastName].filter(Boolean).join(' '),
+  createdAt: order.createdAt,
+});
+
+const formatEvent = (event) =>
+  `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify({ type: event.type, ...event.data })}\n\n`;
+
+const send = (client, event) => {
+  if (event.seq <= client.lastSeq) return;
+  client.res.write(formatEvent(event));
+  client.lastSeq = event.seq;
+};
+
+// Persist an order event and push it to every connected SSE client. Never throws:
+// a failed broadcast must not fail the order operation that triggered it.
+const publishOrderEvent = async (type, order, extra = {}) => {
+  try {
+    const event = await OrderEvent.create({
+      seq: await Counter.next('orderEvents'),
+      type,
+      orderId: order.orderId,
+      data: { ...summarizeOrder(order), ...extra },
+    });
+
+    for (const client of global.clients || []) {
+      if (client.replaying) {
+        client.pending.push(event);
+      } else {
+        send(client, event);
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type} for order ${order.orderId}:`, error.message);
+  }
+};
+
+// Register an SSE client, replay what it missed since lastEventId, then start heartbeats.
+// Events published during the replay are queued so nothing is lost or sent twice.
+const attachClient = async (client, lastEventId) => {
+  const lastSeq = Number.parseInt(lastEventId, 10);
+  client.lastSeq = Number.isInteger(lastSeq) && lastSeq >= 0 ? lastSeq : 0;
+  client.pending = [];
+  client.replaying = Number.isInteger(lastSeq);
+  global.clients.add(client);
+
+  client.heartbeat = setInterval(() => client.res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  if (!client.replaying) return;
+  try {
+    const oldest = await OrderEvent.findOne().sort({ seq: 1 }).select('seq').lean();
+    const missed = await OrderEvent.find({ seq: { $gt: client.lastSeq } })
+      .sort({ seq: 1 })
+      .limit(MAX_REPLAY_EVENTS + 1)
+      .lean();
+
+    // The gap is no longer fully in the log: tell the dashboard to reload instead
+    if ((oldest && oldest.seq > client.lastSeq + 1) || missed.length > MAX_REPLAY_EVENTS) {
+      const latest = await OrderEvent.findOne().sort({ seq: -1 }).select('seq').lean();
+      client.res.write(`event: reset\ndata: {"type": "reset"}\n\n`);
+      client.lastSeq = latest.seq;
+    } else {
+      missed.forEach((event) => send(client, event));
+    }
+    console.log(`Replayed ${missed.length} order events for client ${client.id} after ${lastSeq}`);
+  } catch (error) {
+    console.error(`Failed to replay order events for client ${client.id}:`, error.message);
+  } finally {
+    client.pending.forEach((event) => send(client, event));
+    client.pending = [];
+    client.replaying = false;
+  }
+};
+
+const detachClient = (client) => {
+  clearInterval(client.heartbeat);
+  global.clients.delete(client);
+};
+
+module.exports = { publishOrderEvent, attachClient, detachClient };
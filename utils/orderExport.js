@@ -0,0 +1,322 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Order = require('../models/order');
+const ExportJob = require('../models/ExportJob');
+const { buildOrderQuery, SORTS } = require('./orderSearch');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'order-exports');
+// Exports matching more orders than this run as a background job instead of streaming
+const SYNC_EXPORT_LIMIT = parseInt(process.env.EXPORT_SYNC_LIMIT, 10) || 5000;
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+const FORMATS = ['csv', 'xlsx'];
+const MODES = ['orders', 'items'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Timestamps are written as IST wall-clock time, e.g. 2024-04-01 18:30:00
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleString('sv-SE', { timeZone: 'Asia/Kolkata' }) : '';
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : '');
+
+// Same as the Order.refundedAmount virtual; export rows are lean
+const refundedAmount = (order) => round(Order.sumRefunds(order.refunds));
+
+const ORDER_COLUMNS = [
+  ['Order ID', (o) => o.orderId],
+  ['Order Date', (o) => formatDate(o.createdAt)],
+  ['Payment Status', (o) => o.paymentStatus],
+  ['Payment Method', (o) => o.paymentMethod],
+  ['Razorpay Order ID', (o) => o.razorpayOrderId],
+  ['Razorpay Payment ID', (o) => o.razorpayPaymentId],
+  ['PhonePe Merchant Order ID', (o) => o.phonepeMerchantOrderId],
+  ['PhonePe Transaction ID', (o) => o.phonepeTransactionId],
+  ['Fulfillment Status', (o) => o.fulfillmentStatus || 'Processing'],
+  ['First Name', (o) => o.customer?.firstName],
+  ['Last Name', (o) => o.customer?.lastName],
+  ['Email', (o) => o.customer?.email],
+  ['Phone', (o) => o.customer?.phone],
+  ['Address Line 1', (o) => o.shippingAddress?.address1],
+  ['Address Line 2', (o) => o.shippingAddress?.address2],
+  ['City', (o) => o.shippingAddress?.city],
+  ['State', (o) => o.shippingAddress?.state],
+  ['Pincode', (o) => o.shippingAddress?.pincode],
+  ['Country', (o) => o.shippingAddress?.country],
+  ['Buyer GSTIN', (o) => o.gstDetails?.gstNumber],
+  ['GST State', (o) => o.gstDetails?.state],
+  ['GST City', (o) => o.gstDetails?.city],
+  ['Supply Type', (o) => o.tax?.supplyType],
+  ['Place of Supply', (o) => o.tax?.placeOfSupply],
+  ['Coupon Code', (o) => o.coupon?.code],
+  ['Coupon Type', (o) => o.coupon?.type],
+  ['Coupon Discount', (o) => round(o.coupon?.discount || 0)],
+  ['Shipping Method', (o) => o.shippingMethod?.type],
+  ['Shipping Cost', (o) => round(o.shippingMethod?.cost)],
+  ['Taxable Value', (o) => round(o.tax?.taxableValue)],
+  ['CGST', (o) => round(o.tax?.cgst)],
+  ['SGST', (o) => round(o.tax?.sgst)],
+  ['IGST', (o) => round(o.tax?.igst)],
+  ['Total Tax', (o) => round(o.tax?.totalTax)],
+  ['Order Total', (o) => round(o.total)],
+  ['Refunded', refundedAmount],
+  ['Tracking Number', (o) => o.shipment?.trackingNumber],
+  ['Updated At', (o) => formatDate(o.updatedAt)],
+];
+
+const ORDER_SUMMARY_COLUMNS = [
+  ['Units', (o) => (o.items || []).reduce((sum, item) => sum + item.quantity, 0)],
+  [
+    'Items',
+    (o) => (o.items || []).map((item) => `${item.name}${item.variant ? ` (${item.variant})` : ''} x ${item.quantity}`).join('; '),
+  ],
+];
+
+const ITEM_COLUMNS = [
+  ['Product ID', (o, item) => item.productId],
+  ['Item', (o, item) => item.name],
+  ['Variant', (o, item) => item.variant],
+  ['HSN Code', (o, item) => item.hsnCode],
+  ['Quantity', (o, item) => item.quantity],
+  ['Unit Price', (o, item) => round(item.price)],
+  ['Item Discount', (o, item) => round(item.discount || 0)],
+  ['GST Rate', (o, item) => (item.gstRate !== undefined ? item.gstRate : '')],
+  ['Item Taxable Value', (o, item) => round(item.taxableValue)],
+  ['Item CGST', (o, item) => round(item.cgst || 0)],
+  ['Item SGST', (o, item) => round(item.sgst || 0)],
+  ['Item IGST', (o, item) => round(item.igst || 0)],
+  ['Line Total', (o, item) => round(item.price * item.quantity - (item.discount || 0))],
+];
+
+const getColumns = (mode) => (mode === 'items' ? [...ORDER_COLUMNS, ...ITEM_COLUMNS] : [...ORDER_COLUMNS, ...ORDER_SUMMARY_COLUMNS]);
+
+// Text starting with these is treated as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Validate format, mode and the GET /api/orders filters; returns the export plan or { error }
+const buildExportPlan = (params = {}) => {
+  const format = String(params.format || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  const mode = String(params.mode || 'orders').toLowerCase();
+  if (!MODES.includes(mode)) {
+    return { error: `mode must be one of: ${MODES.join(', ')}` };
+  }
+  const sortName = String(params.sort || 'newest');
+  const sort = SORTS[sortName];
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  const { query, error } = buildOrderQuery(params);
+  if (error) return { error };
+
+  return { format, mode, query, sort: { [sort.field]: sort.direction, _id: sort.direction } };
+};
+
+const exportFileName = (plan, date = new Date()) =>
+  `orders-${plan.mode}-${formatDate(date).replace(/[: ]/g, '-')}.${plan.format}`;
+
+// Resolves once the stream can take more data, or has been closed (e.g. the client went away)
+const waitForDrain = (output) =>
+  new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+const orderRows = function* (order, mode, columns) {
+  if (mode === 'items') {
+    for (const item of order.items || []) {
+      yield columns.map(([, value]) => value(order, item));
+    }
+  } else {
+    yield columns.map(([, value]) => value(order));
+  }
+};
+
+// Stream the export into a writable stream, one order at a time from a cursor.
+// Returns the number of rows written.
+const writeOrderExport = async (output, plan) => {
+  const columns = getColumns(plan.mode);
+  const cursor = Order.find(plan.query).sort(plan.sort).lean().cursor({ batchSize: 500 });
+  let rowCount = 0;
+
+  try {
+    if (plan.format === 'csv') {
+      // BOM so Excel opens the file as UTF-8
+      output.write(`\uFEFF${columns.map(([header]) => toCsvField(header)).join(',')}\r\n`);
+      for await (const order of cursor) {
+        if (output.destroyed) break;
+        for (const row of orderRows(order, plan.mode, columns)) {
+          rowCount++;
+          if (!output.write(`${row.map(toCsvField).join(',')}\r\n`)) {
+            await waitForDrain(output);
+          }
+        }
+      }
+      output.end();
+    } else {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(plan.mode === 'items' ? 'Order Items' : 'Orders');
+      sheet.columns = columns.map(([header]) => ({ header, key: header, width: Math.max(12, header.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      for await (const order of cursor) {
+        if (output.destroyed) break;
+        for (const row of orderRows(order, plan.mode, columns)) {
+          rowCount++;
+          sheet.addRow(row).commit();
+        }
+      }
+      await sheet.commit();
+      await workbook.commit();
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  return rowCount;
+};
+
+// Stream an export straight into the HTTP response
+const streamOrderExport = async (res, plan) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[plan.format],
+    'Content-Disposition': `attachment; filename="${exportFileName(plan)}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.status(200);
+  return writeOrderExport(res, plan);
+};
+
+const createExportJob = async (plan, params, user) =>
+  ExportJob.create({
+    format: plan.format,
+    mode: plan.mode,
+    filters: params,
+    requestedBy: user.email || String(user.id),
+    expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+  });
+
+const runExportJob = async (job) => {
+  const plan = buildExportPlan({ ...job.filters, format: job.format, mode: job.mode });
+  if (plan.error) throw new Error(plan.error);
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const fileName = exportFileName(plan, job.createdAt);
+  const filePath = path.join(EXPORT_DIR, `${job._id}.${plan.format}`);
+  // Written under a temporary name so a half-written file is never served
+  const partPath = `${filePath}.part`;
+
+  const output = fs.createWriteStream(partPath);
+  const finished = once(output, 'close');
+  let rowCount;
+  try {
+    rowCount = await writeOrderExport(output, plan);
+    await finished;
+  } catch (error) {
+    output.destroy();
+    await fs.promises.unlink(partPath).catch(() => {});
+    throw error;
+  }
+  await fs.promises.rename(partPath, filePath);
+
+  await ExportJob.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: 'Completed',
+        rowCount,
+        fileName,
+        filePath,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      },
+    }
+  );
+  console.log(`Export ${job._id} completed: ${rowCount} rows (${job.format}, ${job.mode}) for ${job.requestedBy.replace(/(.{2}).*@/, '$1***@')}`);
+};
+
+let processing = false;
+
+// Run queued export jobs one at a time. Called right after a job is queued and from the
+// cron, which picks up anything left behind.
+const processExportJobs = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    while (true) {
+      const job = await ExportJob.findOneAndUpdate(
+        { status: 'Queued' },
+        { $set: { status: 'Running', startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      try {
+        await runExportJob(job);
+      } catch (error) {
+        console.error(`Export ${job._id} failed:`, { message: error.message, stack: error.stack });
+        await ExportJob.updateOne(
+          { _id: job._id },
+          { $set: { status: 'Failed', error: error.message, completedAt: new Date() } }
+        ).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.error('Failed to process export jobs:', error.message);
+  } finally {
+    processing = false;
+  }
+};
+
+// Jobs still marked Running at startup were interrupted by a restart; queue them again
+const requeueInterruptedExports = async () => {
+  const result = await ExportJob.updateMany({ status: 'Running' }, { $set: { status: 'Queued' } });
+  if (result.modifiedCount > 0) {
+    console.log(`Requeued ${result.modifiedCount} interrupted export jobs`);
+  }
+};
+
+// Delete expired export jobs along with their files
+const cleanupExpiredExports = async () => {
+  const jobs = await ExportJob.find({ expiresAt: { $lt: new Date() }, status: { $in: ['Completed', 'Failed'] } });
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch((error) => {
+        if (error.code !== 'ENOENT') console.warn(`Failed to delete export file ${job.filePath}:`, error.message);
+      });
+    }
+    await ExportJob.deleteOne({ _id: job._id });
+  }
+  return jobs.length;
+};
+
+module.exports = {
+  SYNC_EXPORT_LIMIT,
+  CONTENT_TYPES,
+  buildExportPlan,
+  streamOrderExport,
+  createExportJob,
+  processExportJobs,
+  requeueInterruptedExports,
+  cleanupExpiredExports,
+};
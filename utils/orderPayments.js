@@ -0,0 +1,117 @@
+const Order = require('../models/order');
+const { renderTemplate } = require('./emailTemplates');
+const { queueEmail } = require('./emailOutbox');
+const { commitStock } = require('./stock');
+const { recordCouponUsage } = require('./coupons');
+const { publishOrderEvent } = require('./orderEvents');
+const { issueInvoice, renderInvoicePdf, invoiceFilename } = require('./invoices');
+const { completeCheckout } = require('./abandonedCheckouts');
+
+// The tax invoice as an email attachment; a failure here only drops the attachment
+const getInvoiceAttachments = async (order) => {
+  try {
+    const { invoice } = await issueInvoice(order);
+    if (!invoice) return [];
+    return [{ filename: invoiceFilename(invoice), content: await renderInvoicePdf(invoice), contentType: 'application/pdf' }];
+  } catch (invoiceError) {
+    console.error(`Failed to attach invoice for order ${order.orderId}:`, invoiceError.message);
+    return [];
+  }
+};
+
+// Queue the order confirmation email. It is queued once per order unless resend is set;
+// Order.emailSent is flipped by the outbox worker once the mail actually goes out.
+const queueOrderConfirmation = async (order, { resend = false, queuedBy } = {}) => {
+  if (order.emailSent && !resend) return null;
+
+  try {
+    const email = await queueEmail({
+      kind: 'order-confirmation',
+      to: order.customer.email,
+      ...renderTemplate('order-confirmation', { order }),
+      attachments: order.paymentStatus === 'Success' ? await getInvoiceAttachments(order) : [],
+      orderId: order.orderId,
+      dedupeKey: resend ? undefined : `order-confirmation:${order.orderId}`,
+      queuedBy,
+    });
+    return email;
+  } catch (emailError) {
+    console.error(`Failed to queue email for ${order.paymentMethod} order ${order.orderId}:`, emailError.message);
+    return null;
+  }
+};
+
+// Side effects of an order reaching Success: commit stock, count the coupon use, close its
+// abandoned checkout record, issue the invoice and queue the confirmation. Each step is
+// idempotent and failures never undo the payment.
+const finalizePaidOrder = async (order) => {
+  try {
+    await commitStock(order);
+  } catch (stockError) {
+    console.error(`Failed to commit stock for order ${order.orderId}:`, stockError.message);
+  }
+
+  try {
+    await recordCouponUsage(order);
+  } catch (couponError) {
+    console.error(`Failed to record coupon usage for order ${order.orderId}:`, couponError.message);
+  }
+
+  await completeCheckout(order);
+
+  try {
+    const issued = await issueInvoice(order);
+    if (issued.error) console.warn(`Invoice not issued for order ${order.orderId}: ${issued.error}`);
+  } catch (invoiceError) {
+    console.error(`Failed to issue invoice for order ${order.orderId}:`, invoiceError.message);
+  }
+
+  await queueOrderConfirmation(order);
+};
+
+// Amount charged at the gateway, in paise (gateways refuse anything under ₹1)
+const paymentAmount = (order) => Math.max(100, Math.round(order.total * 100));
+
+// Atomically move an online order to Success, storing the gateway's payment ids, e.g.
+// { razorpayPaymentId }. Returns null when the order was already marked paid by a
+// concurrent request (browser verify vs. webhook).
+const markOrderPaid = async (order, paymentFields) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $ne: 'Success' } },
+    { $set: { ...paymentFields, paymentStatus: 'Success' } },
+    { new: true }
+  );
+
+  if (!paidOrder) {
+    console.warn(`Order already marked paid: ${order.orderId}`);
+    return null;
+  }
+
+  console.log(`Order marked paid: ${paidOrder.orderId}`, {
+    ...paymentFields,
+    paymentMethod: paidOrder.paymentMethod,
+    customerEmail: paidOrder.customer.email.replace(/(.{2}).*@/, '$1***@'),
+    total: paidOrder.total,
+  });
+
+  await finalizePaidOrder(paidOrder);
+  await publishOrderEvent('payment.succeeded', paidOrder);
+  return paidOrder;
+};
+
+// Mark a still-pending order as Failed; paid orders are never downgraded
+const markOrderFailed = async (order, reason) => {
+  const failedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'Pending' },
+    { $set: { paymentStatus: 'Failed' } },
+    { new: true }
+  );
+
+  if (failedOrder) {
+    console.log(`Order marked failed: ${failedOrder.orderId}`, { reason });
+    await publishOrderEvent('payment.failed', failedOrder, { reason });
+  }
+  return failedOrder;
+};
+
+module.exports = { queueOrderConfirmation, finalizePaidOrder, paymentAmount, markOrderPaid, markOrderFailed };
@@ -0,0 +1,95 @@
+const Order = require('../models/order');
+const { validateOrderTotals } = require('./orderTotals');
+const { reserveStock, releaseStock } = require('./stock');
+const { finalizePaidOrder } = require('./orderPayments');
+const { publishOrderEvent } = require('./orderEvents');
+
+// Price a sanitized checkout from the catalog, check it against the totals the customer was
+// shown, hold stock and save the order. Shared by checkout and resumed abandoned checkouts.
+// Returns { order } or { error, status }; save errors (validation, duplicate id) are thrown.
+const placeOrder = async (orderData, { account } = {}) => {
+  // Price items from the catalog and validate order totals
+  const totals = await validateOrderTotals(orderData);
+  if (totals.error) {
+    console.warn(`Order rejected: ${totals.error}`);
+    return { error: totals.error, status: 400 };
+  }
+  orderData.items = totals.items;
+  orderData.tax = totals.tax;
+
+  // Validate shipping cost against the applied coupon
+  if (orderData.shippingMethod.cost !== totals.shippingCost) {
+    console.warn(`Invalid shipping cost: received ${orderData.shippingMethod.cost}, expected ${totals.shippingCost}`, {
+      couponCode: orderData.coupon.code,
+    });
+    return {
+      error: `Invalid shipping cost: expected ₹${totals.shippingCost}, received ₹${orderData.shippingMethod.cost}`,
+      status: 400,
+    };
+  }
+  orderData.coupon = {
+    code: totals.coupon ? totals.coupon.code : '',
+    type: totals.coupon ? totals.coupon.type : '',
+    discount: totals.couponDiscount,
+  };
+
+  // Validate total
+  if (Math.abs(totals.calculatedTotal - orderData.total) > 0.01) {
+    console.warn(`Total mismatch: received ${orderData.total}, calculated ${totals.calculatedTotal}`, {
+      subtotal: totals.subtotal,
+      shippingCost: totals.shippingCost,
+      couponDiscount: totals.couponDiscount,
+      items: orderData.items,
+    });
+    return {
+      error: `Invalid total: expected ₹${totals.calculatedTotal}, received ₹${orderData.total}`,
+      status: 400,
+    };
+  }
+
+  // Generate unique order ID
+  const orderId = `ORDER-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  // Set initial payment status
+  const initialPaymentStatus = orderData.paymentMethod === 'COD' ? 'Success' : 'Pending';
+
+  const order = new Order({
+    ...orderData,
+    userId: account ? account._id : undefined,
+    orderId,
+    paymentStatus: initialPaymentStatus,
+    emailSent: false,
+    createdAt: new Date(),
+  });
+
+  // Hold stock before the order exists so it cannot be oversold
+  const reservation = await reserveStock(order);
+  if (reservation.error) {
+    return { error: reservation.error, status: 409 };
+  }
+
+  try {
+    await order.save();
+  } catch (saveError) {
+    await releaseStock(orderId, 'Order not saved');
+    throw saveError;
+  }
+  console.log(`${orderData.paymentMethod} order created: ${orderId}`, {
+    customerEmail: order.customer.email.replace(/(.{2}).*@/, '$1***@'),
+    subtotal: totals.subtotal,
+    shippingCost: totals.shippingCost,
+    couponDiscount: totals.couponDiscount,
+    total: orderData.total,
+    paymentStatus: initialPaymentStatus,
+  });
+
+  // COD orders are final at creation
+  if (orderData.paymentMethod === 'COD') {
+    await finalizePaidOrder(order);
+  }
+
+  await publishOrderEvent('order.created', order);
+  return { order };
+};
+
+module.exports = { placeOrder };
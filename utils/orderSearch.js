@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { FULFILLMENT_TRANSITIONS } = require('./fulfillment');
+const { PAYMENT_METHODS } = require('./payments');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  total_desc: { field: 'total', direction: -1 },
+  total_asc: { field: 'total', direction: 1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plain dates are calendar days in IST, regardless of the server timezone.
+// Returns null for an invalid date.
+const parseIstDate = (value, { endOfDay = false } = {}) => {
+  const text = String(value).trim();
+  if (DATE_ONLY_REGEX.test(text)) {
+    const start = new Date(`${text}T00:00:00+05:30`);
+    if (isNaN(start)) return null;
+    return endOfDay ? new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1) : start;
+  }
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+const str = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Build a MongoDB filter from admin search parameters; returns { query } or { error }.
+// paymentStatus defaults to Success, pass "all" to include pending and failed orders.
+const buildOrderQuery = (params = {}) => {
+  const conditions = [];
+
+  const paymentStatus = str(params.paymentStatus) || 'Success';
+  if (paymentStatus !== 'all') {
+    if (!['Pending', 'Success', 'Failed', 'Expired'].includes(paymentStatus)) {
+      return { error: 'paymentStatus must be one of: Pending, Success, Failed, Expired, all' };
+    }
+    conditions.push({ paymentStatus });
+  }
+
+  const paymentMethod = str(params.paymentMethod);
+  if (paymentMethod) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return { error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+    conditions.push({ paymentMethod });
+  }
+
+  const fulfillmentStatus = str(params.fulfillmentStatus);
+  if (fulfillmentStatus) {
+    if (!Object.keys(FULFILLMENT_TRANSITIONS).includes(fulfillmentStatus)) {
+      return { error: `fulfillmentStatus must be one of: ${Object.keys(FULFILLMENT_TRANSITIONS).join(', ')}` };
+    }
+    conditions.push(
+      fulfillmentStatus === 'Processing'
+        ? { fulfillmentStatus: { $in: ['Processing', null] } }
+        : { fulfillmentStatus }
+    );
+  }
+
+  // A single day (the old `date` parameter) or a from/to range
+  const from = str(params.from || params.date);
+  const to = str(params.to || params.date);
+  if (from || to) {
+    const createdAt = {};
+    if (from) {
+      const start = parseIstDate(from);
+      if (!start) return { error: 'Invalid from date' };
+      createdAt.$gte = start;
+    }
+    if (to) {
+      const end = parseIstDate(to, { endOfDay: true });
+      if (!end) return { error: 'Invalid to date' };
+      createdAt.$lte = end;
+    }
+    conditions.push({ createdAt });
+  }
+
+  const email = str(params.email).toLowerCase();
+  if (email) conditions.push({ 'customer.email': email });
+
+  const phone = str(params.phone);
+  if (phone) {
+    if (!/^[0-9]{10}$/.test(phone)) return { error: 'phone must be 10 digits' };
+    conditions.push({ 'customer.phone': phone });
+  }
+
+  const pincode = str(params.pincode);
+  if (pincode) {
+    if (!/^[0-9]{6}$/.test(pincode)) return { error: 'pincode must be 6 digits' };
+    conditions.push({ 'shippingAddress.pincode': pincode });
+  }
+
+  const state = str(params.state);
+  if (state) {
+    conditions.push({ 'shippingAddress.state': { $regex: `^${escapeRegex(state)}$`, $options: 'i' } });
+  }
+
+  const minTotal = str(params.minTotal);
+  const maxTotal = str(params.maxTotal);
+  if (minTotal || maxTotal) {
+    const total = {};
+    if (minTotal) {
+      if (isNaN(Number(minTotal))) return { error: 'minTotal must be a number' };
+      total.$gte = Number(minTotal);
+    }
+    if (maxTotal) {
+      if (isNaN(Number(maxTotal))) return { error: 'maxTotal must be a number' };
+      total.$lte = Number(maxTotal);
+    }
+    conditions.push({ total });
+  }
+
+  const coupon = str(params.coupon).toUpperCase();
+  if (coupon) conditions.push({ 'coupon.code': coupon });
+
+  // Free text: every word must match the order id or the customer's first or last name
+  const text = str(params.q || params.orderId);
+  if (text) {
+    const terms = text.split(/\s+/).slice(0, 5);
+    for (const term of terms) {
+      const pattern = { $regex: escapeRegex(term), $options: 'i' };
+      conditions.push({
+        $or: [{ orderId: pattern }, { 'customer.firstName': pattern }, { 'customer.lastName': pattern }],
+      });
+    }
+  }
+
+  return { query: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+const encodeCursor = (order, sort) =>
+  Buffer.from(JSON.stringify({ v: order[sort.field], id: order._id.toString() })).toString('base64url');
+
+// Keyset condition for the page after the cursor; _id breaks ties between equal sort values
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const value = sort.field === 'createdAt' ? new Date(v) : Number(v);
+    if (sort.field === 'createdAt' ? isNaN(value) : !Number.isFinite(value)) return null;
+
+    const op = sort.direction === -1 ? '$lt' : '$gt';
+    const _id = new mongoose.Types.ObjectId(id);
+    return { $or: [{ [sort.field]: { [op]: value } }, { [sort.field]: value, _id: { [op]: _id } }] };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resolve sort, limit and cursor into a find() plan; returns { filter, sort, limit } or { error }
+const buildPage = (query, params = {}) => {
+  const sortName = str(params.sort) || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let filter = query;
+  if (params.cursor) {
+    const after = decodeCursor(params.cursor, sort);
+    if (!after) return { error: 'Invalid cursor' };
+    filter = { $and: [query, after] };
+  }
+
+  return {
+    filter,
+    sort: { [sort.field]: sort.direction, _id: sort.direction },
+    limit,
+    nextCursor: (orders) => (orders.length > 0 ? encodeCursor(orders[orders.length - 1], sort) : null),
+  };
+};
+
+module.exports = { SORTS, parseIstDate, escapeRegex, buildOrderQuery, buildPage };
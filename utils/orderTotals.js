@@ -0,0 +1,53 @@
+const { priceOrderItems } = require('./catalog');
+const { applyCoupon } = require('./coupons');
+const { calculateOrderTax } = require('./gst');
+
+// Helper to calculate shipping cost based on subtotal (aligned with frontend)
+const calculateShippingCost = (subtotal) => {
+  if (subtotal >= 800) return 0;
+  if (subtotal >= 500) return 50;
+  return 80;
+};
+
+// Price items from the catalog, apply the coupon and calculate order totals and GST.
+// Shared by the order routes and the Order pre-validate hook, which skips the coupon
+// eligibility check for orders that already exist.
+const validateOrderTotals = async (orderData, { checkCouponEligibility = true } = {}) => {
+  const { items, error } = await priceOrderItems(orderData.items);
+  if (error) return { error };
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const expectedShippingCost = calculateShippingCost(subtotal);
+
+  const applied = await applyCoupon(orderData.coupon?.code, {
+    items,
+    subtotal,
+    expectedShippingCost,
+    email: orderData.customer?.email,
+  }, { checkEligibility: checkCouponEligibility });
+  if (applied.error) return { error: applied.error };
+
+  const calculatedTotal = Math.max(1, subtotal + expectedShippingCost - applied.discount);
+
+  // GST is extracted from the tax-inclusive amounts, so it never changes the total
+  const taxed = calculateOrderTax(orderData, {
+    items,
+    coupon: applied.coupon,
+    expectedShippingCost,
+    shippingCost: applied.shippingCost,
+    couponDiscount: applied.discount,
+  });
+
+  return {
+    items: taxed.items,
+    tax: taxed.tax,
+    coupon: applied.coupon,
+    subtotal,
+    shippingCost: applied.shippingCost,
+    couponDiscount: applied.discount,
+    calculatedTotal,
+    expectedShippingCost,
+  };
+};
+
+module.exports = { calculateShippingCost, validateOrderTotals };
@@ -0,0 +1,95 @@
+const Order = require('../models/order');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const { ONLINE_PAYMENT_METHODS, getGateway, getGatewayOrderId, applyGatewayStatus } = require('./payments');
+
+// Orders created within this window are checked; older unpaid orders are left to the archive
+const LOOKBACK_HOURS = parseInt(process.env.RECONCILE_LOOKBACK_HOURS, 10) || 72;
+// Skip orders the customer may still be paying for right now
+const MIN_AGE_MINUTES = 5;
+const BATCH_LIMIT = 500;
+
+// Bring one order in line with its gateway. Returns 'paid', 'failed', 'unchanged' or
+// { ambiguous } with the entry for the report.
+const reconcileOrder = async (order) => {
+  const gateway = getGateway(order.paymentMethod);
+  let status;
+  try {
+    status = await gateway.fetchStatus(order);
+  } catch (error) {
+    status = { state: 'ambiguous', reason: `Gateway lookup failed: ${gateway.errorMessage(error)}`, payments: [] };
+  }
+
+  if (status.state === 'ambiguous') {
+    return {
+      ambiguous: {
+        orderId: order.orderId,
+        paymentMethod: order.paymentMethod,
+        gatewayOrderId: getGatewayOrderId(order),
+        paymentStatus: order.paymentStatus,
+        total: order.total,
+        reason: status.reason,
+        gatewayPayments: status.payments,
+      },
+    };
+  }
+
+  const outcome = await applyGatewayStatus(order, status);
+  if (outcome === 'paid') {
+    console.log(`Reconciliation: recorded missed ${gateway.name} payment ${status.payment.id} for order ${order.orderId}`);
+  }
+  return outcome;
+};
+
+let activeRun = null;
+
+// Check unpaid online orders against their gateway. Expired orders are included so a
+// payment captured after the window closed is still picked up. Only one run at a time;
+// returns null when one is already in progress.
+const runReconciliation = async ({ trigger = 'scheduled', actor = 'system' } = {}) => {
+  if (activeRun) return null;
+
+  const run = new ReconciliationRun({ trigger, startedBy: actor });
+  activeRun = run;
+  try {
+    await run.save();
+    const now = Date.now();
+    const orders = await Order.find({
+      paymentStatus: { $in: ['Pending', 'Expired'] },
+      // Orders whose payment was never started have nothing to ask the gateway about
+      $or: ONLINE_PAYMENT_METHODS.map((method) => ({
+        paymentMethod: method,
+        [getGateway(method).gatewayOrderIdField]: { $exists: true, $ne: '' },
+      })),
+      createdAt: {
+        $gte: new Date(now - LOOKBACK_HOURS * 60 * 60 * 1000),
+        $lt: new Date(now - MIN_AGE_MINUTES * 60 * 1000),
+      },
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_LIMIT);
+
+    for (const order of orders) {
+      const outcome = await reconcileOrder(order);
+      run.checked++;
+      if (outcome.ambiguous) {
+        run.ambiguous.push(outcome.ambiguous);
+      } else {
+        run[outcome]++;
+      }
+    }
+    run.status = 'Completed';
+  } catch (error) {
+    console.error('Payment reconciliation failed:', error.message);
+    run.status = 'Failed';
+    run.error = error.message;
+  } finally {
+    run.completedAt = new Date();
+    await run.save().catch((saveError) => console.error('Failed to save reconciliation run:', saveError.message));
+    activeRun = null;
+  }
+  return run;
+};
+
+const isReconciliationRunning = () => !!activeRun;
+
+module.exports = { reconcileOrder, runReconciliation, isReconciliationRunning };
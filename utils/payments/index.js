@@ -0,0 +1,60 @@
+const { markOrderPaid, markOrderFailed } = require('../orderPayments');
+
+// Online gateways keyed by the Order.paymentMethod they handle
+const gateways = {
+  Razorpay: require('./razorpay'),
+  PhonePe: require('./phonepe'),
+};
+
+const ONLINE_PAYMENT_METHODS = Object.keys(gateways);
+const PAYMENT_METHODS = ['COD', ...ONLINE_PAYMENT_METHODS];
+
+const isOnlinePayment = (paymentMethod) => ONLINE_PAYMENT_METHODS.includes(paymentMethod);
+
+const getGateway = (paymentMethod) => {
+  const gateway = gateways[paymentMethod];
+  if (!gateway) {
+    throw new Error(`No payment gateway for ${paymentMethod}. Must be one of: ${ONLINE_PAYMENT_METHODS.join(', ')}`);
+  }
+  return gateway;
+};
+
+// The id the order is known by at its gateway, or undefined before a payment was started
+const getGatewayOrderId = (order) => {
+  if (!isOnlinePayment(order.paymentMethod)) return undefined;
+  return order[getGateway(order.paymentMethod).gatewayOrderIdField];
+};
+
+// Move an order to match a gateway status from verifyPayment or fetchStatus. Returns
+// 'paid', 'failed' or 'unchanged'; ambiguous statuses leave the order alone.
+const applyGatewayStatus = async (order, status) => {
+  const gateway = getGateway(order.paymentMethod);
+
+  if (status.state === 'captured') {
+    const paidOrder = await markOrderPaid(order, { ...status.fields, [gateway.paymentIdField]: status.payment.id });
+    return paidOrder ? 'paid' : 'unchanged';
+  }
+  if (status.state === 'failed') {
+    // Expired orders stay Expired; only Pending ones move to Failed
+    const failedOrder = await markOrderFailed(order, status.reason);
+    return failedOrder ? 'failed' : 'unchanged';
+  }
+  return 'unchanged';
+};
+
+// Ask the order's gateway for its payment status and apply it
+const syncPaymentStatus = async (order) => {
+  const status = await getGateway(order.paymentMethod).fetchStatus(order);
+  const outcome = await applyGatewayStatus(order, status);
+  return { status, outcome };
+};
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  PAYMENT_METHODS,
+  isOnlinePayment,
+  getGateway,
+  getGatewayOrderId,
+  applyGatewayStatus,
+  syncPaymentStatus,
+};
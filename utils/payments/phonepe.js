@@ -0,0 +1,130 @@
+// PhonePe Standard Checkout adapter, same interface as ./razorpay.js. The customer is sent to
+// PhonePe's hosted page and comes back through GET /api/orders/:orderId/payment-return;
+// PhonePe also calls POST /api/webhooks/phonepe server to server.
+const { StandardCheckoutPayRequest, RefundRequest, MetaInfo } = require('pg-sdk-node');
+const { getPhonePeClient } = require('../../config/phonepe');
+const { paymentAmount } = require('../orderPayments');
+const { RESERVATION_MINUTES } = require('../stock');
+
+const name = 'PhonePe';
+const gatewayOrderIdField = 'phonepeMerchantOrderId';
+const paymentIdField = 'phonepeTransactionId';
+
+// PhonePe accepts expiries between 5 minutes and an hour
+const MIN_EXPIRY_SECONDS = 300;
+
+const REFUND_STATUS_MAP = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Pending',
+  COMPLETED: 'Processed',
+  FAILED: 'Failed',
+};
+
+// A merchant order id can only be paid once, so each attempt gets its own. The order id
+// travels in udf1 to match callbacks for an earlier attempt.
+const createPayment = async (order) => {
+  const merchantOrderId = `${order.orderId}-${Date.now().toString(36)}`;
+  const remainingSeconds = Math.floor((order.createdAt.getTime() + RESERVATION_MINUTES * 60 * 1000 - Date.now()) / 1000);
+  const redirectUrl = `${process.env.BACKEND_URL}/api/orders/${encodeURIComponent(order.orderId)}/payment-return`;
+
+  const request = StandardCheckoutPayRequest.builder()
+    .merchantOrderId(merchantOrderId)
+    .amount(paymentAmount(order))
+    .redirectUrl(redirectUrl)
+    .expireAfter(Math.max(MIN_EXPIRY_SECONDS, remainingSeconds))
+    .metaInfo(MetaInfo.builder().udf1(order.orderId).build())
+    .build();
+  const response = await getPhonePeClient().pay(request);
+  if (!response.redirectUrl) {
+    throw new Error('PhonePe returned no checkout URL');
+  }
+
+  return {
+    fields: { phonepeMerchantOrderId: merchantOrderId, phonepeOrderId: response.orderId },
+    response: {
+      orderId: order.orderId,
+      phonepeOrderId: response.orderId,
+      redirectUrl: response.redirectUrl,
+      expireAt: response.expireAt,
+    },
+  };
+};
+
+// Checks the latest payment attempt unless a callback names an earlier one
+const fetchStatus = async (order, merchantOrderId = order.phonepeMerchantOrderId) => {
+  const response = await getPhonePeClient().getOrderStatus(merchantOrderId, true);
+  const details = response.paymentDetails || [];
+  const payments = details.map((d) => ({ id: d.transactionId, status: d.state, amount: d.amount }));
+  const fields = { phonepeMerchantOrderId: merchantOrderId, phonepeOrderId: response.orderId };
+  const expected = paymentAmount(order);
+
+  if (response.state === 'COMPLETED') {
+    const completed = details.find((d) => d.state === 'COMPLETED');
+    if (!completed) {
+      return { state: 'ambiguous', reason: 'Order completed without a completed transaction', payments };
+    }
+    if (response.amount !== expected) {
+      return { state: 'ambiguous', reason: `Paid ${response.amount} paise but the order total is ${expected} paise`, payments };
+    }
+    return { state: 'captured', payment: { id: completed.transactionId, amount: response.amount }, fields, payments };
+  }
+  if (response.state === 'FAILED') {
+    return { state: 'failed', reason: response.detailedErrorCode || response.errorCode || 'Payment failed', payments };
+  }
+  // Failed attempts on a still-pending order can be retried from the checkout page
+  if (details.some((d) => d.state === 'PENDING')) {
+    return { state: 'ambiguous', reason: 'Payment attempt still in progress at the gateway', payments };
+  }
+  return { state: 'none', payments };
+};
+
+// PhonePe redirects the customer without any proof of payment, so ask the gateway
+const verifyPayment = (order) => fetchStatus(order);
+
+// The refund record id doubles as PhonePe's merchantRefundId, which callbacks refer back to
+const refund = async (order, { amount, refundRecordId }) => {
+  const request = RefundRequest.builder()
+    .merchantRefundId(refundRecordId)
+    .originalMerchantOrderId(order.phonepeMerchantOrderId)
+    .amount(Math.round(amount * 100))
+    .build();
+  const response = await getPhonePeClient().refund(request);
+  return {
+    fields: { phonepeRefundId: response.refundId },
+    status: REFUND_STATUS_MAP[response.state] || 'Pending',
+  };
+};
+
+// Check the Authorization header PhonePe sends (SHA-256 of the dashboard username:password)
+// and parse the body. Returns null when the callback cannot be trusted.
+const parseCallback = (authorization, rawBody) => {
+  if (!authorization || !rawBody) {
+    return null;
+  }
+  try {
+    return getPhonePeClient().validateCallback(
+      process.env.PHONEPE_CALLBACK_USERNAME,
+      process.env.PHONEPE_CALLBACK_PASSWORD,
+      String(authorization),
+      rawBody.toString()
+    );
+  } catch (error) {
+    console.warn('Invalid PhonePe callback:', error.message);
+    return null;
+  }
+};
+
+const errorMessage = (error) => error.message;
+
+module.exports = {
+  name,
+  gatewayOrderIdField,
+  paymentIdField,
+  REFUND_STATUS_MAP,
+  createPayment,
+  verifyPayment,
+  fetchStatus,
+  refund,
+  parseCallback,
+  errorMessage,
+};
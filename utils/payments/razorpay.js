@@ -0,0 +1,136 @@
+// Razorpay adapter. Every gateway exposes the same interface:
+//   createPayment(order)        start a payment; returns { fields, response }
+//   verifyPayment(order, body)  check what the browser sent back after checkout
+//   fetchStatus(order)          ask the gateway what happened to the order's payments
+//   refund(order, refund)       refund part or all of a captured payment
+// verifyPayment and fetchStatus resolve to a status: { state, payment, fields, reason, payments }
+// with state one of captured, failed, none or ambiguous. Order state changes are left to
+// utils/payments/index.js, so every gateway moves orders through the same transitions.
+const crypto = require('crypto');
+const razorpay = require('../../config/razorpay');
+const { paymentAmount } = require('../orderPayments');
+
+const name = 'Razorpay';
+const gatewayOrderIdField = 'razorpayOrderId';
+const paymentIdField = 'razorpayPaymentId';
+
+const createPayment = async (order) => {
+  const razorpayOrder = await razorpay.orders.create({
+    amount: paymentAmount(order),
+    currency: 'INR',
+    receipt: order.orderId,
+    notes: {
+      orderId: order.orderId,
+      customerEmail: order.customer.email,
+      customerName: `${order.customer.firstName} ${order.customer.lastName}`,
+    },
+  });
+  if (!razorpayOrder.id) {
+    throw new Error('Razorpay returned an order without an id');
+  }
+
+  return {
+    fields: { razorpayOrderId: razorpayOrder.id },
+    response: {
+      razorpayOrderId: razorpayOrder.id,
+      keyId: process.env.RAZORPAY_KEY_ID,
+      orderData: {
+        orderId: order.orderId,
+        amount: order.total,
+        customer: {
+          name: `${order.customer.firstName} ${order.customer.lastName}`,
+          email: order.customer.email,
+          contact: order.customer.phone,
+        },
+      },
+    },
+  };
+};
+
+// Checkout hands the browser a signature over the order and payment ids
+const verifyPayment = async (order, { razorpay_payment_id, razorpay_order_id, razorpay_signature }) => {
+  if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+    return { error: 'Missing required fields for payment verification', status: 400 };
+  }
+
+  const generatedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+    .digest('hex');
+  const expected = Buffer.from(generatedSignature);
+  const received = Buffer.from(String(razorpay_signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    console.warn(`Invalid Razorpay signature for orderId: ${order.orderId}`);
+    return { error: 'Invalid payment signature', status: 400 };
+  }
+
+  if (order.razorpayOrderId !== razorpay_order_id) {
+    console.warn(`Razorpay order ID mismatch for orderId: ${order.orderId}`, {
+      stored: order.razorpayOrderId,
+      received: razorpay_order_id,
+    });
+    return { error: 'Razorpay order ID mismatch', status: 400 };
+  }
+
+  return { state: 'captured', payment: { id: razorpay_payment_id } };
+};
+
+const fetchStatus = async (order) => {
+  const { items = [] } = await razorpay.orders.fetchPayments(order.razorpayOrderId);
+  const payments = items.map((p) => ({ id: p.id, status: p.status, amount: p.amount }));
+  const expected = paymentAmount(order);
+
+  const captured = items.filter((p) => p.status === 'captured');
+  const fullCapture = captured.find((p) => p.amount === expected);
+  if (fullCapture) {
+    return { state: 'captured', payment: { id: fullCapture.id, amount: fullCapture.amount }, payments };
+  }
+  if (captured.length > 0) {
+    return {
+      state: 'ambiguous',
+      reason: `Captured ${captured[0].amount} paise but the order total is ${expected} paise`,
+      payments,
+    };
+  }
+  if (items.some((p) => p.status === 'refunded')) {
+    return { state: 'ambiguous', reason: 'A payment was captured and has since been refunded', payments };
+  }
+  if (items.some((p) => p.status === 'authorized')) {
+    return { state: 'ambiguous', reason: 'Payment authorized but not captured', payments };
+  }
+  if (items.some((p) => p.status === 'created')) {
+    return { state: 'ambiguous', reason: 'Payment attempt still in progress at the gateway', payments };
+  }
+  if (items.length > 0) {
+    const latest = items.reduce((a, b) => (b.created_at > a.created_at ? b : a));
+    return { state: 'failed', reason: latest.error_description || latest.error_code || 'Payment failed', payments };
+  }
+  return { state: 'none', payments };
+};
+
+// Refund status changes arrive later through the Razorpay webhook
+const refund = async (order, { amount, refundRecordId, reason }) => {
+  const razorpayRefund = await razorpay.payments.refund(order.razorpayPaymentId, {
+    amount: Math.round(amount * 100),
+    speed: 'normal',
+    notes: { orderId: order.orderId, refundRecordId, reason },
+  });
+  return {
+    fields: { razorpayRefundId: razorpayRefund.id },
+    status: razorpayRefund.status === 'processed' ? 'Processed' : 'Pending',
+  };
+};
+
+// Readable message from a Razorpay SDK error
+const errorMessage = (error) => error.error?.description || error.message;
+
+module.exports = {
+  name,
+  gatewayOrderIdField,
+  paymentIdField,
+  createPayment,
+  verifyPayment,
+  fetchStatus,
+  refund,
+  errorMessage,
+};
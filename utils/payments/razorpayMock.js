@@ -0,0 +1,214 @@
+// Offline stand-in for the Razorpay SDK client, used when RAZORPAY_MODE=mock. It implements
+// the calls this app makes (orders.create, orders.fetchPayments, payments.refund), keeps state
+// in memory, signs checkout responses with RAZORPAY_KEY_SECRET exactly as Razorpay does, and
+// delivers signed webhooks to our own /api/webhooks/razorpay.
+// Payments are made through /api/mock-gateway; see routes/mockGateway.js.
+const crypto = require('crypto');
+
+const OUTCOMES = ['success', 'failure', 'delayed', 'duplicate'];
+const DEFAULT_CAPTURE_DELAY_MS = parseInt(process.env.MOCK_CAPTURE_DELAY_MS, 10) || 60 * 1000;
+// Webhooks go out shortly after the checkout response, as they do from Razorpay
+const WEBHOOK_DELAY_MS = parseInt(process.env.MOCK_WEBHOOK_DELAY_MS, 10) || 500;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const orders = new Map();
+const payments = new Map();
+
+const mockId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const webhookUrl = () => process.env.MOCK_WEBHOOK_URL || `${process.env.BACKEND_URL}/api/webhooks/razorpay`;
+
+// POST a Razorpay-shaped event to the webhook route. Never throws; a failed delivery is logged,
+// like a webhook Razorpay gave up on.
+const sendWebhook = async (event, payload, eventId = mockId('evt')) => {
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_mock',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now(),
+  });
+  try {
+    const response = await fetch(webhookUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': sign(process.env.RAZORPAY_WEBHOOK_SECRET, body),
+        'X-Razorpay-Event-Id': eventId,
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    console.log(`[mock razorpay] Webhook ${event} (${eventId}) delivered: ${response.status}`);
+  } catch (error) {
+    console.error(`[mock razorpay] Webhook ${event} (${eventId}) could not be delivered:`, error.message);
+  }
+};
+
+const scheduleWebhook = (delayMs, event, payload, eventId) => {
+  setTimeout(() => sendWebhook(event, payload, eventId), delayMs).unref();
+};
+
+const paymentPayload = (payment) => ({ payment: { entity: { ...payment } } });
+
+// Razorpay SDK errors carry the API error under `error`
+const apiError = (statusCode, description) =>
+  Object.assign(new Error(description), { statusCode, error: { code: 'BAD_REQUEST_ERROR', description } });
+
+const client = {
+  orders: {
+    create: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+      if (!Number.isInteger(amount) || amount < 100) {
+        throw apiError(400, 'The amount must be atleast INR 1.00');
+      }
+      const order = {
+        id: mockId('order'),
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        notes,
+        status: 'created',
+        attempts: 0,
+        created_at: now(),
+      };
+      orders.set(order.id, order);
+      console.log(`[mock razorpay] Order ${order.id} created for ${receipt}: ${amount} paise`);
+      return { ...order };
+    },
+    fetchPayments: async (orderId) => {
+      if (!orderId) {
+        throw new Error('`order_id` is mandatory');
+      }
+      const items = [...payments.values()].filter((p) => p.order_id === orderId).map((p) => ({ ...p }));
+      return { entity: 'collection', count: items.length, items };
+    },
+  },
+  payments: {
+    // Refunds are processed at once; the refund.processed webhook follows
+    refund: async (paymentId, { amount, notes = {} } = {}) => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== 'captured') {
+        throw apiError(400, 'The payment has not been captured');
+      }
+      const refundAmount = amount || payment.amount;
+      if (payment.amount_refunded + refundAmount > payment.amount) {
+        throw apiError(400, 'The refund amount provided is greater than amount captured');
+      }
+      payment.amount_refunded += refundAmount;
+      const refund = {
+        id: mockId('rfnd'),
+        entity: 'refund',
+        amount: refundAmount,
+        currency: payment.currency,
+        payment_id: paymentId,
+        notes,
+        status: 'processed',
+        created_at: now(),
+      };
+      scheduleWebhook(WEBHOOK_DELAY_MS, 'refund.processed', { refund: { entity: refund }, ...paymentPayload(payment) });
+      return { ...refund };
+    },
+  },
+};
+
+const capture = (payment, order) => {
+  payment.status = 'captured';
+  payment.captured = true;
+  order.status = 'paid';
+  order.amount_paid = payment.amount;
+  order.amount_due = 0;
+};
+
+// Pay a mock order with a forced outcome:
+//   success    captured; the browser gets a signed checkout response and a webhook follows
+//   failure    the attempt fails; the browser gets Razorpay's error object and payment.failed
+//   delayed    authorized only, as if the browser was closed; captured after delayMs
+//   duplicate  like success, but the webhook is delivered twice with the same event id
+// Returns { outcome, checkout | error | payment } or { error, status } for a bad request.
+const pay = (razorpayOrderId, { outcome = 'success', delayMs = DEFAULT_CAPTURE_DELAY_MS, method = 'upi' } = {}) => {
+  if (!OUTCOMES.includes(outcome)) {
+    return { error: `outcome must be one of: ${OUTCOMES.join(', ')}`, status: 400 };
+  }
+  const order = orders.get(razorpayOrderId);
+  if (!order) {
+    return { error: 'Mock order not found; mock orders live in memory and are lost on restart', status: 404 };
+  }
+  if (order.status === 'paid') {
+    return { error: 'Order is already paid', status: 400 };
+  }
+
+  order.attempts++;
+  order.status = 'attempted';
+  const payment = {
+    id: mockId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: 'created',
+    order_id: order.id,
+    method,
+    amount_refunded: 0,
+    captured: false,
+    email: order.notes.customerEmail,
+    notes: order.notes,
+    error_code: null,
+    error_description: null,
+    created_at: now(),
+  };
+  payments.set(payment.id, payment);
+
+  if (outcome === 'failure') {
+    payment.status = 'failed';
+    payment.error_code = 'BAD_REQUEST_ERROR';
+    payment.error_description = 'Payment failed (mock)';
+    scheduleWebhook(WEBHOOK_DELAY_MS, 'payment.failed', paymentPayload(payment));
+    return {
+      outcome,
+      error: {
+        code: payment.error_code,
+        description: payment.error_description,
+        metadata: { order_id: order.id, payment_id: payment.id },
+      },
+    };
+  }
+
+  if (outcome === 'delayed') {
+    payment.status = 'authorized';
+    setTimeout(() => {
+      capture(payment, order);
+      sendWebhook('payment.captured', paymentPayload(payment));
+    }, delayMs).unref();
+    return { outcome, payment: { id: payment.id, status: payment.status }, captureAt: new Date(Date.now() + delayMs) };
+  }
+
+  capture(payment, order);
+  const eventId = mockId('evt');
+  scheduleWebhook(WEBHOOK_DELAY_MS, 'payment.captured', paymentPayload(payment), eventId);
+  if (outcome === 'duplicate') {
+    scheduleWebhook(WEBHOOK_DELAY_MS * 2, 'payment.captured', paymentPayload(payment), eventId);
+  }
+
+  return {
+    outcome,
+    checkout: {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: sign(process.env.RAZORPAY_KEY_SECRET, `${order.id}|${payment.id}`),
+    },
+  };
+};
+
+const getMockOrder = (razorpayOrderId) => {
+  const order = orders.get(razorpayOrderId);
+  if (!order) return null;
+  return { ...order, payments: [...payments.values()].filter((p) => p.order_id === order.id) };
+};
+
+module.exports = { client, pay, getMockOrder, sendWebhook, OUTCOMES };
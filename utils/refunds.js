@@ -0,0 +1,180 @@
+const Order = require('../models/order');
+const { getGateway } = require('./payments');
+const { renderTemplate } = require('./emailTemplates');
+const { queueEmail } = require('./emailOutbox');
+const { publishOrderEvent } = require('./orderEvents');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Sum of non-failed refunds, evaluated inside MongoDB so the limit check is atomic
+const REFUNDED_SUM_EXPR = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: { input: { $ifNull: ['$refunds', []] }, cond: { $ne: ['$$this.status', 'Failed'] } },
+      },
+      in: '$$this.amount',
+    },
+  },
+};
+
+// Price an item-level refund from what was actually paid for each line, i.e. after the line's
+// share of the coupon discount, capped at what has not been refunded yet. The last units of a
+// line get whatever is left of it, so per-unit rounding never adds up to more than was paid.
+const priceRefundItems = (order, requestedItems) => {
+  const alreadyRefunded = new Map();
+  const addRefunded = (key, quantity, amount) => {
+    const previous = alreadyRefunded.get(key) || { quantity: 0, amount: 0 };
+    alreadyRefunded.set(key, { quantity: previous.quantity + quantity, amount: roundCurrency(previous.amount + amount) });
+  };
+  for (const refund of order.refunds.filter((r) => r.status !== 'Failed')) {
+    for (const item of refund.items) {
+      addRefunded(`${item.productId}|${item.variant || ''}`, item.quantity, item.amount);
+    }
+  }
+
+  const items = [];
+  for (const requested of requestedItems) {
+    const key = `${requested.productId}|${requested.variant || ''}`;
+    const line = order.items.find((item) => `${item.productId}|${item.variant || ''}` === key);
+    if (!line) {
+      return { error: `Item ${requested.productId} is not part of this order` };
+    }
+    const refunded = alreadyRefunded.get(key) || { quantity: 0, amount: 0 };
+    const refundable = line.quantity - refunded.quantity;
+    if (requested.quantity > refundable) {
+      return { error: `Only ${refundable} unit(s) of ${line.name} can still be refunded` };
+    }
+
+    const linePaid = roundCurrency(Math.max(0, line.price * line.quantity - (line.discount || 0)));
+    const amount = requested.quantity === refundable
+      ? roundCurrency(Math.max(0, linePaid - refunded.amount))
+      : roundCurrency((linePaid * requested.quantity) / line.quantity);
+    addRefunded(key, requested.quantity, amount);
+    items.push({
+      productId: line.productId,
+      variant: line.variant || '',
+      quantity: requested.quantity,
+      amount,
+    });
+  }
+
+  return { items, amount: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0)) };
+};
+
+const sendRefundEmail = async (order, refund) => {
+  try {
+    await queueEmail({
+      kind: 'refund',
+      to: order.customer.email,
+      ...renderTemplate('refund', { order, refund }),
+      orderId: order.orderId,
+    });
+  } catch (emailError) {
+    console.error(`Failed to queue refund email for order ${order.orderId}:`, emailError.message);
+  }
+};
+
+// Refund a paid order in full or in part. Online orders are refunded through their gateway;
+// COD orders are recorded as manual refunds with the bank/UPI reference.
+// Returns { order, refund } or { error, status }.
+const createRefund = async (order, { amount, items, reason, manualMode, reference, actor }) => {
+  if (order.paymentStatus !== 'Success') {
+    return { error: 'Only paid orders can be refunded', status: 400 };
+  }
+
+  const method = order.paymentMethod === 'COD' ? 'Manual' : order.paymentMethod;
+  const gateway = method === 'Manual' ? null : getGateway(method);
+  if (gateway && !order[gateway.paymentIdField]) {
+    return { error: `Order has no ${gateway.name} payment to refund`, status: 400 };
+  }
+  if (method === 'Manual' && (!manualMode || !reference)) {
+    return { error: 'Refund mode and bank/UPI reference are required for COD refunds', status: 400 };
+  }
+
+  let refundItems = [];
+  let refundAmount = amount;
+  if (items && items.length > 0) {
+    const priced = priceRefundItems(order, items);
+    if (priced.error) return { error: priced.error, status: 400 };
+    refundItems = priced.items;
+    refundAmount = priced.amount;
+  } else if (refundAmount === undefined) {
+    refundAmount = roundCurrency(order.total - order.refundedAmount);
+  }
+
+  if (!(refundAmount > 0)) {
+    return { error: 'Nothing left to refund on this order', status: 400 };
+  }
+
+  const now = new Date();
+  const record = {
+    method,
+    amount: refundAmount,
+    reason,
+    status: method === 'Manual' ? 'Processed' : 'Pending',
+    items: refundItems,
+    manualMode: method === 'Manual' ? manualMode : undefined,
+    reference: method === 'Manual' ? reference : undefined,
+    refundedBy: actor,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // Record the refund first, only if it keeps total refunds within the order total
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [REFUNDED_SUM_EXPR, refundAmount] }, { $add: ['$total', 0.001] }] },
+    },
+    { $push: { refunds: record } },
+    { new: true }
+  );
+  if (!updated) {
+    const remaining = roundCurrency(order.total - order.refundedAmount);
+    return { error: `Refund exceeds the refundable amount of ₹${Math.max(0, remaining)}`, status: 400 };
+  }
+
+  let refund = updated.refunds[updated.refunds.length - 1];
+
+  if (gateway) {
+    try {
+      const gatewayRefund = await gateway.refund(order, {
+        amount: refundAmount,
+        refundRecordId: refund._id.toString(),
+        reason,
+      });
+      const set = { 'refunds.$.status': gatewayRefund.status, 'refunds.$.updatedAt': new Date() };
+      for (const [field, value] of Object.entries(gatewayRefund.fields)) {
+        set[`refunds.$.${field}`] = value;
+        refund[field] = value;
+      }
+      await Order.updateOne({ _id: order._id, 'refunds._id': refund._id }, { $set: set });
+      refund.status = gatewayRefund.status;
+    } catch (gatewayError) {
+      const message = gateway.errorMessage(gatewayError);
+      console.error(`${gateway.name} refund failed for order ${order.orderId}:`, message);
+      await Order.updateOne(
+        { _id: order._id, 'refunds._id': refund._id },
+        { $set: { 'refunds.$.status': 'Failed', 'refunds.$.error': message, 'refunds.$.updatedAt': new Date() } }
+      );
+      return { error: `${gateway.name} refund failed: ${message}`, status: 502 };
+    }
+  }
+
+  const refreshed = await Order.findById(order._id);
+  refund = refreshed.refunds.id(refund._id);
+  console.log(`Refund of ₹${refundAmount} created for order ${order.orderId}`, {
+    method,
+    razorpayRefundId: refund.razorpayRefundId,
+    phonepeRefundId: refund.phonepeRefundId,
+    status: refund.status,
+    actor,
+  });
+
+  await sendRefundEmail(refreshed, refund);
+  await publishOrderEvent('order.updated', refreshed, { refundedAmount: refreshed.refundedAmount });
+  return { order: refreshed, refund };
+};
+
+module.exports = { priceRefundItems, createRefund };
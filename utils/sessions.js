@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; revocation takes effect on the next request since every
+// authenticated request also checks the session
+const ACCESS_TOKEN_EXPIRY = '15m';
+const REFRESH_TTL_MS = {
+  admin: 7 * 24 * 60 * 60 * 1000,
+  customer: 30 * 24 * 60 * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, session) => {
+  const isAdmin = session.type === 'admin';
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      isAdmin,
+      type: session.type,
+      sid: session._id.toString(),
+      ...(isAdmin && { role: user.getAdminRole(), permissions: user.getPermissions() }),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+};
+
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: String(req.headers['user-agent'] || '').slice(0, 500),
+});
+
+// Start a new token family for a user after login or registration
+const createSession = async (user, req) => {
+  const type = user.isAdmin ? 'admin' : 'customer';
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS[type]),
+    ...requestMeta(req),
+  });
+
+  return { accessToken: signAccessToken(user, session), refreshToken, session };
+};
+
+// End open order-update streams that belong to revoked sessions
+const closeStreams = (matches) => {
+  if (!global.clients) return;
+  for (const client of global.clients) {
+    if (matches(client)) {
+      client.res.end();
+      global.clients.delete(client);
+    }
+  }
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  closeStreams((client) => client.sid === String(sessionId));
+  return result.modifiedCount > 0;
+};
+
+const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  closeStreams((client) => client.userId === String(userId));
+  return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Returns { accessToken, refreshToken, user } or { error, status }.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: now, ...requestMeta(req) },
+      $push: { usedTokenHashes: tokenHash },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already rotated is being replayed: kill the whole family
+    const reused = await Session.findOneAndUpdate(
+      { usedTokenHashes: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'Refresh token reuse' } }
+    );
+    if (reused) {
+      closeStreams((client) => client.sid === String(reused._id));
+      console.warn(`Refresh token reuse detected for user ${reused.userId}, session ${reused._id} revoked`, {
+        ip: req.ip,
+      });
+    }
+    return { error: 'Invalid or expired refresh token', status: 401 };
+  }
+
+  const user = await User.findById(session.userId);
+  // Admin rights removed since login: the admin session must not be renewed
+  if (!user || (session.type === 'admin' && !user.isAdmin)) {
+    await revokeSession(session._id, 'Account no longer eligible');
+    return { error: 'Invalid or expired refresh token', status: 401 };
+  }
+
+  return { accessToken: signAccessToken(user, session), refreshToken: nextToken, user };
+};
+
+const revokeRefreshToken = async (refreshToken, reason) => {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) return false;
+  return revokeSession(session._id, reason);
+};
+
+// Used by the auth middleware on every request; tokens without a session id predate sessions
+const isSessionActive = async (sid) => {
+  if (!sid || !/^[0-9a-fA-F]{24}$/.test(sid)) return false;
+  return !!(await Session.exists({ _id: sid, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeRefreshToken,
+  isSessionActive,
+};
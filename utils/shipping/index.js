@@ -0,0 +1,197 @@
+const Order = require('../../models/order');
+const { findProducts } = require('../catalog');
+const { transitionFulfillment } = require('../fulfillment');
+const { publishOrderEvent } = require('../orderEvents');
+
+const providers = {
+  shiprocket: require('./shiprocket'),
+  stub: require('./stub'),
+};
+
+// Fallbacks when the catalog has no weight for a product
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+const DEFAULT_DIMENSIONS_CM = { length: 20, breadth: 15, height: 10 };
+
+// Orders whose shipment failed are left out of batches for this long, so they do not keep
+// taking the places of orders that have not been tried yet
+const FAILED_SHIPMENT_RETRY_MS = 60 * 60 * 1000;
+
+// Happy path the courier moves an order along
+const FORWARD_PATH = ['Processing', 'Packed', 'Shipped', 'Out for Delivery', 'Delivered'];
+
+// The stub only creates fake shipments, so production has to name a provider explicitly.
+// Throws when SHIPPING_PROVIDER is unset in production.
+const defaultProviderName = () => {
+  if (process.env.SHIPPING_PROVIDER) return process.env.SHIPPING_PROVIDER;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SHIPPING_PROVIDER must be set in production');
+  }
+  return 'stub';
+};
+
+const getShippingProvider = (name = defaultProviderName()) => {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown shipping provider: ${name}. Must be one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+};
+
+// Provider-neutral shipment payload built from an order
+const buildShipmentRequest = async (order) => {
+  const products = await findProducts(order.items.map((item) => item.productId));
+
+  let weightGrams = 0;
+  const items = order.items.map((item) => {
+    const product = products.get(item.productId);
+    const variant = product?.variants.find((v) => v.name === item.variant);
+    weightGrams += (variant?.weight || product?.weight || DEFAULT_ITEM_WEIGHT_GRAMS) * item.quantity;
+    return {
+      name: item.variant ? `${item.name} - ${item.variant}` : item.name,
+      sku: variant?.sku || product?.sku || item.productId,
+      hsnCode: product?.hsnCode,
+      quantity: item.quantity,
+      price: item.price,
+    };
+  });
+
+  return {
+    orderId: order.orderId,
+    orderDate: order.createdAt.toISOString().slice(0, 16).replace('T', ' '),
+    customer: order.customer,
+    address: order.shippingAddress,
+    items,
+    paymentMethod: order.paymentMethod === 'COD' ? 'COD' : 'Prepaid',
+    subTotal: order.total,
+    weightKg: Math.max(0.1, Math.round(weightGrams / 10) / 100),
+    dimensions: DEFAULT_DIMENSIONS_CM,
+  };
+};
+
+const saveShipment = (order, fields) => {
+  const set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    set[`shipment.${key}`] = value;
+    order.shipment[key] = value;
+  }
+  return Order.updateOne({ _id: order._id }, { $set: set });
+};
+
+// Create the courier shipment for a paid order: shipment, AWB, label and pickup.
+// Progress is stored after each step, so calling this again resumes where it failed.
+const createShipmentForOrder = async (order, { actor } = {}) => {
+  if (order.paymentStatus !== 'Success') {
+    return { error: 'Only paid orders can be shipped', status: 400 };
+  }
+  if (!['Processing', 'Packed'].includes(order.fulfillmentStatus || 'Processing')) {
+    return { error: `Order is already ${order.fulfillmentStatus}`, status: 400 };
+  }
+  if (order.shipment?.pickupScheduledAt) {
+    return { error: 'Shipment already created for this order', status: 400 };
+  }
+
+  const providerName = order.shipment?.provider || defaultProviderName();
+  const provider = getShippingProvider(providerName);
+
+  try {
+    if (!order.shipment?.providerShipmentId) {
+      const created = await provider.createShipment(await buildShipmentRequest(order));
+      await saveShipment(order, { provider: provider.name, ...created });
+    }
+    if (!order.shipment.trackingNumber) {
+      await saveShipment(order, await provider.assignAwb(order.shipment));
+    }
+    if (!order.shipment.labelUrl) {
+      await saveShipment(order, await provider.generateLabel(order.shipment));
+    }
+    const pickup = await provider.schedulePickup(order.shipment);
+    await saveShipment(order, { ...pickup, lastError: null, lastAttemptAt: new Date() });
+  } catch (error) {
+    await saveShipment(order, { lastError: error.message, lastAttemptAt: new Date() }).catch((saveError) =>
+      console.error(`Failed to record shipment error for ${order.orderId}:`, saveError.message)
+    );
+    throw error;
+  }
+
+  console.log(`Shipment created for order ${order.orderId}`, {
+    provider: provider.name,
+    trackingNumber: order.shipment.trackingNumber,
+    carrier: order.shipment.carrier,
+  });
+
+  // A labelled shipment awaiting pickup is packed
+  if ((order.fulfillmentStatus || 'Processing') === 'Processing') {
+    const result = await transitionFulfillment(order, 'Packed', { actor, note: `Shipment created with ${provider.name}` });
+    if (result.order) return { order: result.order };
+  }
+  const updated = await Order.findById(order._id);
+  await publishOrderEvent('order.updated', updated, { trackingNumber: updated.shipment?.trackingNumber });
+  return { order: updated };
+};
+
+// Paid orders still waiting for a shipment, oldest first. Orders that failed recently are
+// skipped and older failures go after orders not tried yet; list them by orderId to retry now.
+const findOrdersToShip = (limit) =>
+  Order.find({
+    paymentStatus: 'Success',
+    fulfillmentStatus: { $in: ['Processing', 'Packed', null] },
+    'shipment.pickupScheduledAt': { $exists: false },
+    $or: [
+      { 'shipment.lastError': null },
+      { 'shipment.lastAttemptAt': { $lt: new Date(Date.now() - FAILED_SHIPMENT_RETRY_MS) } },
+    ],
+  })
+    .sort({ 'shipment.lastAttemptAt': 1, createdAt: 1 })
+    .limit(limit);
+
+// Apply a courier tracking callback; intermediate states are filled in silently so a
+// missed callback does not leave the order stuck
+const applyTrackingUpdate = async (providerName, body) => {
+  const provider = getShippingProvider(providerName);
+  const update = provider.parseTrackingCallback(body);
+  if (!update.trackingNumber) {
+    return { error: 'Tracking number missing from callback', status: 400 };
+  }
+
+  let order = await Order.findOne({ 'shipment.trackingNumber': update.trackingNumber });
+  if (!order) {
+    console.warn(`Tracking update for unknown AWB ${update.trackingNumber} from ${provider.name}`);
+    return { ignored: true };
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { 'shipment.trackingStatus': update.rawStatus, 'shipment.trackingUpdatedAt': update.timestamp } }
+  );
+
+  const target = FORWARD_PATH.indexOf(update.fulfillmentStatus);
+  let current = FORWARD_PATH.indexOf(order.fulfillmentStatus || 'Processing');
+  if (target === -1 || current === -1 || target <= current) {
+    return { order, ignored: true };
+  }
+
+  while (current < target) {
+    const next = FORWARD_PATH[current + 1];
+    const result = await transitionFulfillment(order, next, {
+      actor: `courier:${provider.name}`,
+      note: update.rawStatus,
+      notify: next === FORWARD_PATH[target],
+    });
+    if (result.error) {
+      console.warn(`Tracking update for ${order.orderId} stopped at ${order.fulfillmentStatus}: ${result.error}`);
+      return { order, error: result.error, status: result.status };
+    }
+    order = result.order;
+    current++;
+  }
+
+  return { order };
+};
+
+module.exports = {
+  getShippingProvider,
+  buildShipmentRequest,
+  createShipmentForOrder,
+  findOrdersToShip,
+  applyTrackingUpdate,
+};
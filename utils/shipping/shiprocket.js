@@ -0,0 +1,144 @@
+// Shiprocket adapter. Every provider exposes the same methods:
+// createShipment, assignAwb, generateLabel, schedulePickup and parseTrackingCallback.
+const API_BASE = process.env.SHIPROCKET_API_BASE || 'https://apiv2.shiprocket.in/v1/external';
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Shiprocket tokens are valid for 10 days; refresh a day early
+const TOKEN_TTL_MS = 9 * 24 * 60 * 60 * 1000;
+
+// Shiprocket tracking statuses mapped onto our fulfillment states
+const STATUS_MAP = {
+  'PICKED UP': 'Shipped',
+  SHIPPED: 'Shipped',
+  'IN TRANSIT': 'Shipped',
+  'REACHED AT DESTINATION HUB': 'Shipped',
+  'OUT FOR DELIVERY': 'Out for Delivery',
+  DELIVERED: 'Delivered',
+};
+
+let cachedToken = null;
+let tokenExpiresAt = 0;
+
+const getToken = async () => {
+  if (cachedToken && Date.now() < tokenExpiresAt) return cachedToken;
+
+  if (!process.env.SHIPROCKET_EMAIL || !process.env.SHIPROCKET_PASSWORD) {
+    throw new Error('Shiprocket is not configured (SHIPROCKET_EMAIL / SHIPROCKET_PASSWORD)');
+  }
+
+  const response = await fetch(`${API_BASE}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: process.env.SHIPROCKET_EMAIL, password: process.env.SHIPROCKET_PASSWORD }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.token) {
+    throw new Error(`Shiprocket authentication failed (${response.status}): ${data.message || response.statusText}`);
+  }
+
+  cachedToken = data.token;
+  tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+  return cachedToken;
+};
+
+const request = async (path, body) => {
+  const token = await getToken();
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    cachedToken = null;
+  }
+  if (!response.ok) {
+    throw new Error(`Shiprocket ${path} failed (${response.status}): ${data.message || response.statusText}`);
+  }
+  return data;
+};
+
+const createShipment = async (shipment) => {
+  const data = await request('/orders/create/adhoc', {
+    order_id: shipment.orderId,
+    order_date: shipment.orderDate,
+    pickup_location: process.env.SHIPROCKET_PICKUP_LOCATION || 'Primary',
+    billing_customer_name: shipment.customer.firstName,
+    billing_last_name: shipment.customer.lastName,
+    billing_address: shipment.address.address1,
+    billing_address_2: shipment.address.address2,
+    billing_city: shipment.address.city,
+    billing_pincode: shipment.address.pincode,
+    billing_state: shipment.address.state,
+    billing_country: shipment.address.country,
+    billing_email: shipment.customer.email,
+    billing_phone: shipment.customer.phone,
+    shipping_is_billing: true,
+    order_items: shipment.items.map((item) => ({
+      name: item.name,
+      sku: item.sku,
+      units: item.quantity,
+      selling_price: item.price,
+      hsn: item.hsnCode || '',
+    })),
+    payment_method: shipment.paymentMethod,
+    sub_total: shipment.subTotal,
+    length: shipment.dimensions.length,
+    breadth: shipment.dimensions.breadth,
+    height: shipment.dimensions.height,
+    weight: shipment.weightKg,
+  });
+
+  if (!data.shipment_id) {
+    throw new Error(`Shiprocket did not return a shipment id: ${data.message || JSON.stringify(data)}`);
+  }
+  return { providerOrderId: String(data.order_id), providerShipmentId: String(data.shipment_id) };
+};
+
+const assignAwb = async ({ providerShipmentId }) => {
+  const data = await request('/courier/assign/awb', { shipment_id: providerShipmentId });
+  const awb = data.response?.data;
+  if (data.awb_assign_status !== 1 || !awb?.awb_code) {
+    throw new Error(`Shiprocket AWB assignment failed: ${data.message || data.response?.data?.awb_assign_error || 'unknown error'}`);
+  }
+  return { trackingNumber: awb.awb_code, carrier: awb.courier_name };
+};
+
+const generateLabel = async ({ providerShipmentId }) => {
+  const data = await request('/courier/generate/label', { shipment_id: [providerShipmentId] });
+  if (!data.label_url) {
+    throw new Error(`Shiprocket label generation failed: ${data.message || 'no label_url returned'}`);
+  }
+  return { labelUrl: data.label_url };
+};
+
+const schedulePickup = async ({ providerShipmentId }) => {
+  const data = await request('/courier/generate/pickup', { shipment_id: [providerShipmentId] });
+  const scheduled = data.response?.pickup_scheduled_date;
+  if (data.pickup_status !== 1 && !scheduled) {
+    throw new Error(`Shiprocket pickup scheduling failed: ${data.message || 'unknown error'}`);
+  }
+  return { pickupScheduledAt: scheduled ? new Date(scheduled) : new Date() };
+};
+
+const parseTrackingCallback = (body) => {
+  const rawStatus = String(body.current_status || body.shipment_status || '').toUpperCase();
+  return {
+    trackingNumber: body.awb ? String(body.awb) : '',
+    rawStatus,
+    fulfillmentStatus: STATUS_MAP[rawStatus] || null,
+    timestamp: body.current_timestamp ? new Date(body.current_timestamp) : new Date(),
+  };
+};
+
+module.exports = {
+  name: 'shiprocket',
+  createShipment,
+  assignAwb,
+  generateLabel,
+  schedulePickup,
+  parseTrackingCallback,
+};
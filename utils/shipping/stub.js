@@ -0,0 +1,59 @@
+// In-process stub provider with the same interface as the Shiprocket adapter.
+// Nothing leaves the machine; tracking updates are sent by POSTing to the callback route.
+const crypto = require('crypto');
+
+const STATUS_MAP = {
+  'PICKED UP': 'Shipped',
+  SHIPPED: 'Shipped',
+  'IN TRANSIT': 'Shipped',
+  'OUT FOR DELIVERY': 'Out for Delivery',
+  DELIVERED: 'Delivered',
+};
+
+const createShipment = async (shipment) => {
+  console.log(`[stub shipping] Shipment created for order ${shipment.orderId}`, {
+    items: shipment.items.length,
+    weightKg: shipment.weightKg,
+    paymentMethod: shipment.paymentMethod,
+  });
+  return {
+    providerOrderId: `STUB-${shipment.orderId}`,
+    providerShipmentId: `STUB-SHP-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+  };
+};
+
+const assignAwb = async ({ providerShipmentId }) => {
+  const trackingNumber = `STUBAWB${Date.now()}${crypto.randomInt(100, 999)}`;
+  console.log(`[stub shipping] AWB ${trackingNumber} assigned to ${providerShipmentId}`);
+  return { trackingNumber, carrier: 'Stub Courier' };
+};
+
+const generateLabel = async ({ trackingNumber }) => {
+  const baseUrl = process.env.BACKEND_URL || 'http://localhost:5001';
+  return { labelUrl: `${baseUrl}/api/shipping/stub/labels/${trackingNumber}` };
+};
+
+const schedulePickup = async ({ providerShipmentId }) => {
+  const pickupScheduledAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  console.log(`[stub shipping] Pickup scheduled for ${providerShipmentId} at ${pickupScheduledAt.toISOString()}`);
+  return { pickupScheduledAt };
+};
+
+const parseTrackingCallback = (body) => {
+  const rawStatus = String(body.current_status || body.status || '').toUpperCase();
+  return {
+    trackingNumber: body.awb ? String(body.awb) : '',
+    rawStatus,
+    fulfillmentStatus: STATUS_MAP[rawStatus] || null,
+    timestamp: new Date(),
+  };
+};
+
+module.exports = {
+  name: 'stub',
+  createShipment,
+  assignAwb,
+  generateLabel,
+  schedulePickup,
+  parseTrackingCallback,
+};
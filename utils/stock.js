@@ -0,0 +1,170 @@
+const Stock = require('../models/Stock');
+const StockReservation = require('../models/StockReservation');
+
+// Matches the isOrderValid payment window for online orders
+const RESERVATION_MINUTES = 30;
+
+const describeLine = (line) => `${line.name || line.productId}${line.variant ? ` (${line.variant})` : ''}`;
+
+// Combine order lines that share a SKU so each stock row is touched once
+const groupItems = (items) => {
+  const lines = new Map();
+  for (const item of items) {
+    const key = `${item.productId}|${item.variant || ''}`;
+    const line = lines.get(key) || { productId: item.productId, variant: item.variant || '', name: item.name, quantity: 0 };
+    line.quantity += item.quantity;
+    lines.set(key, line);
+  }
+  return [...lines.values()];
+};
+
+const warnIfLow = (stock) => {
+  if (stock && stock.isLow) {
+    console.warn(`Low stock for ${stock.sku || stock.productId}${stock.variant ? ` (${stock.variant})` : ''}`, {
+      onHand: stock.onHand,
+      reserved: stock.reserved,
+      available: stock.available,
+      lowStockThreshold: stock.lowStockThreshold,
+    });
+  }
+};
+
+// Reserve stock for every tracked line of an order. Products without a stock row are
+// untracked and always pass. The availability check and increment happen in one update,
+// so concurrent checkouts cannot both take the last unit.
+const reserveStock = async (order) => {
+  const reserved = [];
+
+  for (const line of groupItems(order.items)) {
+    const stock = await Stock.findOneAndUpdate(
+      {
+        productId: line.productId,
+        variant: line.variant,
+        $expr: { $gte: [{ $subtract: ['$onHand', '$reserved'] }, line.quantity] },
+      },
+      { $inc: { reserved: line.quantity } },
+      { new: true }
+    );
+
+    if (stock) {
+      reserved.push(line);
+      warnIfLow(stock);
+      continue;
+    }
+
+    if (await Stock.exists({ productId: line.productId, variant: line.variant })) {
+      // Undo the lines reserved so far
+      await Promise.all(
+        reserved.map((r) =>
+          Stock.updateOne({ productId: r.productId, variant: r.variant }, { $inc: { reserved: -r.quantity } })
+        )
+      );
+      console.warn(`Insufficient stock for order ${order.orderId}: ${describeLine(line)}`);
+      return { error: `Insufficient stock for ${describeLine(line)}` };
+    }
+  }
+
+  await StockReservation.create({
+    orderId: order.orderId,
+    items: reserved.map(({ productId, variant, quantity }) => ({ productId, variant, quantity })),
+    expiresAt: new Date(new Date(order.createdAt || Date.now()).getTime() + RESERVATION_MINUTES * 60 * 1000),
+  });
+
+  console.log(`Stock reserved for order ${order.orderId}`, { lines: reserved.length });
+  return { reserved };
+};
+
+// Turn an order's reservation into a permanent decrement once it is paid (or placed as COD).
+// A payment that arrives after the reservation was released still ships, so stock is taken
+// directly and may go negative; that is logged as an oversell.
+const commitStock = async (order) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { orderId: order.orderId, status: 'Reserved' },
+    { $set: { status: 'Committed' } },
+    { new: true }
+  );
+
+  if (reservation) {
+    for (const line of reservation.items) {
+      const stock = await Stock.findOneAndUpdate(
+        { productId: line.productId, variant: line.variant },
+        { $inc: { onHand: -line.quantity, reserved: -line.quantity } },
+        { new: true }
+      );
+      warnIfLow(stock);
+    }
+    console.log(`Stock committed for order ${order.orderId}`);
+    return true;
+  }
+
+  const existing = await StockReservation.findOne({ orderId: order.orderId });
+  if (existing?.status === 'Committed') return false;
+
+  const lines = groupItems(order.items);
+  if (existing) {
+    existing.status = 'Committed';
+    await existing.save();
+  } else {
+    await StockReservation.create({
+      orderId: order.orderId,
+      items: lines.map(({ productId, variant, quantity }) => ({ productId, variant, quantity })),
+      status: 'Committed',
+      expiresAt: new Date(),
+    });
+  }
+
+  for (const line of lines) {
+    const stock = await Stock.findOneAndUpdate(
+      { productId: line.productId, variant: line.variant },
+      { $inc: { onHand: -line.quantity } },
+      { new: true }
+    );
+    if (stock && stock.available < 0) {
+      console.error(`Oversold ${describeLine(line)} on late payment for order ${order.orderId}`, {
+        onHand: stock.onHand,
+        reserved: stock.reserved,
+      });
+    }
+    warnIfLow(stock);
+  }
+  console.log(`Stock committed without reservation for order ${order.orderId}`);
+  return true;
+};
+
+// Return an order's reserved units to the available pool
+const releaseStock = async (orderId, reason) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { orderId, status: 'Reserved' },
+    { $set: { status: 'Released', releaseReason: reason } },
+    { new: true }
+  );
+  if (!reservation) return false;
+
+  for (const line of reservation.items) {
+    await Stock.updateOne(
+      { productId: line.productId, variant: line.variant, reserved: { $gte: line.quantity } },
+      { $inc: { reserved: -line.quantity } }
+    );
+  }
+  console.log(`Stock released for order ${orderId}`, { reason });
+  return true;
+};
+
+// Release reservations whose payment window has passed. Runs independently of the Order
+// document, so reservations are freed even if the order has been archived.
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'Reserved', expiresAt: { $lt: new Date() } }).select('orderId');
+  let released = 0;
+  for (const reservation of expired) {
+    if (await releaseStock(reservation.orderId, 'Expired')) released++;
+  }
+  return released;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveStock,
+  commitStock,
+  releaseStock,
+  releaseExpiredReservations,
+};